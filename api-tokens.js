@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { getApiTokenByHash, touchApiToken } = require('./db');
+
+// --- Personal API Tokens ---
+// Users create named tokens on the /account page for scripts. A token is sent
+// as `Authorization: Bearer <token>` instead of the session cookie and only
+// reaches routes whose `scope` option is one of its scopes. The user's role
+// still applies on top, so a token can never do more than its owner.
+const TOKEN_PREFIX = 'ccat_';
+// Only write lastUsedAt back to Mongo once a minute to avoid a write per request.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const API_TOKEN_SCOPES = {
+    ORDERS_READ: 'orders:read',
+    COMMISSION_ORDERS_WRITE: 'commission_orders:write',
+    SYNC_RUN: 'sync:run',
+    VENDORS_READ: 'vendors:read',
+    SETTINGS_READ: 'settings:read',
+    REPORTS_READ: 'reports:read',
+    METRICS_READ: 'metrics:read'
+};
+
+const API_TOKEN_SCOPE_LABELS = {
+    [API_TOKEN_SCOPES.ORDERS_READ]: 'Read orders',
+    [API_TOKEN_SCOPES.COMMISSION_ORDERS_WRITE]: 'Write commission orders',
+    [API_TOKEN_SCOPES.SYNC_RUN]: 'Run syncs',
+    [API_TOKEN_SCOPES.VENDORS_READ]: 'Read vendors',
+    [API_TOKEN_SCOPES.SETTINGS_READ]: 'Read settings',
+    [API_TOKEN_SCOPES.REPORTS_READ]: 'Read reports',
+    [API_TOKEN_SCOPES.METRICS_READ]: 'Read metrics'
+};
+
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generates a new token.
+ * @returns {{token: string, tokenHash: string}} - Show `token` to the user once; store `tokenHash`.
+ */
+function generateApiToken() {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashApiToken(token) };
+}
+
+/**
+ * Whether the request carries an Authorization header at all. Such requests are
+ * authenticated by token only, never by cookie.
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function hasApiTokenHeader(req) {
+    return !!req.headers.authorization;
+}
+
+/**
+ * Looks up the token in the Authorization header and records its use.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object|null>} - The api_tokens document, or null if missing, malformed or revoked.
+ */
+async function loadApiToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match || !match[1].startsWith(TOKEN_PREFIX)) {
+        return null;
+    }
+    const apiToken = await getApiTokenByHash(hashApiToken(match[1]));
+    if (!apiToken) {
+        return null;
+    }
+    const now = new Date();
+    if (!apiToken.lastUsedAt || now - new Date(apiToken.lastUsedAt) > TOUCH_INTERVAL_MS) {
+        await touchApiToken(apiToken._id, now);
+        apiToken.lastUsedAt = now;
+    }
+    return apiToken;
+}
+
+/**
+ * Keeps only known scopes from a submitted form value.
+ * @param {string|string[]|undefined} submitted
+ * @returns {string[]}
+ */
+function normalizeScopes(submitted) {
+    const values = Array.isArray(submitted) ? submitted : [submitted];
+    return Object.values(API_TOKEN_SCOPES).filter(scope => values.includes(scope));
+}
+
+module.exports = {
+    API_TOKEN_SCOPES,
+    API_TOKEN_SCOPE_LABELS,
+    generateApiToken,
+    hasApiTokenHeader,
+    loadApiToken,
+    normalizeScopes,
+};
@@ -0,0 +1,199 @@
+const { validateBody } = require('./validation');
+const { logger } = require('./logger');
+
+// --- JSON API ---
+// Helpers for the /api/v1 routes. Every response is an envelope:
+//
+//   { success: true, data: [...], page: { limit, nextCursor } }    lists
+//   { success: true, data: {...} }                                  single records
+//   { success: false, error: { code, message, fields? } }           errors
+//
+// Lists are paged with opaque cursors: pass page.nextCursor back as ?cursor=
+// until it is null. Cursors point at the last record of a page rather than an
+// offset, so records added or removed between requests don't shift a page.
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 250;
+
+// Stripped from every record the API returns.
+const SECRET_FIELDS = ['passwordHash', 'shopifyAccessToken', 'accessToken', 'tokenHash', 'totpSecret', 'pendingTotpSecret', 'recoveryCodeHashes'];
+
+const PAGE_QUERY_SCHEMA = {
+    limit: { type: 'number', min: 1, max: MAX_PAGE_LIMIT, label: 'limit' },
+    cursor: { type: 'string', maxLength: 500, label: 'cursor' }
+};
+
+const ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    500: 'internal_error'
+};
+
+/**
+ * Creates an error that apiHandler answers with its own status and message.
+ * @param {number} statusCode - A 4xx status.
+ * @param {string} message
+ * @param {object} [fields] - Field or parameter names mapped to messages.
+ * @returns {Error}
+ */
+function createApiError(statusCode, message, fields) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.fields = fields;
+    return error;
+}
+
+function sendApiJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Sends an error envelope.
+ * @param {number} statusCode
+ * @param {string} message
+ * @param {object} [fields]
+ * @param {object} [headers]
+ */
+function sendApiError(res, statusCode, message, fields, headers = {}) {
+    const error = { code: ERROR_CODES[statusCode] || 'error', message };
+    if (fields) {
+        error.fields = fields;
+    }
+    res.writeHead(statusCode, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error }));
+}
+
+/**
+ * Wraps an API handler so thrown errors become error envelopes. Errors from
+ * createApiError keep their status; anything else is logged and answered with 500.
+ * @param {function} handler - async (req, res)
+ */
+function apiHandler(handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            if (error.statusCode >= 400 && error.statusCode < 500) {
+                sendApiError(res, error.statusCode, error.message, error.fields);
+                return;
+            }
+            logger.error('Error handling API request', { method: req.method, path: req.pathname, error });
+            sendApiError(res, 500, 'Something went wrong. Please try again later.');
+        }
+    };
+}
+
+/**
+ * Validates the query string against the route's `query` option (see
+ * validation.js), together with the paging parameters. Throws a 400 listing
+ * every bad parameter.
+ * @param {http.IncomingMessage} req
+ * @returns {object} - req.query
+ */
+function readQuery(req) {
+    const fields = validateBody(req.query, { ...PAGE_QUERY_SCHEMA, ...req.route.options.query });
+    if (fields) {
+        logger.warn('Rejected query that does not match its schema', { method: req.method, path: req.pathname, fields });
+        throw createApiError(400, Object.values(fields).join(' '), fields);
+    }
+    return req.query;
+}
+
+/**
+ * Parses a date query parameter. Bare dates (YYYY-MM-DD) are read as the start
+ * of that day in UTC, or the end of it when `endOfDay` is set.
+ * @returns {Date|null}
+ */
+function parseDateParam(value, name, endOfDay = false) {
+    if (!value) {
+        return null;
+    }
+    const isBareDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(isBareDate && endOfDay ? `${value}T23:59:59.999Z` : value);
+    if (isNaN(date.getTime())) {
+        throw createApiError(400, `${name} must be a date such as 2024-04-01.`, { [name]: `${name} must be a date such as 2024-04-01.` });
+    }
+    return date;
+}
+
+function encodeCursor(key) {
+    return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Array.isArray(key) && key.length === 2) {
+            return key;
+        }
+    } catch (error) {
+        // Reported below.
+    }
+    throw createApiError(400, 'cursor is not valid. Use the nextCursor from a previous page.', { cursor: 'cursor is not valid.' });
+}
+
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] < b[i]) return -1;
+        if (a[i] > b[i]) return 1;
+    }
+    return 0;
+}
+
+/**
+ * Sends one page of a list, newest first.
+ * @param {http.IncomingMessage} req - Reads ?limit and ?cursor.
+ * @param {http.ServerResponse} res
+ * @param {object[]} items - Every record matching the filters, in any order.
+ * @param {function} sortKey - Returns [sortValue, uniqueId] for a record; both strings or numbers.
+ * @param {function} serialize - Turns a record into what the API returns.
+ */
+function sendPage(req, res, items, sortKey, serialize) {
+    const limit = req.query.limit ? Math.floor(Number(req.query.limit)) : DEFAULT_PAGE_LIMIT;
+    const after = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+    const keyed = items
+        .map(item => ({ item, key: sortKey(item) }))
+        .sort((a, b) => compareKeys(b.key, a.key));
+    const remaining = after ? keyed.filter(entry => compareKeys(entry.key, after) < 0) : keyed;
+    const page = remaining.slice(0, limit);
+    const nextCursor = remaining.length > limit ? encodeCursor(page[page.length - 1].key) : null;
+
+    sendApiJson(res, 200, {
+        success: true,
+        data: page.map(entry => serialize(entry.item)),
+        page: { limit, nextCursor }
+    });
+}
+
+/**
+ * Sends a single record.
+ */
+function sendRecord(res, data) {
+    sendApiJson(res, 200, { success: true, data });
+}
+
+/**
+ * Copies a Mongo document for the API: `_id` becomes `id` and secrets are dropped.
+ * @param {object} doc
+ * @returns {object}
+ */
+function serializeDocument(doc) {
+    const { _id, ...rest } = doc;
+    SECRET_FIELDS.forEach(field => delete rest[field]);
+    return _id !== undefined ? { id: String(_id), ...rest } : rest;
+}
+
+module.exports = {
+    PAGE_QUERY_SCHEMA,
+    createApiError,
+    apiHandler,
+    sendApiError,
+    readQuery,
+    parseDateParam,
+    sendPage,
+    sendRecord,
+    serializeDocument,
+};
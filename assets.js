@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// --- Static Assets ---
+// Files under public/ are served at /public/. Pages link to them through
+// assetUrl(), which adds a fingerprint of the file's contents to the name
+// (style.css becomes style.3f2a9c1e04.css). Fingerprinted URLs change whenever
+// the file does, so browsers may cache them for a year; plain URLs are
+// revalidated on every use with ETag and Last-Modified.
+//
+// Files are read once and kept in memory with their compressed variants until
+// their size or modification time changes. public/ only holds a few small
+// files; anything large belongs on a CDN.
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const PUBLIC_URL_PREFIX = '/public/';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.mjs': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.pdf': 'application/pdf'
+};
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+// Images and fonts other than SVG are already compressed.
+const COMPRESSIBLE_TYPES = /^(text\/|application\/(javascript|json|xml)|image\/svg\+xml)/;
+const MIN_COMPRESS_BYTES = 1024;
+const ENCODINGS = {
+    br: { etagSuffix: 'br', compress: content => zlib.brotliCompressSync(content) },
+    gzip: { etagSuffix: 'gz', compress: content => zlib.gzipSync(content, { level: 9 }) }
+};
+
+const FINGERPRINT_LENGTH = 10;
+const FINGERPRINTED_NAME = new RegExp(`^(.+)\\.([0-9a-f]{${FINGERPRINT_LENGTH}})(\\.[A-Za-z0-9]+)$`);
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+const REVALIDATE_CACHE_CONTROL = 'no-cache';
+
+const assetCache = new Map();
+
+/**
+ * Maps a path below /public/ to a file, or null if it points outside public/
+ * or at a hidden file.
+ * @param {string} relativePath - Already URL-decoded, e.g. 'css/style.css'.
+ * @returns {string|null}
+ */
+function resolvePublicPath(relativePath) {
+    if (!relativePath || relativePath.includes('\0')) {
+        return null;
+    }
+    const filePath = path.resolve(PUBLIC_DIR, relativePath);
+    if (!filePath.startsWith(PUBLIC_DIR + path.sep)) {
+        return null;
+    }
+    const segments = path.relative(PUBLIC_DIR, filePath).split(path.sep);
+    if (segments.some(segment => segment.startsWith('.'))) {
+        return null;
+    }
+    return filePath;
+}
+
+function describeAsset(filePath, stats, content) {
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || DEFAULT_MIME_TYPE;
+    return {
+        filePath,
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        lastModified: stats.mtime.toUTCString(),
+        contentType,
+        hash: crypto.createHash('sha256').update(content).digest('hex').substring(0, FINGERPRINT_LENGTH),
+        content,
+        compressible: COMPRESSIBLE_TYPES.test(contentType) && content.length >= MIN_COMPRESS_BYTES,
+        encoded: {}
+    };
+}
+
+function isCurrent(asset, stats) {
+    return asset && asset.size === stats.size && asset.mtimeMs === stats.mtimeMs;
+}
+
+/**
+ * Reads a file below public/, from memory when it hasn't changed.
+ * @param {string} filePath - From resolvePublicPath().
+ * @returns {Promise<object|null>} - null if there is no such file.
+ */
+async function loadAsset(filePath) {
+    let stats;
+    try {
+        stats = await fs.promises.stat(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+            return null;
+        }
+        throw error;
+    }
+    if (!stats.isFile()) {
+        return null;
+    }
+    const cached = assetCache.get(filePath);
+    if (isCurrent(cached, stats)) {
+        return cached;
+    }
+    const asset = describeAsset(filePath, stats, await fs.promises.readFile(filePath));
+    assetCache.set(filePath, asset);
+    return asset;
+}
+
+/**
+ * Finds the asset for a request path below /public/. Fingerprinted names are
+ * served from the plain file; `immutable` is only set when the fingerprint
+ * matches the file as it is now, so a page cached from before a deploy never
+ * pins the old fingerprint to the new contents.
+ * @param {string} relativePath - e.g. 'css/style.3f2a9c1e04.css'.
+ * @returns {Promise<{asset: object, immutable: boolean}|null>}
+ */
+async function findAsset(relativePath) {
+    const filePath = resolvePublicPath(relativePath);
+    if (!filePath) {
+        return null;
+    }
+    const asset = await loadAsset(filePath);
+    if (asset) {
+        return { asset, immutable: false };
+    }
+    const match = FINGERPRINTED_NAME.exec(path.basename(filePath));
+    if (!match) {
+        return null;
+    }
+    const [, name, fingerprint, extension] = match;
+    const plainAsset = await loadAsset(path.join(path.dirname(filePath), name + extension));
+    return plainAsset ? { asset: plainAsset, immutable: plainAsset.hash === fingerprint } : null;
+}
+
+/**
+ * Picks the best encoding the client accepts, or null to send the file as is.
+ * @param {string} acceptEncoding - The Accept-Encoding header.
+ * @param {object} asset
+ * @returns {string|null}
+ */
+function chooseEncoding(acceptEncoding, asset) {
+    if (!asset.compressible || !acceptEncoding) {
+        return null;
+    }
+    const accepted = {};
+    acceptEncoding.split(',').forEach(part => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        accepted[name] = qParam ? parseFloat(qParam.substring(2)) || 0 : 1;
+    });
+    return Object.keys(ENCODINGS).find(encoding => accepted[encoding] > 0) || null;
+}
+
+/**
+ * @param {object} asset
+ * @param {string|null} encoding - From chooseEncoding().
+ * @returns {Buffer}
+ */
+function getAssetBody(asset, encoding) {
+    if (!encoding) {
+        return asset.content;
+    }
+    asset.encoded[encoding] = asset.encoded[encoding] || ENCODINGS[encoding].compress(asset.content);
+    return asset.encoded[encoding];
+}
+
+/**
+ * The ETag of one encoding of an asset. Each encoding is a different
+ * representation, so each gets its own tag.
+ */
+function getAssetEtag(asset, encoding) {
+    return encoding ? `"${asset.hash}-${ENCODINGS[encoding].etagSuffix}"` : `"${asset.hash}"`;
+}
+
+/**
+ * Whether the client's cached copy is still current. If-None-Match wins over
+ * If-Modified-Since when both are sent.
+ * @param {http.IncomingMessage} req
+ * @param {object} asset
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function isNotModified(req, asset, etag) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch.split(',')
+            .map(tag => tag.trim().replace(/^W\//, ''))
+            .some(tag => tag === etag || tag === '*');
+    }
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    // Last-Modified only has whole seconds.
+    return !isNaN(ifModifiedSince) && Math.floor(asset.mtimeMs / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Returns the fingerprinted URL for a /public/ path, for long-lived caching.
+ * Paths that aren't below /public/ or don't exist are returned unchanged.
+ * @param {string} url - e.g. '/public/css/style.css'
+ * @returns {string} - e.g. '/public/css/style.3f2a9c1e04.css'
+ */
+function assetUrl(url) {
+    if (!url.startsWith(PUBLIC_URL_PREFIX)) {
+        return url;
+    }
+    const filePath = resolvePublicPath(url.substring(PUBLIC_URL_PREFIX.length));
+    if (!filePath) {
+        return url;
+    }
+    try {
+        // Views are rendered synchronously, so this reads synchronously; the
+        // file is only read again once it changes.
+        const stats = fs.statSync(filePath);
+        let asset = assetCache.get(filePath);
+        if (!isCurrent(asset, stats)) {
+            asset = describeAsset(filePath, stats, fs.readFileSync(filePath));
+            assetCache.set(filePath, asset);
+        }
+        const extension = path.extname(url);
+        return `${url.substring(0, url.length - extension.length)}.${asset.hash}${extension}`;
+    } catch (error) {
+        return url;
+    }
+}
+
+module.exports = {
+    IMMUTABLE_CACHE_CONTROL,
+    REVALIDATE_CACHE_CONTROL,
+    findAsset,
+    chooseEncoding,
+    getAssetBody,
+    getAssetEtag,
+    isNotModified,
+    assetUrl,
+};
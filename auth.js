@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+const SCRYPT_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+// A well-formed hash no password matches. Logins for unknown usernames are
+// checked against it, so they take as long as a wrong password for a real
+// account and the response time doesn't reveal which usernames exist.
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEY_LENGTH * 2)}`;
+
+/**
+ * Hashes a password with a random salt using scrypt.
+ * @param {string} password - The plain text password.
+ * @returns {Promise<string>} - The encoded hash in the form `scrypt$<salt>$<hash>`.
+ */
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, derivedKey) => {
+            if (err) return reject(err);
+            resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+/**
+ * Checks a password against a hash produced by hashPassword.
+ * @param {string} password - The plain text password.
+ * @param {string} storedHash - The encoded hash from the users collection.
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, storedHash) {
+    return new Promise((resolve) => {
+        if (typeof password !== 'string' || typeof storedHash !== 'string') {
+            return resolve(false);
+        }
+        const [scheme, salt, hash] = storedHash.split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return resolve(false);
+        }
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, derivedKey) => {
+            if (err) return resolve(false);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+/**
+ * Returns an error message if the password is too weak, otherwise null.
+ * @param {string} password
+ * @returns {string|null}
+ */
+function validatePassword(password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+    }
+    return null;
+}
+
+module.exports = {
+    DUMMY_PASSWORD_HASH,
+    hashPassword,
+    verifyPassword,
+    validatePassword,
+};
@@ -0,0 +1,206 @@
+const { createBulkExport, updateBulkExport, saveBulkExportItems, deleteSupersededBulkExports } = require('./db');
+const { createOperation, listOperations } = require('./operations');
+const { logger } = require('./logger');
+
+// --- Bulk Exports ---
+// Exports every product or order of a store with a GraphQL bulk operation
+// instead of walking REST pages of 250. Shopify prepares the result in the
+// background; it is then read line by line, children such as variants are put
+// back on their parents, and the objects are saved to bulk_export_items. A
+// store with tens of thousands of products is exported in a few API calls and
+// without holding the catalog in memory.
+//
+// Each export runs as an operation (see operations.js), so its progress can be
+// watched at /operations/:id/events.
+const SAVE_BATCH_SIZE = 500;
+const PROGRESS_EVERY_ITEMS = 5000;
+
+// The GraphQL queries, without pagination arguments: Shopify walks every page.
+const EXPORT_TYPES = {
+    products: {
+        label: 'Product export',
+        query: `{
+            products {
+                edges {
+                    node {
+                        id legacyResourceId title handle vendor productType status tags createdAt updatedAt
+                        variants {
+                            edges {
+                                node {
+                                    id legacyResourceId title sku price compareAtPrice inventoryQuantity
+                                    selectedOptions { name value }
+                                }
+                            }
+                        }
+                        images {
+                            edges { node { id url altText } }
+                        }
+                    }
+                }
+            }
+        }`
+    },
+    orders: {
+        label: 'Order export',
+        query: `{
+            orders {
+                edges {
+                    node {
+                        id legacyResourceId name createdAt updatedAt cancelledAt
+                        displayFinancialStatus displayFulfillmentStatus
+                        currentTotalPriceSet { shopMoney { amount currencyCode } }
+                        lineItems {
+                            edges {
+                                node {
+                                    id title sku quantity vendor
+                                    originalUnitPriceSet { shopMoney { amount currencyCode } }
+                                    product { id }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }`
+    }
+};
+
+// Where child lines go on their parent, by the type in their gid.
+const CHILD_FIELDS = {
+    ProductVariant: 'variants',
+    ProductImage: 'images',
+    LineItem: 'lineItems'
+};
+
+function childField(id) {
+    const match = /^gid:\/\/shopify\/([A-Za-z]+)\//.exec(id || '');
+    return (match && CHILD_FIELDS[match[1]]) || 'children';
+}
+
+/**
+ * Turns the lines of a bulk result back into nested objects. Children always
+ * follow their parent in the file, so only one parent is held at a time.
+ * @param {AsyncIterable<object>} lines - From client.readBulkResults().
+ * @returns {AsyncGenerator<object>} - Each top-level object with its children.
+ */
+async function* assembleBulkObjects(lines) {
+    let current = null;
+    for await (const line of lines) {
+        if (!line.__parentId) {
+            if (current) {
+                yield current;
+            }
+            current = line;
+            continue;
+        }
+        const { __parentId, ...child } = line;
+        if (current && current.id === __parentId) {
+            const field = childField(child.id);
+            current[field] = current[field] || [];
+            current[field].push(child);
+        } else {
+            logger.warn('Skipping a bulk result line whose parent is not the current object', { parentId: __parentId, id: child.id });
+        }
+    }
+    if (current) {
+        yield current;
+    }
+}
+
+/**
+ * Runs one export in the background.
+ */
+async function runBulkExport(client, bulkExport, operation) {
+    const { query } = EXPORT_TYPES[bulkExport.type];
+    const started = await client.startBulkQuery(query);
+    await updateBulkExport(bulkExport._id, { bulkOperationId: started.id });
+    operation.log(`Shopify started bulk operation ${started.id}.`);
+
+    let lastReportedCount = -1;
+    const finished = await client.waitForBulkOperation(started.id, {
+        onPoll: bulkOperation => {
+            const count = Number(bulkOperation.objectCount || 0);
+            if (count !== lastReportedCount) {
+                lastReportedCount = count;
+                operation.log(`Shopify has prepared ${count} objects (${bulkOperation.status.toLowerCase()}).`);
+            }
+        }
+    });
+    operation.log('Downloading and saving the result...');
+
+    let batch = [];
+    let itemCount = 0;
+    for await (const object of assembleBulkObjects(client.readBulkResults(finished.url))) {
+        batch.push(object);
+        itemCount++;
+        if (batch.length >= SAVE_BATCH_SIZE) {
+            await saveBulkExportItems(bulkExport._id, batch);
+            batch = [];
+        }
+        if (itemCount % PROGRESS_EVERY_ITEMS === 0) {
+            operation.log(`Saved ${itemCount} ${bulkExport.type}.`);
+        }
+    }
+    await saveBulkExportItems(bulkExport._id, batch);
+
+    await updateBulkExport(bulkExport._id, { status: 'completed', itemCount, finishedAt: new Date() });
+    await deleteSupersededBulkExports(bulkExport);
+    operation.log(`Saved ${itemCount} ${bulkExport.type}.`);
+}
+
+/**
+ * Starts exporting every product or order of a store. Resolves once the
+ * export is recorded; the export itself carries on in the background.
+ * @param {object} client - From shopify.js.
+ * @param {string} type - A key of EXPORT_TYPES.
+ * @param {object} [actor] - `{ userId, username }`.
+ * @returns {Promise<{bulkExport: object, operation: object}>} - Rejects with
+ *   statusCode 409 while another export of the same store is running.
+ */
+async function startBulkExport(client, type, actor) {
+    if (!EXPORT_TYPES[type]) {
+        throw new Error(`Unknown export type "${type}".`);
+    }
+    // Shopify runs one bulk query per store at a time.
+    const running = listOperations({ status: 'running' })
+        .find(operation => operation.type.startsWith('export-') && operation.toJSON().subject.store === client.store);
+    if (running) {
+        const error = new Error('An export is already running for this store. Wait for it to finish.');
+        error.statusCode = 409;
+        error.operationId = running.id;
+        throw error;
+    }
+    const operation = createOperation({
+        type: `export-${type}`,
+        label: `${EXPORT_TYPES[type].label} for ${client.store}`,
+        total: 0,
+        startedBy: actor,
+        subject: { store: client.store }
+    });
+    let bulkExport;
+    try {
+        bulkExport = await createBulkExport({ type, store: client.store, operationId: operation.id }, actor);
+    } catch (error) {
+        operation.finish(error);
+        throw error;
+    }
+
+    const retryingClient = client.withRetryListener(retry => {
+        const problem = retry.reason === 'throttled' ? 'throttled' : `failed (${retry.reason})`;
+        operation.log(`Shopify ${problem} ${retry.method} ${retry.path}; retry ${retry.attempt} of ${retry.maxRetries}.`);
+    });
+    runBulkExport(retryingClient, bulkExport, operation)
+        .then(() => operation.finish())
+        .catch(async error => {
+            logger.error('Bulk export failed', { type, store: client.store, exportId: bulkExport._id, error });
+            operation.finish(error);
+            await updateBulkExport(bulkExport._id, { status: 'failed', error: error.message, finishedAt: new Date() }).catch(() => {});
+        });
+
+    return { bulkExport, operation };
+}
+
+module.exports = {
+    EXPORT_TYPES,
+    startBulkExport,
+};
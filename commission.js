@@ -0,0 +1,145 @@
+const { config } = require('./config');
+
+// --- Commission Calculation ---
+// The one place Croscrow commission is worked out. The /invoices summary, the
+// invoice PDFs and the vendor portal all use these functions so the numbers
+// always agree.
+// Both rates are settings; see config.js.
+const GST_RATE = config.commission.gstRate;
+const DEFAULT_COMMISSION_RATE = config.commission.defaultRate;
+
+const currencyFormatter = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' });
+
+/**
+ * Calculates the commission owed on one order.
+ * @param {number|string} lineItemsTotal - The order's total_line_items_price (or manual_amount).
+ * @param {object} commissionOrder - The saved commission details: commission_percentage,
+ *   discount_type ('vendor' or 'croscrow'), manual_discount, manual_shipping, amount_received.
+ * @returns {object} - All amounts as numbers. `total_commission` is what is still due after `amount_received`.
+ */
+function calculateCommission(lineItemsTotal, commissionOrder = {}) {
+    const discount = parseFloat(commissionOrder.manual_discount || 0);
+    let commissionable_amount = parseFloat(lineItemsTotal);
+
+    // A vendor-funded discount reduces the amount we take commission on;
+    // a Croscrow-funded discount comes off our commission instead.
+    if (commissionOrder.discount_type === 'vendor') {
+        commissionable_amount -= discount;
+    }
+
+    const commission_rate = commissionOrder.commission_percentage ? (parseFloat(commissionOrder.commission_percentage) / 100) : DEFAULT_COMMISSION_RATE;
+    const base_commission = commissionable_amount * commission_rate;
+    const shipping = parseFloat(commissionOrder.manual_shipping || 0);
+
+    let subtotal = base_commission + shipping;
+    if (commissionOrder.discount_type === 'croscrow') {
+        subtotal -= discount;
+    }
+
+    const gst = subtotal * GST_RATE;
+    const amount_received = parseFloat(commissionOrder.amount_received || 0);
+    const total_commission = subtotal + gst - amount_received;
+
+    return {
+        commissionable_amount,
+        commission_rate,
+        commission_percentage_display: commission_rate * 100,
+        base_commission,
+        shipping,
+        discount,
+        subtotal,
+        gst,
+        amount_received,
+        total_commission
+    };
+}
+
+/**
+ * Builds the data for views/invoice-template.html.
+ * @param {object} order - A Shopify order, or a mock order for manual entries.
+ * @param {object} vendor - The Croscrow vendor.
+ * @param {object} commissionOrder - The saved commission details.
+ * @param {object} croscrowSettings - Our invoice details from /croscrow-settings.
+ * @param {Date|string} orderDate
+ * @returns {object}
+ */
+function buildInvoiceData(order, vendor, commissionOrder, croscrowSettings, orderDate) {
+    const amounts = calculateCommission(order.total_line_items_price, commissionOrder);
+    return {
+        order,
+        vendor,
+        commissionOrder,
+        croscrowSettings,
+        invoice_date: new Date().toLocaleDateString('en-CA'),
+        order_date: new Date(orderDate).toLocaleDateString('en-CA'),
+
+        commissionable_amount_formatted: currencyFormatter.format(amounts.commissionable_amount),
+        base_commission_formatted: currencyFormatter.format(amounts.base_commission),
+        shipping_formatted: currencyFormatter.format(amounts.shipping),
+        discount_formatted: currencyFormatter.format(amounts.discount),
+        subtotal_formatted: currencyFormatter.format(amounts.subtotal),
+        gst_formatted: currencyFormatter.format(amounts.gst),
+        amount_received_formatted: currencyFormatter.format(amounts.amount_received),
+        total_commission_formatted: currencyFormatter.format(amounts.total_commission),
+        commission_percentage_display: amounts.commission_percentage_display,
+        gst_percentage_display: Math.round(GST_RATE * 10000) / 100
+    };
+}
+
+/**
+ * Totals the commission on a list of orders merged with their commission details,
+ * as shown at the top of /invoices. Orders without a vendor are skipped.
+ * @param {object[]} orders - Shopify orders spread together with their commission_orders entry.
+ * @returns {object} - Numeric totals.
+ */
+function summarizeCommissions(orders) {
+    const totals = {
+        settlementPending: 0,
+        totalCommissionEarned: 0,
+        totalShipping: 0,
+        totalAmountCollected: 0,
+        totalGstOnCommission: 0,
+        totalDiscountByVendors: 0,
+        totalDiscountByCroscrow: 0
+    };
+
+    for (const order of orders) {
+        // We can only calculate commission if a vendor is assigned and we have the order details
+        if (!order.vendor_id) {
+            continue;
+        }
+        totals.totalShipping += parseFloat(order.manual_shipping || 0);
+        totals.totalAmountCollected += parseFloat(order.amount_received || 0);
+
+        if (order.total_line_items_price) {
+            const amounts = calculateCommission(order.total_line_items_price, order);
+            if (order.discount_type === 'vendor') {
+                totals.totalDiscountByVendors += amounts.discount;
+            } else if (order.discount_type === 'croscrow') {
+                totals.totalDiscountByCroscrow += amounts.discount;
+            }
+            totals.totalCommissionEarned += amounts.subtotal;
+            totals.totalGstOnCommission += amounts.gst;
+            totals.settlementPending += amounts.total_commission;
+        }
+    }
+
+    return totals;
+}
+
+/**
+ * @param {number} amount
+ * @returns {string} - e.g. "₹1,234.50"
+ */
+function formatCurrency(amount) {
+    return currencyFormatter.format(amount);
+}
+
+module.exports = {
+    GST_RATE,
+    DEFAULT_COMMISSION_RATE,
+    calculateCommission,
+    buildInvoiceData,
+    summarizeCommissions,
+    formatCurrency,
+};
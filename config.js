@@ -0,0 +1,212 @@
+// --- Configuration ---
+// Every setting the app reads, with its default, in one place. Values come
+// from environment variables, or from a .env file when running locally. Other
+// modules read `config` and never process.env.
+//
+// server.js calls validateConfig() before loading anything else and refuses to
+// start while there are errors. Scripts only need the settings they use.
+require('dotenv').config();
+
+const API_VERSION_PATTERN = /^(\d{4}-(01|04|07|10)|unstable)$/;
+
+// --- Value Parsers ---
+// Each takes the raw string and the setting, and returns the typed value or
+// throws an Error whose message is shown at startup.
+function parseString(raw) {
+    return raw;
+}
+
+function parseInteger(raw, setting) {
+    if (!/^-?\d+$/.test(raw)) {
+        throw new Error('must be a whole number');
+    }
+    return checkRange(parseInt(raw, 10), setting);
+}
+
+function parseNumber(raw, setting) {
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(value)) {
+        throw new Error('must be a number');
+    }
+    return checkRange(value, setting);
+}
+
+function checkRange(value, setting) {
+    if (setting.min !== undefined && value < setting.min) {
+        throw new Error(`must be at least ${setting.min}`);
+    }
+    if (setting.max !== undefined && value > setting.max) {
+        throw new Error(`must be at most ${setting.max}`);
+    }
+    return value;
+}
+
+function parseBoolean(raw) {
+    if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+    throw new Error('must be true or false');
+}
+
+function parseList(raw) {
+    return raw.split(',').map(item => item.trim()).filter(item => item);
+}
+
+function parseUrl(raw) {
+    let url;
+    try {
+        url = new URL(raw);
+    } catch (error) {
+        throw new Error('must be a full URL such as https://admin.example.com');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error('must be an http or https URL');
+    }
+    return raw.replace(/\/+$/, '');
+}
+
+function parseEnum(raw, setting) {
+    if (!setting.values.includes(raw)) {
+        throw new Error(`must be one of: ${setting.values.join(', ')}`);
+    }
+    return raw;
+}
+
+// The encryption module decodes keys itself; this only checks their shape.
+function checkEncryptionKey(raw) {
+    const trimmed = raw.trim();
+    const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+    if (key.length !== 32) {
+        throw new Error('must be 32 bytes, given as 64 hex characters or base64');
+    }
+    return trimmed;
+}
+
+const TYPES = {
+    string: parseString,
+    integer: parseInteger,
+    number: parseNumber,
+    boolean: parseBoolean,
+    list: parseList,
+    url: parseUrl,
+    enum: parseEnum,
+    encryptionKey: checkEncryptionKey,
+    encryptionKeyList: raw => parseList(raw).map(checkEncryptionKey)
+};
+
+// --- Settings ---
+// path            where the value lives in `config`
+// type            one of TYPES
+// default         used when the variable is unset or empty
+// required        the app won't start without it
+// requiredUnlessFallback
+//                 required unless ALLOW_FALLBACK_MODE is true, in which case a
+//                 missing value is a warning and the app runs degraded
+const SETTINGS = {
+    PORT: { path: 'port', type: 'integer', default: 3000, min: 1, max: 65535, description: 'The port the HTTP server listens on.' },
+    APP_URL: { path: 'appUrl', type: 'url', description: 'The public URL of the app, e.g. https://admin.example.com. Listed in the OpenAPI document.' },
+    ALLOW_FALLBACK_MODE: { path: 'allowFallbackMode', type: 'boolean', default: false, description: 'Start without MongoDB or the main store credentials, for local development. Nothing is saved.' },
+
+    MONGODB_URI: { path: 'mongodb.uri', type: 'string', requiredUnlessFallback: true, description: 'MongoDB connection string.' },
+
+    SHOPIFY_SHOP_NAME: { path: 'shopify.shopName', type: 'string', requiredUnlessFallback: true, description: 'The main store, e.g. croscrow for croscrow.myshopify.com.' },
+    SHOPIFY_ACCESS_TOKEN: { path: 'shopify.accessToken', type: 'string', requiredUnlessFallback: true, description: 'Admin API access token for the main store.' },
+    SHOPIFY_API_VERSION: { path: 'shopify.apiVersion', type: 'string', default: '2024-04', pattern: API_VERSION_PATTERN, patternMessage: 'must be a Shopify API version such as 2024-04', description: 'Admin API version used for the main store, and for vendor stores that don\'t set their own.' },
+    SHOPIFY_MAX_RETRIES: { path: 'shopify.maxRetries', type: 'integer', default: 4, min: 0, max: 10, description: 'Times a Shopify request is retried after a 429, a 5xx or a dropped connection.' },
+    STORE_MIRROR_REFRESH_MINUTES: { path: 'storeMirror.refreshMinutes', type: 'integer', default: 5, min: 0, description: 'How often the main store\'s products and orders are refreshed in MongoDB. 0 refreshes only when someone asks.' },
+    STORE_MIRROR_FULL_REFRESH_HOURS: { path: 'storeMirror.fullRefreshHours', type: 'integer', default: 24, min: 1, description: 'How often a refresh fetches everything instead of only changes, which also removes products and orders deleted in Shopify.' },
+
+    GST_RATE: { path: 'commission.gstRate', type: 'number', default: 0.18, min: 0, max: 1, description: 'GST charged on Croscrow commission, as a fraction.' },
+    DEFAULT_COMMISSION_RATE: { path: 'commission.defaultRate', type: 'number', default: 0.20, min: 0, max: 1, description: 'Commission for orders saved without a percentage, as a fraction.' },
+
+    VENDOR_TOKEN_ENCRYPTION_KEY: { path: 'encryption.key', type: 'encryptionKey', description: 'Key for vendor access tokens and TOTP secrets. Needed before any are saved.' },
+    VENDOR_TOKEN_ENCRYPTION_PREVIOUS_KEYS: { path: 'encryption.previousKeys', type: 'encryptionKeyList', default: [], description: 'Old keys, comma separated, during a key rotation.' },
+
+    TRACKER_WRITE_KEYS: { path: 'tracker.writeKeys', type: 'list', default: [], description: 'storefront:key pairs, comma separated.' },
+    TRACKER_ALLOWED_ORIGINS: { path: 'tracker.allowedOrigins', type: 'list', default: [], description: 'Storefront origins allowed to send events. Empty allows any.' },
+    TRACKER_RATE_LIMIT_PER_IP: { path: 'tracker.rateLimitPerIp', type: 'integer', default: 120, min: 1, description: 'Tracking requests per minute from one IP address.' },
+    TRACKER_RATE_LIMIT_PER_KEY: { path: 'tracker.rateLimitPerKey', type: 'integer', default: 3000, min: 1, description: 'Tracking requests per minute with one write key.' },
+    TRACKER_MAX_PAYLOAD_BYTES: { path: 'tracker.maxPayloadBytes', type: 'integer', default: 16 * 1024, min: 1, description: 'Largest tracking request body.' },
+    TRUST_PROXY: { path: 'trustProxy', type: 'boolean', default: false, description: 'Read client IPs from X-Forwarded-For. Set behind a proxy such as Render.' },
+    TRUSTED_PROXY_HOPS: { path: 'trustedProxyHops', type: 'integer', default: 1, min: 1, max: 10, description: 'How many proxies in front of the app append to X-Forwarded-For. The client IP is read that many entries from the right.' },
+
+    LOGIN_LOCKOUT_MINUTES: { path: 'login.lockoutMinutes', type: 'integer', default: 15, min: 1, description: 'How long a locked-out account or IP waits.' },
+    LOGIN_MAX_FAILURES_PER_ACCOUNT: { path: 'login.maxFailuresPerAccount', type: 'integer', default: 10, min: 1, description: 'Failed logins before an account is locked out.' },
+    LOGIN_MAX_FAILURES_PER_IP: { path: 'login.maxFailuresPerIp', type: 'integer', default: 50, min: 1, description: 'Failed logins before an IP is locked out.' },
+
+    SESSION_IDLE_TIMEOUT_MINUTES: { path: 'sessions.idleTimeoutMinutes', type: 'integer', default: 30, min: 1, description: 'Sessions end after this long without a request.' },
+    SESSION_ABSOLUTE_TIMEOUT_HOURS: { path: 'sessions.absoluteTimeoutHours', type: 'integer', default: 12, min: 1, description: 'Sessions end this long after login regardless of activity.' },
+    COOKIE_SECURE: { path: 'sessions.cookieSecure', type: 'boolean', default: true, description: 'Send session cookies over HTTPS only. Set to false for local HTTP.' },
+
+    LOG_LEVEL: { path: 'log.level', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', description: 'The lowest level that is logged.' },
+    LOG_FILE: { path: 'log.file', type: 'string', description: 'Append logs to this file instead of stdout.' },
+    LOG_FILE_MAX_BYTES: { path: 'log.fileMaxBytes', type: 'integer', default: 10 * 1024 * 1024, min: 1024, description: 'Rotate LOG_FILE when it reaches this size.' },
+    LOG_FILE_MAX_FILES: { path: 'log.fileMaxFiles', type: 'integer', default: 5, min: 1, description: 'Rotated log files to keep.' }
+};
+
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => {
+        object[key] = object[key] || {};
+        return object[key];
+    }, target);
+    parent[last] = value;
+}
+
+/**
+ * Reads every setting from an environment.
+ * @param {object} env - Usually process.env.
+ * @returns {{config: object, errors: string[], warnings: string[]}}
+ */
+function loadConfig(env) {
+    const config = {};
+    const errors = [];
+    const missing = [];
+
+    Object.entries(SETTINGS).forEach(([name, setting]) => {
+        const raw = env[name] === undefined ? '' : String(env[name]);
+        let value = setting.default;
+        if (raw.trim() !== '') {
+            try {
+                value = TYPES[setting.type](raw, setting);
+                if (setting.pattern && !setting.pattern.test(value)) {
+                    throw new Error(setting.patternMessage);
+                }
+            } catch (error) {
+                errors.push(`${name} ${error.message}. ${setting.description}`);
+                value = setting.default;
+            }
+        } else if (setting.required || setting.requiredUnlessFallback) {
+            missing.push(name);
+        }
+        setPath(config, setting.path, value);
+    });
+
+    const warnings = [];
+    missing.forEach(name => {
+        const setting = SETTINGS[name];
+        if (setting.requiredUnlessFallback && config.allowFallbackMode) {
+            warnings.push(`${name} is not set; running in fallback mode. ${setting.description}`);
+        } else {
+            errors.push(`${name} is required. ${setting.description}${setting.requiredUnlessFallback ? ' Set ALLOW_FALLBACK_MODE=true to start without it.' : ''}`);
+        }
+    });
+    return { config, errors, warnings };
+}
+
+const { config, errors, warnings } = loadConfig(process.env);
+
+/**
+ * The problems found when the settings were read.
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+function validateConfig() {
+    return { errors, warnings };
+}
+
+module.exports = {
+    API_VERSION_PATTERN,
+    SETTINGS,
+    config,
+    validateConfig,
+};
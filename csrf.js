@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const querystring = require('querystring');
+
+// --- CSRF Protection ---
+// Every session carries its own token. Forms send it as a hidden `_csrf`
+// field and the client scripts send it in the X-CSRF-Token header.
+const CSRF_FIELD_NAME = '_csrf';
+const CSRF_HEADER_NAME = 'x-csrf-token';
+
+function generateCsrfToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Pulls the submitted token out of the request header or body.
+ * @param {http.IncomingMessage} req
+ * @param {string} body - The raw request body.
+ * @returns {string|null}
+ */
+function getSubmittedToken(req, body) {
+    if (req.headers[CSRF_HEADER_NAME]) {
+        return String(req.headers[CSRF_HEADER_NAME]);
+    }
+    const contentType = req.headers['content-type'] || '';
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+        const token = querystring.parse(body || '')[CSRF_FIELD_NAME];
+        return Array.isArray(token) ? token[0] : token || null;
+    }
+    if (contentType.includes('application/json')) {
+        try {
+            const parsed = JSON.parse(body || '{}');
+            return parsed && typeof parsed[CSRF_FIELD_NAME] === 'string' ? parsed[CSRF_FIELD_NAME] : null;
+        } catch (e) {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks the token sent with a state-changing request against the session's token.
+ * @param {object} session - The session document.
+ * @param {http.IncomingMessage} req
+ * @param {string} body - The raw request body.
+ * @returns {boolean}
+ */
+function verifyCsrfToken(session, req, body) {
+    if (!session || !session.csrfToken) {
+        return false;
+    }
+    const submitted = getSubmittedToken(req, body);
+    if (!submitted) {
+        return false;
+    }
+    const expected = Buffer.from(session.csrfToken);
+    const actual = Buffer.from(submitted);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Adds the token to a rendered page: a meta tag for client scripts and a
+ * hidden field in every POST form.
+ * @param {string} html - The rendered page.
+ * @param {string} token - The session's CSRF token.
+ * @returns {string}
+ */
+function injectCsrfToken(html, token) {
+    if (!token) {
+        return html;
+    }
+    const hiddenField = `<input type="hidden" name="${CSRF_FIELD_NAME}" value="${token}">`;
+    return html
+        .replace('</head>', `    <meta name="csrf-token" content="${token}">\n</head>`)
+        .replace(/<form\b[^>]*\bmethod=["']?post["']?[^>]*>/gi, match => `${match}\n                ${hiddenField}`);
+}
+
+module.exports = {
+    CSRF_FIELD_NAME,
+    generateCsrfToken,
+    verifyCsrfToken,
+    injectCsrfToken,
+};
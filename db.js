@@ -1,43 +1,186 @@
 const { MongoClient } = require('mongodb');
+const { encryptSecret } = require('./encryption');
+const { logger } = require('./logger');
+const { config } = require('./config');
+const { observeMongoCommands } = require('./metrics');
 
 // CRITICAL: Rely ONLY on the environment variable.
 // This prevents accidentally exposing credentials in your code.
-// If MONGODB_URI is not set in your environment (e.g., on Render), the app will fail loudly.
-const MONGODB_URI = process.env.MONGODB_URI;
+// config.js refuses to start without MONGODB_URI unless ALLOW_FALLBACK_MODE is set.
+const MONGODB_URI = config.mongodb.uri;
 const DB_NAME = 'shopify_commission_app';
 
 let client;
 let db;
-
+// The current connection attempt, shared by every caller so none of them sees
+// the database as missing while it is still connecting.
+let connecting = null;
+// Why the app is in fallback mode, if it is: 'not_configured' or 'connection_failed'.
+let fallbackReason = null;
+const PING_TIMEOUT_MS = 2000;
+// MongoDB's error code for an insert that breaks a unique index.
+const DUPLICATE_KEY_ERROR = 11000;
+// After a failed connection, callers get fallback mode for this long before
+// the next call tries again, so a database that is down isn't hammered.
+const RECONNECT_DELAY_MS = 30 * 1000;
+
+// [collection, keys, options]
+const INDEXES = [
+    // Expired sessions are removed by MongoDB once their absolute expiry passes.
+    ['sessions', { expiresAt: 1 }, { expireAfterSeconds: 0 }],
+    ['sessions', { userId: 1 }],
+    ['users', { username: 1 }, { unique: true }],
+    ['vendor_users', { username: 1 }, { unique: true }],
+    ['login_attempts', { expiresAt: 1 }, { expireAfterSeconds: 0 }],
+    ['login_challenges', { expiresAt: 1 }, { expireAfterSeconds: 0 }],
+    ['api_tokens', { tokenHash: 1 }, { unique: true }],
+    ['bulk_export_items', { exportId: 1 }],
+    ['shopify_products', { mirroredAt: 1 }],
+    ['shopify_orders', { mirroredAt: 1 }],
+    ['shopify_orders', { createdAt: -1 }],
+    ['shopify_deprecations', { store: 1, apiVersion: 1, method: 1, endpoint: 1 }, { unique: true }]
+];
+
+/**
+ * Creates the indexes the app relies on. An index that can't be built (say a
+ * unique index over existing duplicates) is logged and skipped; the database
+ * is still used.
+ */
+async function ensureIndexes(database) {
+    for (const [collection, keys, options = {}] of INDEXES) {
+        try {
+            await database.collection(collection).createIndex(keys, options);
+        } catch (error) {
+            logger.error('Failed to create MongoDB index', { collection, keys, error });
+        }
+    }
+}
 
 async function connectToDatabase() {
-    if (!client) {
-        if (!MONGODB_URI) {
-            console.warn('MONGODB_URI environment variable is not set. Using fallback mode.');
-            return null; // Return null instead of throwing
+    if (!MONGODB_URI) {
+        // Warn once rather than on every query, now that health checks poll this.
+        if (!fallbackReason) {
+            logger.warn('MONGODB_URI environment variable is not set. Using fallback mode.');
         }
+        fallbackReason = 'not_configured';
+        return null; // Return null instead of throwing
+    }
+    connecting = connecting || (async () => {
         try {
-            console.log('Attempting to connect to MongoDB...');
+            logger.info('Attempting to connect to MongoDB...');
             client = new MongoClient(MONGODB_URI, {
                 tls: true,
                 tlsAllowInvalidCertificates: false,
-                tlsAllowInvalidHostnames: false
+                tlsAllowInvalidHostnames: false,
+                // Lets metrics.js time every command.
+                monitorCommands: true
             });
+            observeMongoCommands(client);
             await client.connect();
-            db = client.db(DB_NAME);
-            console.log('Successfully connected to MongoDB.');
+            const database = client.db(DB_NAME);
+            logger.info('Successfully connected to MongoDB.');
 
             // Perform a test write to confirm permissions and create a test collection.
-            const testCollection = db.collection('connection_test');
+            const testCollection = database.collection('connection_test');
             await testCollection.updateOne({ test: 'ping' }, { $set: { timestamp: new Date() } }, { upsert: true });
-            console.log('Successfully performed a test write to the database.');
+            logger.info('Successfully performed a test write to the database.');
+            db = database;
+            fallbackReason = null;
         } catch (error) {
-            console.error('Failed to connect to MongoDB:', error);
-            console.warn('MongoDB connection failed. App will run in fallback mode with limited functionality.');
+            logger.error('Failed to connect to MongoDB', { error });
+            logger.warn('MongoDB connection failed. App will run in fallback mode with limited functionality.', { retryInSeconds: RECONNECT_DELAY_MS / 1000 });
+            if (client) {
+                client.close().catch(() => {
+                    // The connection never came up; nothing to close.
+                });
+                client = null;
+            }
             db = null; // Set db to null to indicate no connection
+            fallbackReason = 'connection_failed';
+            setTimeout(() => {
+                connecting = null;
+            }, RECONNECT_DELAY_MS).unref();
+            return null;
         }
+        await ensureIndexes(db);
+        return db;
+    })();
+    return connecting; // Resolves to the db object, or null in fallback mode
+}
+
+/**
+ * Reports whether MongoDB is usable, connecting first if nothing has tried yet.
+ * A connected database is pinged, so a dropped connection shows up here even
+ * though the app only enters fallback mode when it can't connect at all.
+ * @returns {Promise<{configured: boolean, connected: boolean, fallbackMode: boolean, reason: string|null}>}
+ *   reason is 'not_configured', 'connection_failed' or 'ping_failed' when not connected.
+ */
+async function getDatabaseStatus() {
+    const database = await connectToDatabase();
+    const status = { configured: !!MONGODB_URI, connected: false, fallbackMode: !database, reason: fallbackReason };
+    if (!database) {
+        return status;
+    }
+    let timer;
+    try {
+        await Promise.race([
+            database.command({ ping: 1 }),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`No reply within ${PING_TIMEOUT_MS} ms.`)), PING_TIMEOUT_MS);
+            })
+        ]);
+        status.connected = true;
+    } catch (error) {
+        logger.error('MongoDB ping failed', { error });
+        status.reason = 'ping_failed';
+    } finally {
+        clearTimeout(timer);
+    }
+    return status;
+}
+
+
+// --- Audit Trail ---
+// Every mutation of commissions, settlements, settings, vendors and users is
+// appended to the audit_log collection. Entries are only ever inserted, never
+// updated or deleted. Storefront analytics (view counts, tracked events) and
+// sessions are high-volume bookkeeping rather than admin changes and are not audited.
+
+/**
+ * Appends an entry to the audit log. Failures are logged but never block the change itself.
+ * @param {object} db - The connected database.
+ * @param {object} entry
+ * @param {object} [entry.actor] - Who made the change, `{ userId, username }`.
+ * @param {string} entry.action - What happened, e.g. 'commission_order.settled'.
+ * @param {string} entry.entity - The collection or setting that changed.
+ * @param {string} [entry.entityId] - The ID of the changed record.
+ * @param {object|null} entry.before - The value before the change.
+ * @param {object|null} entry.after - The value after the change.
+ * @param {string} [entry.orderId] - Related order ID, used for filtering.
+ * @param {string} [entry.vendorId] - Related Croscrow or connected vendor ID, used for filtering.
+ */
+async function recordAudit(db, entry) {
+    try {
+        await db.collection('audit_log').insertOne({
+            timestamp: new Date(),
+            actor: entry.actor || { userId: null, username: 'system' },
+            action: entry.action,
+            entity: entry.entity,
+            entityId: entry.entityId !== undefined && entry.entityId !== null ? String(entry.entityId) : null,
+            orderId: entry.orderId ? String(entry.orderId) : null,
+            vendorId: entry.vendorId ? String(entry.vendorId) : null,
+            before: entry.before === undefined ? null : entry.before,
+            after: entry.after === undefined ? null : entry.after
+        });
+    } catch (error) {
+        logger.error('Error writing audit log entry', { error });
     }
-    return db; // This should be outside the if block to always return the db object (may be null)
+}
+
+function withoutSecrets(doc) {
+    if (!doc) return doc;
+    const { _id, passwordHash, shopifyAccessToken, ...rest } = doc;
+    return rest;
 }
 
 
@@ -45,34 +188,43 @@ async function getCommissionPercentage() {
     try {
         const db = await connectToDatabase();
         if (!db) {
-            console.warn('Database not connected, using default commission percentage');
+            logger.warn('Database not connected, using default commission percentage');
             return 10; // Default to 10%
         }
         const collection = db.collection('settings');
         const doc = await collection.findOne({ key: 'commissionPercentage' });
         return doc ? doc.value : 10; // Default to 10%
     } catch (error) {
-        console.error('Error getting commission percentage:', error);
+        logger.error('Error getting commission percentage', { error });
         return 10; // Default to 10%
     }
 }
 
 
-async function setCommissionPercentage(percentage) {
+async function setCommissionPercentage(percentage, actor) {
     try {
         const db = await connectToDatabase();
         if (!db) {
-            console.warn('Database not connected, cannot set commission percentage');
+            logger.warn('Database not connected, cannot set commission percentage');
             return;
         }
         const collection = db.collection('settings');
+        const existing = await collection.findOne({ key: 'commissionPercentage' });
         await collection.updateOne(
             { key: 'commissionPercentage' },
             { $set: { value: percentage } },
             { upsert: true }
         );
+        await recordAudit(db, {
+            actor,
+            action: 'settings.commission_percentage_changed',
+            entity: 'settings',
+            entityId: 'commissionPercentage',
+            before: existing ? { value: existing.value } : null,
+            after: { value: percentage }
+        });
     } catch (error) {
-        console.error('Error setting commission percentage:', error);
+        logger.error('Error setting commission percentage', { error });
     }
 }
 
@@ -87,7 +239,7 @@ async function getProductViewCount(productId) {
         const doc = await collection.findOne({ productId });
         return doc ? doc.views : 0;
     } catch (error) {
-        console.error('Error getting product view count:', error);
+        logger.error('Error getting product view count', { error });
         return 0;
     }
 }
@@ -97,7 +249,7 @@ async function incrementProductViewCount(productId) {
     try {
         const db = await connectToDatabase();
         if (!db) {
-            console.warn('Database not connected, cannot increment view count');
+            logger.warn('Database not connected, cannot increment view count');
             return;
         }
         const collection = db.collection('productViews');
@@ -107,7 +259,7 @@ async function incrementProductViewCount(productId) {
             { upsert: true }
         );
     } catch (error) {
-        console.error('Error incrementing product view count:', error);
+        logger.error('Error incrementing product view count', { error });
     }
 }
 
@@ -126,23 +278,35 @@ async function getAllProductViewCounts() {
         });
         return viewCounts;
     } catch (error) {
-        console.error('Error getting all product view counts:', error);
+        logger.error('Error getting all product view counts', { error });
         return {};
     }
 }
 
 
-async function createVendor(vendorData) {
+async function createVendor(vendorData, actor) {
     try {
         const db = await connectToDatabase();
         if (!db) {
             throw new Error('Database not connected');
         }
         const collection = db.collection('vendors');
-        const result = await collection.insertOne(vendorData);
+        const result = await collection.insertOne({
+            ...vendorData,
+            shopifyAccessToken: encryptSecret(vendorData.shopifyAccessToken)
+        });
+        await recordAudit(db, {
+            actor,
+            action: 'vendor.created',
+            entity: 'vendors',
+            entityId: result.insertedId,
+            vendorId: result.insertedId,
+            before: null,
+            after: withoutSecrets(vendorData)
+        });
         return result;
     } catch (error) {
-        console.error('Error creating vendor:', error);
+        logger.error('Error creating vendor', { error });
         throw error;
     }
 }
@@ -157,7 +321,7 @@ async function getVendors() {
         const collection = db.collection('vendors');
         return await collection.find({}).toArray();
     } catch (error) {
-        console.error('Error getting vendors:', error);
+        logger.error('Error getting vendors', { error });
         return [];
     }
 }
@@ -173,12 +337,85 @@ async function getVendorById(vendorId) {
         const collection = db.collection('vendors');
         return await collection.findOne({ _id: new ObjectId(vendorId) });
     } catch (error) {
-        console.error('Error getting vendor by ID:', error);
+        logger.error('Error getting vendor by ID', { error });
         return null;
     }
 }
 
 
+async function updateVendorAccessToken(vendorId, encryptedAccessToken, actor) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const { ObjectId } = require('mongodb');
+        const collection = db.collection('vendors');
+        const result = await collection.updateOne(
+            { _id: new ObjectId(vendorId) },
+            { $set: { shopifyAccessToken: encryptedAccessToken } }
+        );
+        // The token itself is never written to the audit log.
+        await recordAudit(db, {
+            actor,
+            action: 'vendor.access_token_reencrypted',
+            entity: 'vendors',
+            entityId: vendorId,
+            vendorId,
+            before: null,
+            after: null
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error updating vendor access token', { error });
+        throw error;
+    }
+}
+
+
+/**
+ * Sets the Admin API version used for a vendor's store.
+ * @param {string} vendorId
+ * @param {string|null} apiVersion - e.g. '2025-01'; null to follow SHOPIFY_API_VERSION.
+ * @param {object} [actor]
+ * @returns {Promise<object|null>} - null when there is no such vendor.
+ */
+async function updateVendorApiVersion(vendorId, apiVersion, actor) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const { ObjectId } = require('mongodb');
+        if (!ObjectId.isValid(vendorId)) {
+            return null;
+        }
+        const collection = db.collection('vendors');
+        const before = await collection.findOne({ _id: new ObjectId(vendorId) });
+        if (!before) {
+            return null;
+        }
+        const result = await collection.updateOne(
+            { _id: new ObjectId(vendorId) },
+            { $set: { shopifyApiVersion: apiVersion } }
+        );
+        await recordAudit(db, {
+            actor,
+            action: 'vendor.api_version_changed',
+            entity: 'vendors',
+            entityId: vendorId,
+            vendorId,
+            before: { shopifyApiVersion: before.shopifyApiVersion || null },
+            after: { shopifyApiVersion: apiVersion }
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error updating vendor API version', { error });
+        throw error;
+    }
+}
+
+
 async function getProductsByVendor(vendorName) {
     try {
         const db = await connectToDatabase();
@@ -188,7 +425,7 @@ async function getProductsByVendor(vendorName) {
         const collection = db.collection('products');
         return await collection.find({ vendor: vendorName }).toArray();
     } catch (error) {
-        console.error('Error getting products by vendor:', error);
+        logger.error('Error getting products by vendor', { error });
         return [];
     }
 }
@@ -199,13 +436,76 @@ async function trackFacebookEvent(eventData) {
     try {
         const db = await connectToDatabase();
         if (!db) {
-            console.warn('Database not connected, cannot track Facebook event');
+            logger.warn('Database not connected, cannot track Facebook event');
             return;
         }
         const collection = db.collection('facebook_events');
         await collection.insertOne(eventData);
     } catch (error) {
-        console.error('Error tracking Facebook event:', error);
+        logger.error('Error tracking Facebook event', { error });
+    }
+}
+
+
+/**
+ * Counts a rejected storefront tracking request, bucketed per day, route, reason and storefront.
+ * @param {object} rejection
+ * @param {string} rejection.route - '/track-view' or '/track-fb-event'.
+ * @param {string} rejection.reason - e.g. 'invalid_write_key', 'ip_rate_limited'.
+ * @param {string|null} rejection.storefront - The storefront, if the write key was valid.
+ * @param {string} rejection.ip - The client IP, kept as the most recent offender.
+ */
+async function recordTrackingRejection(rejection) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return;
+        }
+        const collection = db.collection('tracking_rejections');
+        const now = new Date();
+        await collection.updateOne(
+            {
+                day: now.toISOString().substring(0, 10),
+                route: rejection.route,
+                reason: rejection.reason,
+                storefront: rejection.storefront || null
+            },
+            { $inc: { count: 1 }, $set: { lastSeenAt: now, lastIp: rejection.ip || '' } },
+            { upsert: true }
+        );
+    } catch (error) {
+        logger.error('Error recording tracking rejection', { error });
+    }
+}
+
+/**
+ * Returns rejected tracking request counts for the last few days, largest first.
+ * @param {number} [days=7]
+ */
+async function getTrackingRejectionCounts(days = 7) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        const since = new Date();
+        since.setDate(since.getDate() - days);
+        const collection = db.collection('tracking_rejections');
+        return await collection.aggregate([
+            { $match: { day: { $gte: since.toISOString().substring(0, 10) } } },
+            {
+                $group: {
+                    _id: { route: '$route', reason: '$reason', storefront: '$storefront' },
+                    count: { $sum: '$count' },
+                    lastSeenAt: { $max: '$lastSeenAt' },
+                    lastIp: { $last: '$lastIp' }
+                }
+            },
+            { $sort: { count: -1 } }
+        ]).toArray();
+    } catch (error) {
+        logger.error('Error getting tracking rejection counts', { error });
+        return [];
     }
 }
 
@@ -214,7 +514,7 @@ async function getFacebookEvents(filters = {}) {
     try {
         const db = await connectToDatabase();
         if (!db) {
-            console.warn('Database not connected, cannot fetch events.');
+            logger.warn('Database not connected, cannot fetch events.');
             return [];
         }
 
@@ -267,7 +567,7 @@ async function getFacebookEvents(filters = {}) {
         const events = await collection.find(query).sort({ timestamp: -1 }).toArray();
         return events;
     } catch (error) {
-        console.error('Error fetching Facebook events:', error);
+        logger.error('Error fetching Facebook events', { error });
         return [];
     }
 }
@@ -327,7 +627,7 @@ async function getTopFacebookEventsByProduct(eventName, filters = {}, limit = 30
         const results = await collection.aggregate(pipeline).toArray();
         return results;
     } catch (error) {
-        console.error(`Error getting top events for ${eventName}:`, error);
+        logger.error('Error getting top events', { eventName, error });
         return [];
     }
 }
@@ -391,12 +691,12 @@ async function getFacebookEventCounts(filters = {}) {
 
         return counts;
     } catch (error) {
-        console.error('Error getting Facebook event counts:', error);
+        logger.error('Error getting Facebook event counts', { error });
         return {};
     }
 }
 
-async function createCroscrowVendor(vendorData) {
+async function createCroscrowVendor(vendorData, actor) {
     try {
         const db = await connectToDatabase();
         if (!db) {
@@ -404,9 +704,18 @@ async function createCroscrowVendor(vendorData) {
         }
         const collection = db.collection('croscrow_vendors');
         const result = await collection.insertOne(vendorData);
+        await recordAudit(db, {
+            actor,
+            action: 'croscrow_vendor.created',
+            entity: 'croscrow_vendors',
+            entityId: result.insertedId,
+            vendorId: result.insertedId,
+            before: null,
+            after: withoutSecrets(vendorData)
+        });
         return result;
     } catch (error) {
-        console.error('Error creating croscrow vendor:', error);
+        logger.error('Error creating croscrow vendor', { error });
         throw error;
     }
 }
@@ -421,7 +730,7 @@ async function getCroscrowVendors() {
         const collection = db.collection('croscrow_vendors');
         return await collection.find({}).toArray();
     } catch (error) {
-        console.error('Error getting croscrow vendors:', error);
+        logger.error('Error getting croscrow vendors', { error });
         return [];
     }
 }
@@ -440,12 +749,12 @@ async function getCroscrowVendorById(vendorId) {
             _id: new ObjectId(vendorId)
         });
     } catch (error) {
-        console.error('Error getting croscrow vendor by ID:', error);
+        logger.error('Error getting croscrow vendor by ID', { error });
         return null;
     }
 }
 
-async function updateCroscrowVendor(vendorId, vendorData) {
+async function updateCroscrowVendor(vendorId, vendorData, actor) {
     try {
         const {
             ObjectId
@@ -455,14 +764,26 @@ async function updateCroscrowVendor(vendorId, vendorData) {
             throw new Error('Database not connected');
         }
         const collection = db.collection('croscrow_vendors');
+        const existing = await collection.findOne({
+            _id: new ObjectId(vendorId)
+        });
         const result = await collection.updateOne({
             _id: new ObjectId(vendorId)
         }, {
             $set: vendorData
         });
+        await recordAudit(db, {
+            actor,
+            action: 'croscrow_vendor.updated',
+            entity: 'croscrow_vendors',
+            entityId: vendorId,
+            vendorId,
+            before: withoutSecrets(existing),
+            after: withoutSecrets({ ...existing, ...vendorData })
+        });
         return result;
     } catch (error) {
-        console.error('Error updating croscrow vendor:', error);
+        logger.error('Error updating croscrow vendor', { error });
         throw error;
     }
 }
@@ -476,12 +797,30 @@ async function getCommissionOrders() {
         const collection = db.collection('commission_orders');
         return await collection.find({}).toArray();
     } catch (error) {
-        console.error('Error getting commission orders:', error);
+        logger.error('Error getting commission orders', { error });
+        return [];
+    }
+}
+
+/**
+ * Commission orders assigned to one Croscrow vendor. Used by the vendor portal.
+ * @param {string} vendorId
+ */
+async function getCommissionOrdersForVendor(vendorId) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        const collection = db.collection('commission_orders');
+        return await collection.find({ vendor_id: String(vendorId) }).toArray();
+    } catch (error) {
+        logger.error('Error getting commission orders for vendor', { error });
         return [];
     }
 }
 
-async function saveCommissionOrder(order) {
+async function saveCommissionOrder(order, actor) {
     try {
         const db = await connectToDatabase();
         if (!db) {
@@ -494,26 +833,48 @@ async function saveCommissionOrder(order) {
             status: order.status || 'saved' // Default to 'saved'
         };
 
+        const existing = await collection.findOne({ order_id: order.order_id });
         // Use order_id which is the shopify order id
         const result = await collection.updateOne({ order_id: order.order_id }, { $set: orderToSave }, { upsert: true });
+        await recordAudit(db, {
+            actor,
+            action: existing ? 'commission_order.updated' : 'commission_order.created',
+            entity: 'commission_orders',
+            entityId: order.order_id,
+            orderId: order.order_id,
+            vendorId: orderToSave.vendor_id || (existing && existing.vendor_id),
+            before: withoutSecrets(existing),
+            after: withoutSecrets({ ...existing, ...orderToSave })
+        });
         return result;
     } catch (error) {
-        console.error('Error saving commission order:', error);
+        logger.error('Error saving commission order', { error });
         throw error;
     }
 }
 
-async function updateCommissionOrderStatus(orderId, status) {
+async function updateCommissionOrderStatus(orderId, status, actor) {
     try {
         const db = await connectToDatabase();
         if (!db) {
             throw new Error('Database not connected');
         }
         const collection = db.collection('commission_orders');
+        const existing = await collection.findOne({ order_id: orderId });
         const result = await collection.updateOne({ order_id: orderId }, { $set: { status: status } });
+        await recordAudit(db, {
+            actor,
+            action: `commission_order.${status}`,
+            entity: 'commission_orders',
+            entityId: orderId,
+            orderId,
+            vendorId: existing && existing.vendor_id,
+            before: existing ? { status: existing.status } : null,
+            after: { status }
+        });
         return result;
     } catch (error) {
-        console.error('Error updating commission order status:', error);
+        logger.error('Error updating commission order status', { error });
         throw error;
     }
 }
@@ -522,37 +883,46 @@ async function getCroscrowSettings() {
     try {
         const db = await connectToDatabase();
         if (!db) {
-            console.warn('Database not connected, using default settings');
+            logger.warn('Database not connected, using default settings');
             return {}; // Default to empty object
         }
         const collection = db.collection('settings');
         const doc = await collection.findOne({ key: 'croscrowDetails' });
         return doc ? doc.value : {}; // Default to empty object
     } catch (error) {
-        console.error('Error getting Croscrow settings:', error);
+        logger.error('Error getting Croscrow settings', { error });
         return {}; // Default to empty object
     }
 }
 
-async function setCroscrowSettings(settings) {
+async function setCroscrowSettings(settings, actor) {
     try {
         const db = await connectToDatabase();
         if (!db) {
-            console.warn('Database not connected, cannot set Croscrow settings');
+            logger.warn('Database not connected, cannot set Croscrow settings');
             return;
         }
         const collection = db.collection('settings');
+        const existing = await collection.findOne({ key: 'croscrowDetails' });
         await collection.updateOne(
             { key: 'croscrowDetails' },
             { $set: { value: settings } },
             { upsert: true }
         );
+        await recordAudit(db, {
+            actor,
+            action: 'settings.croscrow_details_changed',
+            entity: 'settings',
+            entityId: 'croscrowDetails',
+            before: existing ? existing.value : null,
+            after: settings
+        });
     } catch (error) {
-        console.error('Error setting Croscrow settings:', error);
+        logger.error('Error setting Croscrow settings', { error });
     }
 }
 
-async function saveManualOrder(order) {
+async function saveManualOrder(order, actor) {
     try {
         const db = await connectToDatabase();
         if (!db) {
@@ -560,9 +930,19 @@ async function saveManualOrder(order) {
         }
         const collection = db.collection('manual_orders');
         const result = await collection.insertOne(order);
+        await recordAudit(db, {
+            actor,
+            action: 'manual_order.created',
+            entity: 'manual_orders',
+            entityId: result.insertedId,
+            orderId: order.manual_order_id,
+            vendorId: order.manual_vendor_id,
+            before: null,
+            after: withoutSecrets(order)
+        });
         return result;
     } catch (error) {
-        console.error('Error saving manual order:', error);
+        logger.error('Error saving manual order', { error });
         throw error;
     }
 }
@@ -576,13 +956,1280 @@ async function getManualOrders() {
         const collection = db.collection('manual_orders');
         return await collection.find({}).toArray();
     } catch (error) {
-        console.error('Error getting manual orders:', error);
+        logger.error('Error getting manual orders', { error });
+        return [];
+    }
+}
+
+/**
+ * Manual orders assigned to one Croscrow vendor. Used by the vendor portal.
+ * @param {string} vendorId
+ */
+async function getManualOrdersForVendor(vendorId) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        const collection = db.collection('manual_orders');
+        return await collection.find({ manual_vendor_id: String(vendorId) }).toArray();
+    } catch (error) {
+        logger.error('Error getting manual orders for vendor', { error });
+        return [];
+    }
+}
+
+async function createUser(userData, actor) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('users');
+        const existing = await collection.findOne({ username: userData.username });
+        if (existing) {
+            throw new Error(`A user with the username "${userData.username}" already exists.`);
+        }
+        const now = new Date();
+        const user = {
+            username: userData.username,
+            name: userData.name || userData.username,
+            passwordHash: userData.passwordHash,
+            role: userData.role,
+            disabled: false,
+            createdAt: now,
+            updatedAt: now
+        };
+        let result;
+        try {
+            result = await collection.insertOne(user);
+        } catch (error) {
+            // The unique index catches a user created between the check above and this insert.
+            if (error.code === DUPLICATE_KEY_ERROR) {
+                throw new Error(`A user with the username "${userData.username}" already exists.`);
+            }
+            throw error;
+        }
+        await recordAudit(db, {
+            actor,
+            action: 'user.created',
+            entity: 'users',
+            entityId: result.insertedId,
+            before: null,
+            after: withoutSecrets(user)
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error creating user', { error });
+        throw error;
+    }
+}
+
+async function getUsers() {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        const collection = db.collection('users');
+        return await collection.find({}, { projection: { passwordHash: 0, totpSecret: 0, pendingTotpSecret: 0, recoveryCodeHashes: 0 } }).sort({ username: 1 }).toArray();
+    } catch (error) {
+        logger.error('Error getting users', { error });
+        return [];
+    }
+}
+
+async function getUserById(userId) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            return null;
+        }
+        const collection = db.collection('users');
+        return await collection.findOne({ _id: new ObjectId(userId) });
+    } catch (error) {
+        logger.error('Error getting user by ID', { error });
+        return null;
+    }
+}
+
+async function getUserByUsername(username) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return null;
+        }
+        const collection = db.collection('users');
+        return await collection.findOne({ username });
+    } catch (error) {
+        logger.error('Error getting user by username', { error });
+        return null;
+    }
+}
+
+/**
+ * Disables or re-enables a user.
+ * @param {string} userId
+ * @param {boolean} disabled
+ * @param {object} [actor]
+ * @returns {Promise<object|null>} - null when there is no such user.
+ */
+async function setUserDisabled(userId, disabled, actor) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        if (!ObjectId.isValid(userId)) {
+            return null;
+        }
+        const collection = db.collection('users');
+        const existing = await collection.findOne({ _id: new ObjectId(userId) });
+        if (!existing) {
+            return null;
+        }
+        const result = await collection.updateOne(
+            { _id: new ObjectId(userId) },
+            { $set: { disabled: !!disabled, updatedAt: new Date() } }
+        );
+        await recordAudit(db, {
+            actor,
+            action: disabled ? 'user.disabled' : 'user.enabled',
+            entity: 'users',
+            entityId: userId,
+            before: { disabled: !!existing.disabled },
+            after: { disabled: !!disabled }
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error updating user status', { error });
+        throw error;
+    }
+}
+
+/**
+ * Changes a user's role.
+ * @param {string} userId
+ * @param {string} role
+ * @param {object} [actor]
+ * @returns {Promise<object|null>} - null when there is no such user.
+ */
+async function setUserRole(userId, role, actor) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        if (!ObjectId.isValid(userId)) {
+            return null;
+        }
+        const collection = db.collection('users');
+        const existing = await collection.findOne({ _id: new ObjectId(userId) });
+        if (!existing) {
+            return null;
+        }
+        const result = await collection.updateOne(
+            { _id: new ObjectId(userId) },
+            { $set: { role, updatedAt: new Date() } }
+        );
+        await recordAudit(db, {
+            actor,
+            action: 'user.role_changed',
+            entity: 'users',
+            entityId: userId,
+            before: { role: existing.role || null },
+            after: { role }
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error updating user role', { error });
+        throw error;
+    }
+}
+
+async function setUserPasswordHash(userId, passwordHash, actor) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('users');
+        const result = await collection.updateOne(
+            { _id: new ObjectId(userId) },
+            { $set: { passwordHash, updatedAt: new Date() } }
+        );
+        await recordAudit(db, {
+            actor,
+            action: 'user.password_reset',
+            entity: 'users',
+            entityId: userId,
+            before: null,
+            after: null
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error resetting user password', { error });
+        throw error;
+    }
+}
+
+/**
+ * Stores a not-yet-confirmed TOTP secret while the user scans the QR code.
+ * Not audited: nothing changes for the user until enableUserTotp.
+ * @param {string} userId
+ * @param {string} encryptedSecret - From encryptSecret.
+ */
+async function setUserPendingTotpSecret(userId, encryptedSecret) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('users');
+        return await collection.updateOne(
+            { _id: new ObjectId(userId) },
+            { $set: { pendingTotpSecret: encryptedSecret } }
+        );
+    } catch (error) {
+        logger.error('Error saving pending TOTP secret', { error });
+        throw error;
+    }
+}
+
+/**
+ * Turns on TOTP two-factor authentication for a user.
+ * @param {string} userId
+ * @param {string} encryptedSecret - From encryptSecret.
+ * @param {string[]} recoveryCodeHashes
+ * @param {object} [actor]
+ */
+async function enableUserTotp(userId, encryptedSecret, recoveryCodeHashes, actor) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('users');
+        const result = await collection.updateOne(
+            { _id: new ObjectId(userId) },
+            {
+                $set: { totpEnabled: true, totpSecret: encryptedSecret, recoveryCodeHashes, updatedAt: new Date() },
+                $unset: { pendingTotpSecret: '', totpLastStep: '' }
+            }
+        );
+        await recordAudit(db, {
+            actor,
+            action: 'user.two_factor_enabled',
+            entity: 'users',
+            entityId: userId,
+            before: { totpEnabled: false },
+            after: { totpEnabled: true }
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error enabling two-factor authentication', { error });
+        throw error;
+    }
+}
+
+/**
+ * Turns off TOTP two-factor authentication and forgets the secret and recovery codes.
+ * @param {string} userId
+ * @param {object} [actor]
+ */
+async function disableUserTotp(userId, actor) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('users');
+        const result = await collection.updateOne(
+            { _id: new ObjectId(userId) },
+            {
+                $set: { totpEnabled: false, updatedAt: new Date() },
+                $unset: { totpSecret: '', pendingTotpSecret: '', recoveryCodeHashes: '', totpLastStep: '' }
+            }
+        );
+        await recordAudit(db, {
+            actor,
+            action: 'user.two_factor_disabled',
+            entity: 'users',
+            entityId: userId,
+            before: { totpEnabled: true },
+            after: { totpEnabled: false }
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error disabling two-factor authentication', { error });
+        throw error;
+    }
+}
+
+/**
+ * Replaces a user's recovery codes.
+ * @param {string} userId
+ * @param {string[]} recoveryCodeHashes
+ * @param {object} [actor]
+ */
+async function setUserRecoveryCodes(userId, recoveryCodeHashes, actor) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('users');
+        const result = await collection.updateOne(
+            { _id: new ObjectId(userId) },
+            { $set: { recoveryCodeHashes, updatedAt: new Date() } }
+        );
+        await recordAudit(db, {
+            actor,
+            action: 'user.recovery_codes_regenerated',
+            entity: 'users',
+            entityId: userId,
+            before: null,
+            after: null
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error saving recovery codes', { error });
+        throw error;
+    }
+}
+
+/**
+ * Users with two-factor enabled, with their encrypted secrets. Used by key rotation.
+ */
+async function getUsersWithTotpSecrets() {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        const collection = db.collection('users');
+        return await collection.find(
+            { $or: [{ totpSecret: { $exists: true } }, { pendingTotpSecret: { $exists: true } }] },
+            { projection: { username: 1, totpSecret: 1, pendingTotpSecret: 1 } }
+        ).toArray();
+    } catch (error) {
+        logger.error('Error getting users with TOTP secrets', { error });
+        return [];
+    }
+}
+
+async function updateUserTotpSecret(userId, encryptedSecret, actor) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('users');
+        const result = await collection.updateOne(
+            { _id: new ObjectId(userId) },
+            { $set: { totpSecret: encryptedSecret } }
+        );
+        // The secret itself is never written to the audit log.
+        await recordAudit(db, {
+            actor,
+            action: 'user.totp_secret_reencrypted',
+            entity: 'users',
+            entityId: userId,
+            before: null,
+            after: null
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error updating TOTP secret', { error });
+        throw error;
+    }
+}
+
+/**
+ * Records the TOTP time step a user just logged in with. Fails if that step
+ * (or a later one) was already used, so each code works only once.
+ * @param {string} userId
+ * @param {number} step
+ * @returns {Promise<boolean>} - True if the step was recorded.
+ */
+async function claimUserTotpStep(userId, step) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            return false;
+        }
+        const collection = db.collection('users');
+        const result = await collection.updateOne(
+            { _id: new ObjectId(userId), $or: [{ totpLastStep: { $exists: false } }, { totpLastStep: { $lt: step } }] },
+            { $set: { totpLastStep: step } }
+        );
+        return result.modifiedCount === 1;
+    } catch (error) {
+        logger.error('Error recording TOTP step', { error });
+        return false;
+    }
+}
+
+/**
+ * Removes a recovery code from a user, if they still have it.
+ * @param {string} userId
+ * @param {string} codeHash
+ * @returns {Promise<boolean>} - True if the code was valid and is now used up.
+ */
+async function consumeUserRecoveryCode(userId, codeHash) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            return false;
+        }
+        const collection = db.collection('users');
+        const result = await collection.updateOne(
+            { _id: new ObjectId(userId), recoveryCodeHashes: codeHash },
+            { $pull: { recoveryCodeHashes: codeHash } }
+        );
+        return result.modifiedCount === 1;
+    } catch (error) {
+        logger.error('Error using recovery code', { error });
+        return false;
+    }
+}
+
+async function getLoginAttempts(keys) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        const collection = db.collection('login_attempts');
+        return await collection.find({ _id: { $in: keys } }).toArray();
+    } catch (error) {
+        logger.error('Error getting login attempts', { error });
+        return [];
+    }
+}
+
+/**
+ * Counts a failed login for a key, starting over if the previous failure is
+ * older than the window and the key is not locked.
+ * @returns {Promise<object|null>} - The updated attempt document.
+ */
+async function incrementLoginFailures(key, now, expiresAt, windowMs) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return null;
+        }
+        const collection = db.collection('login_attempts');
+        await collection.deleteOne({
+            _id: key,
+            lastFailureAt: { $lt: new Date(now.getTime() - windowMs) },
+            $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lt: now } }]
+        });
+        return await collection.findOneAndUpdate(
+            { _id: key },
+            { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt } },
+            { upsert: true, returnDocument: 'after' }
+        );
+    } catch (error) {
+        logger.error('Error recording failed login', { error });
+        return null;
+    }
+}
+
+async function lockLoginAttempts(key, lockedUntil) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return;
+        }
+        const collection = db.collection('login_attempts');
+        await collection.updateOne(
+            { _id: key },
+            { $set: { lockedUntil, failures: 0, expiresAt: lockedUntil } }
+        );
+    } catch (error) {
+        logger.error('Error locking login', { error });
+    }
+}
+
+async function clearLoginAttempts(key) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return;
+        }
+        const collection = db.collection('login_attempts');
+        await collection.deleteOne({ _id: key });
+    } catch (error) {
+        logger.error('Error clearing login attempts', { error });
+    }
+}
+
+async function createLoginChallenge(challenge) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('login_challenges');
+        return await collection.insertOne(challenge);
+    } catch (error) {
+        logger.error('Error creating login challenge', { error });
+        throw error;
+    }
+}
+
+async function getLoginChallenge(challengeKey) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return null;
+        }
+        const collection = db.collection('login_challenges');
+        return await collection.findOne({ _id: challengeKey });
+    } catch (error) {
+        logger.error('Error getting login challenge', { error });
+        return null;
+    }
+}
+
+async function incrementLoginChallengeAttempts(challengeKey) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return null;
+        }
+        const collection = db.collection('login_challenges');
+        return await collection.findOneAndUpdate(
+            { _id: challengeKey },
+            { $inc: { attempts: 1 } },
+            { returnDocument: 'after' }
+        );
+    } catch (error) {
+        logger.error('Error updating login challenge', { error });
+        return null;
+    }
+}
+
+async function deleteLoginChallenge(challengeKey) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return;
+        }
+        const collection = db.collection('login_challenges');
+        await collection.deleteOne({ _id: challengeKey });
+    } catch (error) {
+        logger.error('Error deleting login challenge', { error });
+    }
+}
+
+// --- Croscrow Vendor Portal Logins ---
+// Vendor logins live in their own collection, separate from admin users, and
+// each one belongs to exactly one Croscrow vendor.
+
+async function createVendorUser(vendorUserData, actor) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('vendor_users');
+        const existing = await collection.findOne({ username: vendorUserData.username });
+        if (existing) {
+            throw new Error(`A vendor login with the username "${vendorUserData.username}" already exists.`);
+        }
+        const now = new Date();
+        const vendorUser = {
+            vendorId: String(vendorUserData.vendorId),
+            username: vendorUserData.username,
+            name: vendorUserData.name || vendorUserData.username,
+            passwordHash: vendorUserData.passwordHash,
+            disabled: false,
+            createdAt: now,
+            updatedAt: now
+        };
+        let result;
+        try {
+            result = await collection.insertOne(vendorUser);
+        } catch (error) {
+            // The unique index catches a login created between the check above and this insert.
+            if (error.code === DUPLICATE_KEY_ERROR) {
+                throw new Error(`A vendor login with the username "${vendorUserData.username}" already exists.`);
+            }
+            throw error;
+        }
+        await recordAudit(db, {
+            actor,
+            action: 'vendor_user.created',
+            entity: 'vendor_users',
+            entityId: result.insertedId,
+            vendorId: vendorUser.vendorId,
+            before: null,
+            after: withoutSecrets(vendorUser)
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error creating vendor login', { error });
+        throw error;
+    }
+}
+
+async function getVendorUsers(vendorId) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        const collection = db.collection('vendor_users');
+        return await collection.find({ vendorId: String(vendorId) }, { projection: { passwordHash: 0 } }).sort({ username: 1 }).toArray();
+    } catch (error) {
+        logger.error('Error getting vendor logins', { error });
+        return [];
+    }
+}
+
+async function getVendorUserById(vendorUserId) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            return null;
+        }
+        const collection = db.collection('vendor_users');
+        return await collection.findOne({ _id: new ObjectId(vendorUserId) });
+    } catch (error) {
+        logger.error('Error getting vendor login by ID', { error });
+        return null;
+    }
+}
+
+async function getVendorUserByUsername(username) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return null;
+        }
+        const collection = db.collection('vendor_users');
+        return await collection.findOne({ username });
+    } catch (error) {
+        logger.error('Error getting vendor login by username', { error });
+        return null;
+    }
+}
+
+async function setVendorUserDisabled(vendorUserId, disabled, actor) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('vendor_users');
+        const existing = await collection.findOne({ _id: new ObjectId(vendorUserId) }) || {};
+        const result = await collection.updateOne(
+            { _id: new ObjectId(vendorUserId) },
+            { $set: { disabled: !!disabled, updatedAt: new Date() } }
+        );
+        await recordAudit(db, {
+            actor,
+            action: disabled ? 'vendor_user.disabled' : 'vendor_user.enabled',
+            entity: 'vendor_users',
+            entityId: vendorUserId,
+            vendorId: existing.vendorId,
+            before: { disabled: !!existing.disabled },
+            after: { disabled: !!disabled }
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error updating vendor login status', { error });
+        throw error;
+    }
+}
+
+async function setVendorUserPasswordHash(vendorUserId, passwordHash, actor) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('vendor_users');
+        const existing = await collection.findOne({ _id: new ObjectId(vendorUserId) }) || {};
+        const result = await collection.updateOne(
+            { _id: new ObjectId(vendorUserId) },
+            { $set: { passwordHash, updatedAt: new Date() } }
+        );
+        await recordAudit(db, {
+            actor,
+            action: 'vendor_user.password_reset',
+            entity: 'vendor_users',
+            entityId: vendorUserId,
+            vendorId: existing.vendorId,
+            before: null,
+            after: null
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error resetting vendor login password', { error });
+        throw error;
+    }
+}
+
+// --- Personal API Tokens ---
+// Only the hash of a token is stored. `revokedAt` is set instead of deleting
+// the document so the audit trail still has something to point at.
+
+async function createApiToken(tokenData, actor) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('api_tokens');
+        const apiToken = {
+            userId: String(tokenData.userId),
+            name: tokenData.name,
+            scopes: tokenData.scopes,
+            tokenHash: tokenData.tokenHash,
+            createdAt: new Date(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+        const result = await collection.insertOne(apiToken);
+        const { tokenHash, ...auditedToken } = apiToken;
+        await recordAudit(db, {
+            actor,
+            action: 'api_token.created',
+            entity: 'api_tokens',
+            entityId: result.insertedId,
+            before: null,
+            after: auditedToken
+        });
+        return result;
+    } catch (error) {
+        logger.error('Error creating API token', { error });
+        throw error;
+    }
+}
+
+async function getApiTokensForUser(userId) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        const collection = db.collection('api_tokens');
+        return await collection.find({ userId: String(userId), revokedAt: null }, { projection: { tokenHash: 0 } }).sort({ createdAt: -1 }).toArray();
+    } catch (error) {
+        logger.error('Error getting API tokens', { error });
+        return [];
+    }
+}
+
+async function getApiTokenByHash(tokenHash) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return null;
+        }
+        const collection = db.collection('api_tokens');
+        return await collection.findOne({ tokenHash, revokedAt: null });
+    } catch (error) {
+        logger.error('Error getting API token', { error });
+        return null;
+    }
+}
+
+async function touchApiToken(tokenId, lastUsedAt) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return;
+        }
+        const { ObjectId } = require('mongodb');
+        const collection = db.collection('api_tokens');
+        await collection.updateOne({ _id: new ObjectId(tokenId) }, { $set: { lastUsedAt } });
+    } catch (error) {
+        logger.error('Error updating API token last use', { error });
+    }
+}
+
+/**
+ * Revokes one of a user's tokens. The userId check stops a user revoking someone else's token.
+ * @returns {Promise<boolean>} - False if the token does not exist or is not the user's.
+ */
+async function revokeApiToken(tokenId, userId, actor) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const { ObjectId } = require('mongodb');
+        const collection = db.collection('api_tokens');
+        const result = await collection.updateOne(
+            { _id: new ObjectId(tokenId), userId: String(userId), revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+        if (result.modifiedCount === 0) {
+            return false;
+        }
+        await recordAudit(db, {
+            actor,
+            action: 'api_token.revoked',
+            entity: 'api_tokens',
+            entityId: tokenId,
+            before: null,
+            after: null
+        });
+        return true;
+    } catch (error) {
+        logger.error('Error revoking API token', { error });
+        throw error;
+    }
+}
+
+async function createSession(sessionData) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('sessions');
+        return await collection.insertOne(sessionData);
+    } catch (error) {
+        logger.error('Error creating session', { error });
+        throw error;
+    }
+}
+
+async function getSession(sessionKey) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return null;
+        }
+        const collection = db.collection('sessions');
+        return await collection.findOne({ _id: sessionKey });
+    } catch (error) {
+        logger.error('Error getting session', { error });
+        return null;
+    }
+}
+
+async function getSessionsForUser(userId) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        const collection = db.collection('sessions');
+        return await collection.find({ userId: String(userId) }).sort({ lastSeenAt: -1 }).toArray();
+    } catch (error) {
+        logger.error('Error getting sessions for user', { error });
+        return [];
+    }
+}
+
+async function updateSession(sessionKey, updates) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return;
+        }
+        const collection = db.collection('sessions');
+        await collection.updateOne({ _id: sessionKey }, { $set: updates });
+    } catch (error) {
+        logger.error('Error updating session', { error });
+    }
+}
+
+async function deleteSession(sessionKey) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return;
+        }
+        const collection = db.collection('sessions');
+        await collection.deleteOne({ _id: sessionKey });
+    } catch (error) {
+        logger.error('Error deleting session', { error });
+    }
+}
+
+async function deleteSessionsForUser(userId) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const collection = db.collection('sessions');
+        return await collection.deleteMany({ userId: String(userId) });
+    } catch (error) {
+        logger.error('Error deleting sessions for user', { error });
+        throw error;
+    }
+}
+
+// --- Bulk Exports ---
+// Full product and order exports from Shopify bulk operations (see
+// bulk-exports.js). bulk_exports holds one document per run and
+// bulk_export_items one document per exported product or order. Only the
+// latest completed export of each type and store keeps its items.
+
+async function createBulkExport(exportData, actor) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            throw new Error('Database not connected');
+        }
+        const bulkExport = {
+            type: exportData.type,
+            store: exportData.store,
+            operationId: exportData.operationId,
+            bulkOperationId: null,
+            status: 'running',
+            itemCount: 0,
+            error: null,
+            startedBy: actor || null,
+            startedAt: new Date(),
+            finishedAt: null
+        };
+        const result = await db.collection('bulk_exports').insertOne(bulkExport);
+        await recordAudit(db, {
+            actor,
+            action: 'bulk_export.started',
+            entity: 'bulk_exports',
+            entityId: result.insertedId,
+            before: null,
+            after: { type: bulkExport.type, store: bulkExport.store }
+        });
+        return { ...bulkExport, _id: result.insertedId };
+    } catch (error) {
+        logger.error('Error creating bulk export', { error });
+        throw error;
+    }
+}
+
+async function updateBulkExport(exportId, updates) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return;
+        }
+        await db.collection('bulk_exports').updateOne({ _id: exportId }, { $set: updates });
+    } catch (error) {
+        logger.error('Error updating bulk export', { error });
+        throw error;
+    }
+}
+
+/**
+ * @param {ObjectId} exportId
+ * @param {object[]} items - Reassembled products or orders.
+ */
+async function saveBulkExportItems(exportId, items) {
+    try {
+        const db = await connectToDatabase();
+        if (!db || items.length === 0) {
+            return;
+        }
+        await db.collection('bulk_export_items').insertMany(items.map(item => ({ exportId, item })), { ordered: false });
+    } catch (error) {
+        logger.error('Error saving bulk export items', { error });
+        throw error;
+    }
+}
+
+/**
+ * Deletes the items of every other finished export of the same type and
+ * store, once a newer one has completed.
+ * @param {object} bulkExport - The export to keep.
+ */
+async function deleteSupersededBulkExports(bulkExport) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return;
+        }
+        const exports = db.collection('bulk_exports');
+        const older = await exports.find({
+            type: bulkExport.type,
+            store: bulkExport.store,
+            _id: { $ne: bulkExport._id },
+            status: { $ne: 'running' }
+        }, { projection: { _id: 1 } }).toArray();
+        const olderIds = older.map(doc => doc._id);
+        if (olderIds.length === 0) {
+            return;
+        }
+        await db.collection('bulk_export_items').deleteMany({ exportId: { $in: olderIds } });
+        await exports.updateMany({ _id: { $in: olderIds }, status: 'completed' }, { $set: { status: 'superseded' } });
+    } catch (error) {
+        logger.error('Error deleting superseded bulk exports', { error });
+    }
+}
+
+async function getBulkExports(limit = 50) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        return await db.collection('bulk_exports').find({}).sort({ startedAt: -1 }).limit(limit).toArray();
+    } catch (error) {
+        logger.error('Error getting bulk exports', { error });
+        return [];
+    }
+}
+
+async function getBulkExportById(exportId) {
+    try {
+        const { ObjectId } = require('mongodb');
+        const db = await connectToDatabase();
+        if (!db || !ObjectId.isValid(exportId)) {
+            return null;
+        }
+        return await db.collection('bulk_exports').findOne({ _id: new ObjectId(exportId) });
+    } catch (error) {
+        logger.error('Error getting bulk export by ID', { error });
+        return null;
+    }
+}
+
+/**
+ * Iterates over an export's items in the order they were saved.
+ * @param {ObjectId} exportId
+ * @returns {Promise<AsyncIterable<object>>} - A cursor of { item } documents; empty in fallback mode.
+ */
+async function getBulkExportItemsCursor(exportId) {
+    const db = await connectToDatabase();
+    if (!db) {
+        return [];
+    }
+    return db.collection('bulk_export_items').find({ exportId }, { projection: { _id: 0, item: 1 } }).sort({ _id: 1 });
+}
+
+// The main store's products and orders, kept up to date by store-mirror.js.
+// Each document is { _id: Shopify ID, createdAt, updatedAt, mirroredAt, item }.
+const STORE_MIRROR_COLLECTIONS = {
+    products: 'shopify_products',
+    orders: 'shopify_orders'
+};
+
+function storeMirrorCollection(db, type) {
+    if (!STORE_MIRROR_COLLECTIONS[type]) {
+        throw new Error(`Unknown store mirror type "${type}".`);
+    }
+    return db.collection(STORE_MIRROR_COLLECTIONS[type]);
+}
+
+/**
+ * Saves products or orders from Shopify, replacing earlier copies.
+ * @param {string} type - 'products' or 'orders'.
+ * @param {object[]} items - As returned by the REST API.
+ * @param {Date} mirroredAt - When the refresh that fetched them started.
+ */
+async function saveStoreMirrorItems(type, items, mirroredAt) {
+    try {
+        const db = await connectToDatabase();
+        if (!db || items.length === 0) {
+            return;
+        }
+        await storeMirrorCollection(db, type).bulkWrite(items.map(item => ({
+            replaceOne: {
+                filter: { _id: item.id },
+                replacement: { createdAt: new Date(item.created_at), updatedAt: new Date(item.updated_at), mirroredAt, item },
+                upsert: true
+            }
+        })), { ordered: false });
+    } catch (error) {
+        logger.error('Error saving store mirror items', { type, error });
+        throw error;
+    }
+}
+
+/**
+ * Deletes what a full refresh didn't see, i.e. what was deleted in Shopify.
+ * @param {string} type
+ * @param {Date} before - When the full refresh started.
+ * @returns {Promise<number>} - How many were deleted.
+ */
+async function deleteStaleStoreMirrorItems(type, before) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return 0;
+        }
+        const result = await storeMirrorCollection(db, type).deleteMany({ mirroredAt: { $lt: before } });
+        return result.deletedCount;
+    } catch (error) {
+        logger.error('Error deleting stale store mirror items', { type, error });
+        throw error;
+    }
+}
+
+/**
+ * Reads mirrored products (oldest first) or orders (newest first).
+ * @param {string} type
+ * @param {number} [limit] - Defaults to all of them.
+ * @returns {Promise<object[]|null>} - The Shopify objects; null in fallback mode.
+ */
+async function getStoreMirrorItems(type, limit = 0) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return null;
+        }
+        const sort = type === 'orders' ? { createdAt: -1 } : { _id: 1 };
+        const docs = await storeMirrorCollection(db, type)
+            .find({}, { projection: { _id: 0, item: 1 } })
+            .sort(sort)
+            .limit(limit)
+            .toArray();
+        return docs.map(doc => doc.item);
+    } catch (error) {
+        logger.error('Error getting store mirror items', { type, error });
+        throw error;
+    }
+}
+
+/**
+ * @param {string} type
+ * @returns {Promise<object|null>} - { lastRefreshedAt, lastFullRefreshAt, updatedSince,
+ *   lastError, lastErrorAt }, or null before the first refresh and in fallback mode.
+ */
+async function getStoreMirrorState(type) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return null;
+        }
+        return await db.collection('store_mirror_state').findOne({ _id: type });
+    } catch (error) {
+        logger.error('Error getting store mirror state', { type, error });
+        return null;
+    }
+}
+
+/**
+ * @param {string} type
+ * @param {object} fields - Set on the state; see getStoreMirrorState().
+ */
+async function setStoreMirrorState(type, fields) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return;
+        }
+        await db.collection('store_mirror_state').updateOne({ _id: type }, { $set: fields }, { upsert: true });
+    } catch (error) {
+        logger.error('Error setting store mirror state', { type, error });
+    }
+}
+
+/**
+ * Records a Shopify response that said the call is deprecated, once per store,
+ * API version, method and endpoint; repeats only bump the count.
+ * @param {object} call
+ * @param {string} call.store
+ * @param {string} call.apiVersion - The version the client asked for.
+ * @param {string} call.servedVersion - The version Shopify answered with.
+ * @param {string} call.method
+ * @param {string} call.endpoint - With IDs replaced, e.g. 'products/:id.json'.
+ * @param {string} call.reason - Shopify's X-Shopify-API-Deprecated-Reason, or
+ *   a note that the version is no longer served.
+ * @param {number} [call.count=1] - Calls seen since the last write.
+ */
+async function recordShopifyDeprecation(call) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return;
+        }
+        const now = new Date();
+        await db.collection('shopify_deprecations').updateOne(
+            { store: call.store, apiVersion: call.apiVersion, method: call.method, endpoint: call.endpoint },
+            {
+                $inc: { count: call.count || 1 },
+                $set: { lastSeenAt: now, reason: call.reason, servedVersion: call.servedVersion },
+                $setOnInsert: { firstSeenAt: now }
+            },
+            { upsert: true }
+        );
+    } catch (error) {
+        logger.error('Error recording Shopify deprecation', { error });
+    }
+}
+
+/**
+ * Lists deprecated Shopify calls seen in the last few days, most recent first.
+ * @param {number} [days=30]
+ */
+async function getShopifyDeprecations(days = 30) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        const since = new Date();
+        since.setDate(since.getDate() - days);
+        return await db.collection('shopify_deprecations')
+            .find({ lastSeenAt: { $gte: since } })
+            .sort({ lastSeenAt: -1 })
+            .toArray();
+    } catch (error) {
+        logger.error('Error getting Shopify deprecations', { error });
+        return [];
+    }
+}
+
+/**
+ * Reads the audit log, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.orderId] - Only entries for this Shopify or manual order ID.
+ * @param {string} [filters.vendorId] - Only entries for this Croscrow or connected vendor.
+ * @param {string} [filters.username] - Only entries made by this user.
+ * @param {number} [limit=200]
+ */
+async function getAuditLog(filters = {}, limit = 200) {
+    try {
+        const db = await connectToDatabase();
+        if (!db) {
+            return [];
+        }
+        const collection = db.collection('audit_log');
+        const query = {};
+        if (filters.orderId) {
+            query.orderId = String(filters.orderId);
+        }
+        if (filters.vendorId) {
+            query.vendorId = String(filters.vendorId);
+        }
+        if (filters.username) {
+            query['actor.username'] = filters.username;
+        }
+        return await collection.find(query).sort({ timestamp: -1 }).limit(limit).toArray();
+    } catch (error) {
+        logger.error('Error getting audit log', { error });
         return [];
     }
 }
 
 module.exports = {
     connectToDatabase,
+    getDatabaseStatus,
     getCommissionPercentage,
     setCommissionPercentage,
     getProductViewCount,
@@ -591,6 +2238,8 @@ module.exports = {
     createVendor,
     getVendors,
     getVendorById,
+    updateVendorAccessToken,
+    updateVendorApiVersion,
     getProductsByVendor,
     trackFacebookEvent,
     getFacebookEvents,
@@ -607,4 +2256,63 @@ module.exports = {
     setCroscrowSettings,
     saveManualOrder,
     getManualOrders,
+    createUser,
+    getUsers,
+    getUserById,
+    getUserByUsername,
+    setUserDisabled,
+    setUserRole,
+    setUserPasswordHash,
+    createSession,
+    getSession,
+    getSessionsForUser,
+    updateSession,
+    deleteSession,
+    deleteSessionsForUser,
+    getAuditLog,
+    getCommissionOrdersForVendor,
+    getManualOrdersForVendor,
+    createVendorUser,
+    getVendorUsers,
+    getVendorUserById,
+    getVendorUserByUsername,
+    setVendorUserDisabled,
+    setVendorUserPasswordHash,
+    setUserPendingTotpSecret,
+    enableUserTotp,
+    disableUserTotp,
+    setUserRecoveryCodes,
+    getUsersWithTotpSecrets,
+    updateUserTotpSecret,
+    claimUserTotpStep,
+    consumeUserRecoveryCode,
+    getLoginAttempts,
+    incrementLoginFailures,
+    lockLoginAttempts,
+    clearLoginAttempts,
+    createLoginChallenge,
+    getLoginChallenge,
+    incrementLoginChallengeAttempts,
+    deleteLoginChallenge,
+    recordTrackingRejection,
+    getTrackingRejectionCounts,
+    createApiToken,
+    getApiTokensForUser,
+    getApiTokenByHash,
+    touchApiToken,
+    revokeApiToken,
+    createBulkExport,
+    updateBulkExport,
+    saveBulkExportItems,
+    deleteSupersededBulkExports,
+    getBulkExports,
+    getBulkExportById,
+    getBulkExportItemsCursor,
+    saveStoreMirrorItems,
+    deleteStaleStoreMirrorItems,
+    getStoreMirrorItems,
+    getStoreMirrorState,
+    setStoreMirrorState,
+    recordShopifyDeprecation,
+    getShopifyDeprecations,
 };
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { config } = require('./config');
+
+// --- Secret Encryption ---
+// Connected-vendor Shopify access tokens are stored encrypted with AES-256-GCM.
+// VENDOR_TOKEN_ENCRYPTION_KEY holds the current 32-byte key (base64 or hex).
+// During a key rotation, put the old key(s) in
+// VENDOR_TOKEN_ENCRYPTION_PREVIOUS_KEYS (comma separated) so existing records
+// can still be decrypted until `npm run rotate-vendor-token-key` re-encrypts them.
+// Users' TOTP secrets are encrypted with the same key.
+const ENCRYPTED_PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+
+function parseKey(rawKey) {
+    const trimmed = rawKey.trim();
+    const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+    if (key.length !== 32) {
+        throw new Error('Vendor token encryption keys must be 32 bytes, given as 64 hex characters or base64.');
+    }
+    return key;
+}
+
+function getKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+}
+
+function loadKeys() {
+    const keys = new Map();
+    let currentKeyId = null;
+    if (config.encryption.key) {
+        const currentKey = parseKey(config.encryption.key);
+        currentKeyId = getKeyId(currentKey);
+        keys.set(currentKeyId, currentKey);
+    }
+    config.encryption.previousKeys.forEach(rawKey => {
+        const key = parseKey(rawKey);
+        keys.set(getKeyId(key), key);
+    });
+    return { keys, currentKeyId };
+}
+
+const { keys: KEYS, currentKeyId: CURRENT_KEY_ID } = loadKeys();
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${ENCRYPTED_PREFIX}:`);
+}
+
+/**
+ * Encrypts a secret with the current key.
+ * @param {string} plaintext
+ * @returns {string} - `enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>`, all base64 parts.
+ */
+function encryptSecret(plaintext) {
+    if (!CURRENT_KEY_ID) {
+        throw new Error('VENDOR_TOKEN_ENCRYPTION_KEY environment variable is not set. Refusing to store a secret unencrypted.');
+    }
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, KEYS.get(CURRENT_KEY_ID), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+    return [ENCRYPTED_PREFIX, CURRENT_KEY_ID, iv.toString('base64'), authTag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypts a value produced by encryptSecret. Values stored before encryption
+ * was introduced are returned unchanged.
+ * @param {string} value
+ * @returns {string}
+ */
+function decryptSecret(value) {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+    const [, , keyId, iv, authTag, ciphertext] = value.split(':');
+    const key = KEYS.get(keyId);
+    if (!key) {
+        throw new Error(`No encryption key is configured for key ID ${keyId}. Add it to VENDOR_TOKEN_ENCRYPTION_PREVIOUS_KEYS.`);
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Whether a stored value is already encrypted with the current key.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isEncryptedWithCurrentKey(value) {
+    return isEncrypted(value) && value.split(':')[2] === CURRENT_KEY_ID;
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    isEncryptedWithCurrentKey,
+};
@@ -0,0 +1,64 @@
+const { version } = require('./package.json');
+const { getDatabaseStatus } = require('./db');
+const { isShopifyConfigured } = require('./shopify');
+
+// --- Health ---
+// The app keeps serving pages when MongoDB or the main store's credentials are
+// missing, but settings, commissions and tracked events are silently not saved
+// and orders can't be loaded. checkHealth() reports that state for /healthz,
+// /readyz and the dashboard banner. Logging in needs MongoDB, so the login
+// pages show getLoginNotice() instead; nobody could reach the dashboard.
+
+/**
+ * @returns {Promise<object>} - { status: 'ok' | 'degraded', version, uptimeSeconds, fallbackMode, database, shopify }
+ */
+async function checkHealth() {
+    const database = await getDatabaseStatus();
+    const shopify = { configured: isShopifyConfigured() };
+    return {
+        status: database.connected && shopify.configured ? 'ok' : 'degraded',
+        version,
+        uptimeSeconds: Math.round(process.uptime()),
+        fallbackMode: database.fallbackMode,
+        database,
+        shopify
+    };
+}
+
+const DATABASE_PROBLEMS = {
+    not_configured: 'MONGODB_URI is not set, so the app is running in fallback mode.',
+    connection_failed: 'The app could not connect to MongoDB and is running in fallback mode until a retry succeeds.',
+    ping_failed: 'MongoDB is not responding.'
+};
+
+/**
+ * Describes what is wrong, for people rather than monitors.
+ * @param {object} health - From checkHealth().
+ * @returns {string[]} - Empty when the app is healthy.
+ */
+function describeHealthProblems(health) {
+    const problems = [];
+    if (!health.database.connected) {
+        problems.push(`${DATABASE_PROBLEMS[health.database.reason] || 'MongoDB is not connected.'} Commission settings, orders, vendors and tracked events are not being saved.`);
+    }
+    if (!health.shopify.configured) {
+        problems.push('SHOPIFY_SHOP_NAME or SHOPIFY_ACCESS_TOKEN is not set, so orders and products can\'t be loaded from the main store.');
+    }
+    return problems;
+}
+
+/**
+ * A notice for the login pages while logins can't work. Anyone can see those
+ * pages, so it names no settings; /readyz has the details.
+ * @returns {Promise<string|null>} - null when MongoDB is connected.
+ */
+async function getLoginNotice() {
+    const database = await getDatabaseStatus();
+    return database.connected ? null : 'Logging in is unavailable because the app can\'t reach its database. Please try again later.';
+}
+
+module.exports = {
+    checkHealth,
+    describeHealthProblems,
+    getLoginNotice,
+};
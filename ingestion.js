@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+// --- Storefront Tracking Ingestion ---
+// /track-view and /track-fb-event are called from storefront browsers, so they
+// cannot use admin sessions. Instead each storefront gets a write key, sent in
+// the X-Tracker-Key header (or a `key` query parameter for simple requests).
+//
+// TRACKER_WRITE_KEYS       storefront:key pairs, comma separated, e.g. "croscrow:wk_3f9a..."
+// TRACKER_ALLOWED_ORIGINS  storefront origins allowed to send events, comma separated.
+//                          Leave unset to accept any origin (the write key is still required).
+// TRACKER_RATE_LIMIT_PER_IP / TRACKER_RATE_LIMIT_PER_KEY  requests per minute.
+// TRACKER_MAX_PAYLOAD_BYTES  largest accepted event body.
+// TRUST_PROXY=true         read the client IP from X-Forwarded-For (needed behind Render's
+//                          proxy, otherwise every request shares one IP). Clients can send
+//                          their own X-Forwarded-For, so only the entries appended by our
+//                          proxies are trusted: TRUSTED_PROXY_HOPS entries from the right.
+const TRACKER_KEY_HEADER = 'x-tracker-key';
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_PER_IP = config.tracker.rateLimitPerIp;
+const RATE_LIMIT_PER_KEY = config.tracker.rateLimitPerKey;
+const TRACKING_MAX_PAYLOAD_BYTES = config.tracker.maxPayloadBytes;
+const TRUST_PROXY = config.trustProxy;
+const TRUSTED_PROXY_HOPS = config.trustedProxyHops;
+
+const FACEBOOK_EVENT_NAMES = ['ViewContent', 'AddToCart', 'InitiateCheckout', 'Purchase'];
+
+// What public/js/fb_event_tracker.js sends. Also published in /openapi.json.
+const FACEBOOK_EVENT_SCHEMA = {
+    eventName: { required: true, enum: FACEBOOK_EVENT_NAMES },
+    productId: { type: 'string', maxLength: 50 },
+    productName: { type: 'string', maxLength: 500 },
+    variantId: { type: 'string', maxLength: 50 },
+    variantName: { type: 'string', maxLength: 500 },
+    orderId: { type: 'string', maxLength: 50 },
+    quantity: { type: 'number', min: 0 },
+    price: { type: 'number', min: 0 },
+    cart: { type: 'object', description: 'The storefront /cart.js response.' },
+    timestamp: { type: 'string', description: 'ISO 8601. Defaults to the time the event was received.' }
+};
+const FACEBOOK_EVENT_FIELDS = Object.keys(FACEBOOK_EVENT_SCHEMA);
+
+function loadWriteKeys() {
+    const keys = new Map();
+    config.tracker.writeKeys.forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0 || separator === entry.length - 1) {
+            logger.warn(`Ignoring malformed TRACKER_WRITE_KEYS entry. Expected "storefront:key".`);
+            return;
+        }
+        keys.set(entry.substring(separator + 1), entry.substring(0, separator));
+    });
+    return keys;
+}
+
+const WRITE_KEYS = loadWriteKeys();
+const ALLOWED_ORIGINS = config.tracker.allowedOrigins.map(origin => origin.replace(/\/$/, ''));
+
+if (WRITE_KEYS.size === 0) {
+    logger.warn('TRACKER_WRITE_KEYS is not set. All storefront tracking requests will be rejected.');
+}
+
+/**
+ * A fixed-window counter, kept in memory. Good enough for a single instance;
+ * limits reset when the server restarts.
+ * @param {number} limit - Allowed hits per window.
+ * @param {number} windowMs
+ */
+function createRateLimiter(limit, windowMs) {
+    const windows = new Map();
+    let lastSweep = Date.now();
+
+    return {
+        /**
+         * Records a hit for a key.
+         * @param {string} key
+         * @returns {{allowed: boolean, retryAfterSeconds: number}}
+         */
+        hit(key) {
+            const now = Date.now();
+            if (now - lastSweep > windowMs) {
+                for (const [k, entry] of windows) {
+                    if (now >= entry.resetAt) windows.delete(k);
+                }
+                lastSweep = now;
+            }
+            let entry = windows.get(key);
+            if (!entry || now >= entry.resetAt) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count++;
+            return {
+                allowed: entry.count <= limit,
+                retryAfterSeconds: Math.ceil((entry.resetAt - now) / 1000)
+            };
+        }
+    };
+}
+
+const ipLimiter = createRateLimiter(RATE_LIMIT_PER_IP, RATE_LIMIT_WINDOW_MS);
+const keyLimiter = createRateLimiter(RATE_LIMIT_PER_KEY, RATE_LIMIT_WINDOW_MS);
+
+/**
+ * The address that connected to our outermost proxy. Entries to the left of
+ * it were written by the client and can be anything.
+ * @param {http.IncomingMessage} req
+ * @returns {string}
+ */
+function getClientIp(req) {
+    if (TRUST_PROXY && req.headers['x-forwarded-for']) {
+        const hops = String(req.headers['x-forwarded-for']).split(',').map(entry => entry.trim()).filter(Boolean);
+        if (hops.length > 0) {
+            return hops[Math.max(0, hops.length - TRUSTED_PROXY_HOPS)];
+        }
+    }
+    return req.socket.remoteAddress || '';
+}
+
+function isOriginAllowed(origin) {
+    if (ALLOWED_ORIGINS.length === 0) {
+        return true;
+    }
+    return !!origin && ALLOWED_ORIGINS.includes(origin);
+}
+
+/**
+ * CORS headers for tracking endpoints. The request origin is echoed back only
+ * when it is on the allow list.
+ * @param {http.IncomingMessage} req
+ * @returns {object}
+ */
+function getTrackingCorsHeaders(req) {
+    const origin = req.headers.origin;
+    const headers = {
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, X-Tracker-Key',
+        'Vary': 'Origin'
+    };
+    if (ALLOWED_ORIGINS.length === 0) {
+        headers['Access-Control-Allow-Origin'] = '*';
+    } else if (isOriginAllowed(origin)) {
+        headers['Access-Control-Allow-Origin'] = origin;
+    }
+    return headers;
+}
+
+function findStorefrontForKey(submittedKey) {
+    const submitted = Buffer.from(submittedKey);
+    for (const [key, storefront] of WRITE_KEYS) {
+        const expected = Buffer.from(key);
+        if (expected.length === submitted.length && crypto.timingSafeEqual(expected, submitted)) {
+            return storefront;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks origin, write key, rate limits and declared size before a tracking
+ * request's body is read.
+ * @param {http.IncomingMessage} req
+ * @returns {{ok: true, storefront: string, ip: string}|{ok: false, statusCode: number, reason: string, storefront: string|null, ip: string, retryAfterSeconds?: number}}
+ */
+function checkTrackingRequest(req) {
+    const ip = getClientIp(req);
+    const reject = (statusCode, reason, storefront = null, extra = {}) => ({ ok: false, statusCode, reason, storefront, ip, ...extra });
+
+    if (!isOriginAllowed(req.headers.origin)) {
+        return reject(403, 'origin_not_allowed');
+    }
+
+    const ipResult = ipLimiter.hit(ip);
+    if (!ipResult.allowed) {
+        return reject(429, 'ip_rate_limited', null, { retryAfterSeconds: ipResult.retryAfterSeconds });
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const submittedKey = req.headers[TRACKER_KEY_HEADER] || url.searchParams.get('key');
+    if (!submittedKey) {
+        return reject(401, 'missing_write_key');
+    }
+    const storefront = findStorefrontForKey(String(submittedKey));
+    if (!storefront) {
+        return reject(401, 'invalid_write_key');
+    }
+
+    const keyResult = keyLimiter.hit(storefront);
+    if (!keyResult.allowed) {
+        return reject(429, 'key_rate_limited', storefront, { retryAfterSeconds: keyResult.retryAfterSeconds });
+    }
+
+    const declaredLength = parseInt(req.headers['content-length'], 10);
+    if (declaredLength > TRACKING_MAX_PAYLOAD_BYTES) {
+        return reject(413, 'payload_too_large', storefront);
+    }
+
+    return { ok: true, storefront, ip };
+}
+
+/**
+ * Validates a Facebook pixel event and keeps only the fields we report on.
+ * @param {*} eventData - The parsed request body.
+ * @returns {object|null} - The event to store, or null if it is not a known event.
+ */
+function sanitizeFacebookEvent(eventData) {
+    if (!eventData || typeof eventData !== 'object' || Array.isArray(eventData)) {
+        return null;
+    }
+    if (!FACEBOOK_EVENT_NAMES.includes(eventData.eventName)) {
+        return null;
+    }
+    const event = {};
+    FACEBOOK_EVENT_FIELDS.forEach(field => {
+        if (eventData[field] !== undefined) {
+            event[field] = eventData[field];
+        }
+    });
+    // Reports filter on the ISO string, so store it in one canonical form.
+    const timestamp = typeof event.timestamp === 'string' ? Date.parse(event.timestamp) : NaN;
+    event.timestamp = new Date(isNaN(timestamp) ? Date.now() : timestamp).toISOString();
+    return event;
+}
+
+module.exports = {
+    TRACKING_MAX_PAYLOAD_BYTES,
+    FACEBOOK_EVENT_SCHEMA,
+    createRateLimiter,
+    getClientIp,
+    getTrackingCorsHeaders,
+    checkTrackingRequest,
+    sanitizeFacebookEvent,
+};
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config');
+
+// --- Logging ---
+// Every log line is one JSON object:
+//
+//   {"time":"2024-04-01T10:00:00.000Z","level":"info","msg":"Request finished","requestId":"...","status":200}
+//
+// Lines written while a request is being handled carry its requestId, which is
+// also sent back in the X-Request-Id header. Access tokens, passwords and
+// customer details are redacted before anything is written (see redact()).
+//
+// LOG_LEVEL, LOG_FILE, LOG_FILE_MAX_BYTES and LOG_FILE_MAX_FILES are described
+// in config.js. Rotated files are kept as LOG_FILE.1, LOG_FILE.2, ...
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = config.log.level;
+const LOG_FILE = config.log.file;
+const LOG_FILE_MAX_BYTES = config.log.fileMaxBytes;
+const LOG_FILE_MAX_FILES = config.log.fileMaxFiles;
+
+const REDACTED = '[REDACTED]';
+
+// Fields whose values are always replaced, wherever they appear in a log line.
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|cookie|api[-_]?key|write[-_]?key|recovery|totp|csrf/i;
+// Shopify customer details. Orders and draft orders carry these at any depth.
+const CUSTOMER_KEYS = new Set([
+    'customer', 'email', 'contact_email', 'phone', 'first_name', 'last_name',
+    'billing_address', 'shipping_address', 'default_address', 'addresses',
+    'browser_ip', 'client_details', 'note'
+]);
+// Secrets and e-mail addresses inside free text, such as Shopify error bodies.
+const SECRET_VALUE_PATTERNS = [
+    [/\b(shpat|shpca|shppa|shpss|ccat)_[A-Za-z0-9]+/g, REDACTED],
+    [/\bBearer\s+[A-Za-z0-9._~+/=-]+/gi, `Bearer ${REDACTED}`],
+    [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, REDACTED]
+];
+const MAX_DEPTH = 8;
+
+const requestContext = new AsyncLocalStorage();
+
+function redactString(value) {
+    return SECRET_VALUE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function redactFields(source, depth) {
+    const copy = {};
+    Object.entries(source).forEach(([key, fieldValue]) => {
+        copy[key] = SECRET_KEY_PATTERN.test(key) || CUSTOMER_KEYS.has(key)
+            ? REDACTED
+            : redact(fieldValue, depth + 1);
+    });
+    return copy;
+}
+
+/**
+ * Returns a copy of a value that is safe to log: secret and customer fields
+ * are replaced, strings are scrubbed and errors become plain objects.
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value instanceof Error) {
+        if (depth >= MAX_DEPTH) {
+            return { name: value.name, message: redactString(value.message) };
+        }
+        // Fields set on the error, such as code, shopifyStatus and attempts, are kept.
+        const error = { name: value.name, message: redactString(value.message), ...redactFields(value, depth) };
+        if (value.stack) error.stack = redactString(value.stack);
+        return error;
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return redactFields(value, depth);
+}
+
+// --- Log File Rotation ---
+// Writes are synchronous so lines stay in order and the last ones before a
+// crash aren't lost.
+let logFd = null;
+let logFileSize = 0;
+
+function openLogFile() {
+    logFd = fs.openSync(LOG_FILE, 'a');
+    logFileSize = fs.fstatSync(logFd).size;
+}
+
+function rotateLogFile() {
+    fs.closeSync(logFd);
+    for (let i = LOG_FILE_MAX_FILES - 1; i >= 1; i--) {
+        if (fs.existsSync(`${LOG_FILE}.${i}`)) {
+            fs.renameSync(`${LOG_FILE}.${i}`, `${LOG_FILE}.${i + 1}`);
+        }
+    }
+    fs.renameSync(LOG_FILE, `${LOG_FILE}.1`);
+    openLogFile();
+}
+
+function writeLine(line) {
+    if (!LOG_FILE) {
+        process.stdout.write(line);
+        return;
+    }
+    try {
+        if (logFd === null) {
+            openLogFile();
+        }
+        if (logFileSize > 0 && logFileSize + Buffer.byteLength(line) > LOG_FILE_MAX_BYTES) {
+            rotateLogFile();
+        }
+        fs.writeSync(logFd, line);
+        logFileSize += Buffer.byteLength(line);
+    } catch (error) {
+        // Never lose a line because the log file can't be written.
+        process.stderr.write(`Could not write to LOG_FILE ${LOG_FILE}: ${error.message}\n`);
+        process.stdout.write(line);
+    }
+}
+
+function write(level, bindings, message, fields) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+        return;
+    }
+    const context = requestContext.getStore();
+    // A bare error is logged as { error }.
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactString(String(message)),
+        ...(context ? { requestId: context.requestId } : {}),
+        ...redact({ ...bindings, ...extra })
+    };
+    writeLine(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Creates a logger. Each method takes a message and an optional object of
+ * fields, or an Error:
+ *
+ *   logger.error('Error fetching vendors', { error, vendorId });
+ *
+ * @param {object} [bindings] - Fields added to every line, e.g. { module: 'sync' }.
+ * @returns {{debug: function, info: function, warn: function, error: function, child: function}}
+ */
+function createLogger(bindings = {}) {
+    return {
+        debug: (message, fields) => write('debug', bindings, message, fields),
+        info: (message, fields) => write('info', bindings, message, fields),
+        warn: (message, fields) => write('warn', bindings, message, fields),
+        error: (message, fields) => write('error', bindings, message, fields),
+        child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+    };
+}
+
+const logger = createLogger();
+
+// Request IDs from a proxy in front of the app are kept if they look sane.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,100}$/;
+
+/**
+ * Wraps the server's request handler so each request gets an ID, every line
+ * logged while handling it carries that ID, and one line is logged when the
+ * response has been sent.
+ * @param {function} handler - (req, res)
+ * @returns {function} - (req, res)
+ */
+function withRequestLogging(handler) {
+    return (req, res) => {
+        const incomingId = req.headers['x-request-id'];
+        const requestId = REQUEST_ID_PATTERN.test(incomingId || '') ? incomingId : crypto.randomUUID();
+        const startedAt = process.hrtime.bigint();
+        res.setHeader('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+            const level = res.statusCode >= 500 ? 'error' : 'info';
+            requestContext.run({ requestId }, () => logger[level]('Request finished', {
+                method: req.method,
+                path: (req.url || '').split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10
+            }));
+        });
+
+        return requestContext.run({ requestId }, () => handler(req, res));
+    };
+}
+
+module.exports = {
+    logger,
+    createLogger,
+    redact,
+    withRequestLogging,
+};
@@ -0,0 +1,114 @@
+const { getLoginAttempts, incrementLoginFailures, lockLoginAttempts, clearLoginAttempts } = require('./db');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+// --- Login Throttling ---
+// Failed logins (wrong password or wrong second-factor code) are counted per
+// account and per client IP in the login_attempts collection. After a few
+// failures each further attempt has to wait progressively longer, and after
+// too many the account or IP is locked out for a while. Counters are forgotten
+// once FAILURE_WINDOW_MS passes without a failure.
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MS = config.login.lockoutMinutes * 60 * 1000;
+const MAX_DELAY_SECONDS = 60;
+
+// An IP gets more room than an account, since an office may share one address.
+const POLICIES = {
+    account: { delayAfter: 3, lockAfter: config.login.maxFailuresPerAccount },
+    ip: { delayAfter: 10, lockAfter: config.login.maxFailuresPerIp }
+};
+
+// The IP comes from getClientIp(), which behind a proxy reads only the
+// X-Forwarded-For entry our proxy appended, so a client can't dodge the IP
+// limit by sending a new address each time. Without an address there is
+// nothing to count, and the account limit still applies.
+function attemptKeys(username, ip) {
+    const keys = [];
+    if (ip) {
+        keys.push({ key: `ip:${ip}`, policy: POLICIES.ip });
+    }
+    if (username) {
+        keys.push({ key: `account:${username}`, policy: POLICIES.account });
+    }
+    return keys;
+}
+
+/**
+ * How many seconds a key must still wait before its next attempt.
+ */
+function secondsUntilAllowed(attempt, policy, now) {
+    if (!attempt) {
+        return 0;
+    }
+    if (attempt.lockedUntil && now < new Date(attempt.lockedUntil).getTime()) {
+        return Math.ceil((new Date(attempt.lockedUntil).getTime() - now) / 1000);
+    }
+    const lastFailureAt = attempt.lastFailureAt ? new Date(attempt.lastFailureAt).getTime() : 0;
+    if (now - lastFailureAt > FAILURE_WINDOW_MS || attempt.failures < policy.delayAfter) {
+        return 0;
+    }
+    const delaySeconds = Math.min(2 ** (attempt.failures - policy.delayAfter), MAX_DELAY_SECONDS);
+    return Math.max(0, Math.ceil((lastFailureAt + delaySeconds * 1000 - now) / 1000));
+}
+
+/**
+ * Checks whether a login attempt may proceed.
+ * @param {string} username - The submitted username (may be unknown).
+ * @param {string} ip - The client IP.
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds: number}>}
+ */
+async function checkLoginAllowed(username, ip) {
+    const keys = attemptKeys(username, ip);
+    const attempts = await getLoginAttempts(keys.map(k => k.key));
+    const now = Date.now();
+    const retryAfterSeconds = Math.max(0, ...keys.map(({ key, policy }) => {
+        return secondsUntilAllowed(attempts.find(a => a._id === key), policy, now);
+    }));
+    return { allowed: retryAfterSeconds === 0, retryAfterSeconds };
+}
+
+/**
+ * Counts a failed attempt against the account and the IP, locking either if it
+ * has reached its limit.
+ * @param {string} username
+ * @param {string} ip
+ */
+async function recordLoginFailure(username, ip) {
+    const now = new Date();
+    for (const { key, policy } of attemptKeys(username, ip)) {
+        const attempt = await incrementLoginFailures(key, now, new Date(now.getTime() + FAILURE_WINDOW_MS), FAILURE_WINDOW_MS);
+        if (attempt && attempt.failures >= policy.lockAfter) {
+            logger.warn('Locking out login after repeated failures', { key, minutes: LOCKOUT_MS / 60000, failures: attempt.failures });
+            await lockLoginAttempts(key, new Date(now.getTime() + LOCKOUT_MS));
+        }
+    }
+}
+
+/**
+ * Forgets an account's failed attempts after a successful login or a password reset.
+ * The IP counter is left alone so one valid login cannot reset it for an attacker.
+ * @param {string} username
+ */
+async function clearLoginFailures(username) {
+    await clearLoginAttempts(`account:${username}`);
+}
+
+/**
+ * A human-readable wait, e.g. "30 seconds" or "15 minutes".
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatRetryAfter(seconds) {
+    if (seconds < 60) {
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+    checkLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures,
+    formatRetryAfter,
+};
@@ -0,0 +1,414 @@
+// --- Metrics ---
+// Counters and histograms served at /metrics in the Prometheus text format
+// (version 0.0.4), for a Prometheus server or any agent that scrapes it.
+// Metrics live in memory and start from zero when the process restarts, which
+// Prometheus expects of counters.
+//
+// Labels must come from a small, fixed set of values: route patterns rather
+// than paths, store names rather than URLs. Every distinct combination of
+// label values is kept for the life of the process.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds. Covers a fast page render up to a slow Shopify call.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = [];
+
+function escapeHelp(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, labelValues, extra = {}) {
+    const pairs = labelNames.map((name, index) => `${name}="${escapeLabelValue(labelValues[index])}"`)
+        .concat(Object.entries(extra).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`));
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Turns a labels object into values in labelNames order. Missing labels are
+ * empty strings, as Prometheus treats them.
+ */
+function labelValuesOf(labelNames, labels = {}) {
+    return labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+}
+
+function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+        throw new Error(`Metric "${metric.name}" is already registered.`);
+    }
+    metrics.push(metric);
+    return metric;
+}
+
+/**
+ * A value that only goes up, such as requests served.
+ * @param {object} definition
+ * @param {string} definition.name - Ends in _total by convention.
+ * @param {string} definition.help
+ * @param {string[]} [definition.labelNames]
+ * @returns {{inc: function}}
+ */
+function createCounter({ name, help, labelNames = [] }) {
+    const series = new Map();
+    register({
+        name,
+        render() {
+            const lines = [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} counter`];
+            series.forEach(({ labelValues, value }) => {
+                lines.push(`${name}${formatLabels(labelNames, labelValues)} ${formatValue(value)}`);
+            });
+            return lines;
+        }
+    });
+
+    return {
+        /**
+         * @param {object} [labels]
+         * @param {number} [amount=1]
+         */
+        inc(labels, amount = 1) {
+            if (amount < 0) {
+                throw new Error(`Counter "${name}" cannot go down.`);
+            }
+            const labelValues = labelValuesOf(labelNames, labels);
+            const key = labelValues.join('\u0000');
+            const entry = series.get(key) || { labelValues, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        }
+    };
+}
+
+/**
+ * A value read when /metrics is scraped, such as memory in use.
+ * @param {object} definition
+ * @param {string} definition.name
+ * @param {string} definition.help
+ * @param {function} definition.collect - () => number, or [{ labels, value }] with labelNames.
+ * @param {string[]} [definition.labelNames]
+ */
+function createGauge({ name, help, collect, labelNames = [] }) {
+    register({
+        name,
+        render() {
+            const lines = [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} gauge`];
+            const collected = collect();
+            const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+            samples.forEach(({ labels, value }) => {
+                lines.push(`${name}${formatLabels(labelNames, labelValuesOf(labelNames, labels))} ${formatValue(value)}`);
+            });
+            return lines;
+        }
+    });
+}
+
+/**
+ * Counts observations into buckets, such as request durations.
+ * @param {object} definition
+ * @param {string} definition.name - Ends in the unit, e.g. _seconds.
+ * @param {string} definition.help
+ * @param {string[]} [definition.labelNames]
+ * @param {number[]} [definition.buckets] - Upper bounds, ascending.
+ * @returns {{observe: function, startTimer: function}}
+ */
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = new Map();
+    register({
+        name,
+        render() {
+            const lines = [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} histogram`];
+            series.forEach(({ labelValues, bucketCounts, sum, count }) => {
+                let cumulative = 0;
+                buckets.forEach((bound, index) => {
+                    cumulative += bucketCounts[index];
+                    lines.push(`${name}_bucket${formatLabels(labelNames, labelValues, { le: formatValue(bound) })} ${cumulative}`);
+                });
+                lines.push(`${name}_bucket${formatLabels(labelNames, labelValues, { le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labelNames, labelValues)} ${formatValue(sum)}`);
+                lines.push(`${name}_count${formatLabels(labelNames, labelValues)} ${count}`);
+            });
+            return lines;
+        }
+    });
+
+    const histogram = {
+        /**
+         * @param {object} labels
+         * @param {number} value - In the metric's unit.
+         */
+        observe(labels, value) {
+            const labelValues = labelValuesOf(labelNames, labels);
+            const key = labelValues.join('\u0000');
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { labelValues, bucketCounts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            const index = buckets.findIndex(bound => value <= bound);
+            if (index !== -1) {
+                entry.bucketCounts[index]++;
+            }
+            entry.sum += value;
+            entry.count++;
+        },
+
+        /**
+         * Starts timing something in seconds.
+         * @param {object} [labels] - Labels known at the start.
+         * @returns {function} - Call with any labels only known at the end, e.g. the status.
+         */
+        startTimer(labels = {}) {
+            const startedAt = process.hrtime.bigint();
+            return (endLabels = {}) => {
+                const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+                histogram.observe({ ...labels, ...endLabels }, seconds);
+                return seconds;
+            };
+        }
+    };
+    return histogram;
+}
+
+/**
+ * Every registered metric in the text exposition format.
+ * @returns {string}
+ */
+function renderMetrics() {
+    return metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+}
+
+// --- App Metrics ---
+const httpRequestsTotal = createCounter({
+    name: 'http_requests_total',
+    help: 'HTTP requests served, by route pattern, method and status code.',
+    labelNames: ['method', 'route', 'status']
+});
+const httpRequestDuration = createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time from receiving an HTTP request to finishing the response.',
+    labelNames: ['method', 'route', 'status']
+});
+
+const shopifyRequestsTotal = createCounter({
+    name: 'shopify_requests_total',
+    help: 'Requests to the Shopify Admin API, by store, method, resource and status code. Status is "error" when no response arrived.',
+    labelNames: ['store', 'method', 'resource', 'status']
+});
+const shopifyRequestDuration = createHistogram({
+    name: 'shopify_request_duration_seconds',
+    help: 'Time taken by requests to the Shopify Admin API.',
+    labelNames: ['store', 'method', 'resource', 'status']
+});
+const shopifyRetriesTotal = createCounter({
+    name: 'shopify_request_retries_total',
+    help: 'Shopify requests sent again after a 429, a 5xx or a dropped connection, by store, method and reason.',
+    labelNames: ['store', 'method', 'reason']
+});
+const shopifyDeprecatedRequestsTotal = createCounter({
+    name: 'shopify_deprecated_requests_total',
+    help: 'Shopify responses that reported a deprecated call or a retired API version, by store and requested version.',
+    labelNames: ['store', 'api_version']
+});
+const shopifyThrottleWaitSeconds = createCounter({
+    name: 'shopify_throttle_wait_seconds_total',
+    help: 'Time requests spent waiting for room in a store\'s API call limit.',
+    labelNames: ['store']
+});
+
+const syncOperationsTotal = createCounter({
+    name: 'sync_operations_total',
+    help: 'Finished catalog syncs, by type, vendor and outcome.',
+    labelNames: ['type', 'vendor', 'outcome']
+});
+const syncItemsTotal = createCounter({
+    name: 'sync_items_total',
+    help: 'Products processed by catalog syncs, by type, vendor and result (created, updated, skipped or failed).',
+    labelNames: ['type', 'vendor', 'result']
+});
+const syncDuration = createHistogram({
+    name: 'sync_duration_seconds',
+    help: 'Time taken by catalog syncs.',
+    labelNames: ['type', 'vendor'],
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200, 3600]
+});
+
+const trackingEventsTotal = createCounter({
+    name: 'tracking_events_ingested_total',
+    help: 'Storefront tracking events accepted, by event name.',
+    labelNames: ['event_name']
+});
+const trackingRejectionsTotal = createCounter({
+    name: 'tracking_requests_rejected_total',
+    help: 'Storefront tracking requests refused, by reason.',
+    labelNames: ['reason']
+});
+
+const mongoCommandDuration = createHistogram({
+    name: 'mongodb_command_duration_seconds',
+    help: 'Time taken by MongoDB commands, by command, collection and outcome.',
+    labelNames: ['command', 'collection', 'outcome']
+});
+
+createGauge({
+    name: 'process_uptime_seconds',
+    help: 'Seconds since the process started.',
+    collect: () => Math.round(process.uptime())
+});
+createGauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes.',
+    collect: () => process.memoryUsage().rss
+});
+createGauge({
+    name: 'nodejs_heap_used_bytes',
+    help: 'V8 heap in use, in bytes.',
+    collect: () => process.memoryUsage().heapUsed
+});
+
+/**
+ * Wraps the server's request handler to count and time every request. The
+ * route label is the matched pattern, e.g. /vendors/:id, or "unmatched".
+ * @param {function} handler - (req, res)
+ * @returns {function}
+ */
+function withRequestMetrics(handler) {
+    return (req, res) => {
+        const endTimer = httpRequestDuration.startTimer();
+        res.on('finish', () => {
+            const labels = {
+                method: req.method,
+                route: req.route ? req.route.pattern : 'unmatched',
+                status: res.statusCode
+            };
+            endTimer(labels);
+            httpRequestsTotal.inc(labels);
+        });
+        return handler(req, res);
+    };
+}
+
+/**
+ * Counts and times one outgoing Shopify request.
+ * @param {http.ClientRequest} req - From https.request(); call before req.end().
+ */
+function observeShopifyRequest(req) {
+    const url = new URL(req.path, `https://${req.host}`);
+    // /admin/api/2024-04/products/123.json -> products
+    const resourceMatch = /^\/admin\/api\/[^/]+\/([a-z_]+)/.exec(url.pathname);
+    const labels = {
+        store: req.host.replace(/\.myshopify\.com$/, ''),
+        method: req.method,
+        resource: resourceMatch ? resourceMatch[1] : 'other'
+    };
+    const endTimer = shopifyRequestDuration.startTimer(labels);
+    let recorded = false;
+    const record = status => {
+        if (!recorded) {
+            recorded = true;
+            endTimer({ status });
+            shopifyRequestsTotal.inc({ ...labels, status });
+        }
+    };
+    req.on('response', res => res.on('end', () => record(res.statusCode)));
+    req.on('error', () => record('error'));
+}
+
+/**
+ * @param {object} retry - From the Shopify client: store, method and reason.
+ */
+function recordShopifyRetry({ store, method, reason }) {
+    shopifyRetriesTotal.inc({ store, method, reason });
+}
+
+/**
+ * @param {string} store
+ * @param {string} apiVersion - The version the request asked for.
+ */
+function recordShopifyDeprecatedRequest(store, apiVersion) {
+    shopifyDeprecatedRequestsTotal.inc({ store, api_version: apiVersion });
+}
+
+/**
+ * @param {string} store
+ * @param {number} seconds
+ */
+function recordShopifyThrottleWait(store, seconds) {
+    shopifyThrottleWaitSeconds.inc({ store }, seconds);
+}
+
+/**
+ * Records a finished sync operation (see operations.js).
+ * @param {object} operation - Its toJSON().
+ * @param {string} vendor - The vendor's name.
+ */
+function recordSyncOperation(operation, vendor) {
+    const labels = { type: operation.type, vendor };
+    syncOperationsTotal.inc({ ...labels, outcome: operation.status });
+    ['created', 'updated', 'skipped', 'failed'].forEach(result => {
+        if (operation.counts[result] > 0) {
+            syncItemsTotal.inc({ ...labels, result }, operation.counts[result]);
+        }
+    });
+    syncDuration.observe(labels, (new Date(operation.finishedAt) - new Date(operation.createdAt)) / 1000);
+}
+
+/**
+ * @param {string} eventName - e.g. 'AddToCart'.
+ */
+function recordTrackingEvent(eventName) {
+    trackingEventsTotal.inc({ event_name: eventName });
+}
+
+/**
+ * @param {string} reason - e.g. 'rate_limited'.
+ */
+function recordRejectedTrackingRequest(reason) {
+    trackingRejectionsTotal.inc({ reason });
+}
+
+/**
+ * Times every command a MongoClient sends. The client must be created with
+ * `monitorCommands: true`.
+ * @param {MongoClient} client
+ */
+function observeMongoCommands(client) {
+    // Only the started event names the collection.
+    const collections = new Map();
+    client.on('commandStarted', event => {
+        const collection = event.command[event.commandName];
+        collections.set(event.requestId, typeof collection === 'string' ? collection : '');
+    });
+    const record = outcome => event => {
+        const collection = collections.get(event.requestId) || '';
+        collections.delete(event.requestId);
+        mongoCommandDuration.observe({ command: event.commandName, collection, outcome }, event.duration / 1000);
+    };
+    client.on('commandSucceeded', record('success'));
+    client.on('commandFailed', record('failure'));
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics,
+    withRequestMetrics,
+    observeShopifyRequest,
+    recordShopifyRetry,
+    recordShopifyDeprecatedRequest,
+    recordShopifyThrottleWait,
+    recordSyncOperation,
+    recordTrackingEvent,
+    recordRejectedTrackingRequest,
+    observeMongoCommands,
+};
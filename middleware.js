@@ -0,0 +1,395 @@
+const querystring = require('querystring');
+const { getUserById } = require('./db');
+const { loadSession } = require('./sessions');
+const { verifyCsrfToken } = require('./csrf');
+const { can } = require('./permissions');
+const { hasApiTokenHeader, loadApiToken } = require('./api-tokens');
+const { validateBody } = require('./validation');
+const { sendApiError } = require('./api');
+const { logger } = require('./logger');
+
+// --- Cookie Parser ---
+function parseCookies(request) {
+    const list = {};
+    const cookieHeader = request.headers?.cookie;
+    if (!cookieHeader) return list;
+
+    cookieHeader.split(';').forEach(function(cookie) {
+        let [ name, ...rest] = cookie.split('=');
+        name = name?.trim();
+        if (!name) return;
+        const value = rest.join('=').trim();
+        if (!value) return;
+        list[name] = decodeURIComponent(value);
+    });
+
+    return list;
+}
+
+// --- Body Reader ---
+/**
+ * Reads the full request body. The result is cached on the request so the
+ * CSRF check and the route handler can both read it.
+ * @param {http.IncomingMessage} req
+ * @param {number} [maxBytes] - Reject bodies larger than this with an error whose statusCode is 413.
+ * @returns {Promise<string>}
+ */
+function readBody(req, maxBytes) {
+    if (req.rawBody !== undefined) {
+        return Promise.resolve(req.rawBody);
+    }
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let received = 0;
+        let tooLarge = false;
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            received += chunk.length;
+            if (maxBytes && received > maxBytes) {
+                tooLarge = true;
+                const error = new Error('Request body too large');
+                error.statusCode = 413;
+                reject(error);
+                return;
+            }
+            body += chunk.toString();
+        });
+        req.on('end', () => {
+            if (tooLarge) return;
+            req.rawBody = body;
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+// --- Authentication ---
+/**
+ * Identifies the logged-in user in audit log entries.
+ * @param {object|null} user
+ * @param {object|null} [apiToken] - The API token the request was made with, if any.
+ * @returns {{userId: string, username: string, apiTokenId?: string, apiTokenName?: string}|undefined}
+ */
+function getAuditActor(user, apiToken) {
+    if (!user) {
+        return undefined;
+    }
+    const actor = { userId: String(user._id), username: user.username };
+    if (apiToken) {
+        actor.apiTokenId = String(apiToken._id);
+        actor.apiTokenName = apiToken.name;
+    }
+    return actor;
+}
+
+/**
+ * Resolves the logged-in user from the server-side session.
+ * @param {object} cookies - Parsed request cookies.
+ * @returns {Promise<{user: object, session: object}|null>} - Null if not logged in or the user is disabled.
+ */
+async function getAuthenticatedUser(cookies) {
+    const session = await loadSession(cookies);
+    if (!session) {
+        return null;
+    }
+    const user = await getUserById(session.userId);
+    if (!user || user.disabled) {
+        return null;
+    }
+    return { user, session };
+}
+
+/**
+ * Resolves the user behind the API token in the Authorization header.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<{user: object, apiToken: object}|null>} - Null if the token is invalid or revoked, or the user is disabled.
+ */
+async function getApiTokenUser(req) {
+    const apiToken = await loadApiToken(req);
+    if (!apiToken) {
+        return null;
+    }
+    const user = await getUserById(apiToken.userId);
+    if (!user || user.disabled) {
+        return null;
+    }
+    return { user, apiToken };
+}
+
+/**
+ * Whether the caller expects a JSON response rather than a page.
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function wantsJson(req) {
+    return (req.headers['content-type'] || '').includes('application/json') ||
+        (req.headers.accept || '').includes('application/json');
+}
+
+function sendForbidden(req, res) {
+    if (req.route && req.route.options.api) {
+        sendApiError(res, 403, 'You do not have permission to perform this action.');
+    } else if (wantsJson(req)) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'You do not have permission to perform this action.' }));
+    } else {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('Forbidden: your role does not have access to this page.');
+    }
+}
+
+/**
+ * Refuses a request body. JSON callers get `{success, error, fields}`, where
+ * `fields` maps field names to messages; forms get the messages as text.
+ * @param {number} statusCode - 400, 413 or 415.
+ * @param {string} error
+ * @param {object} [fields]
+ */
+function sendBodyError(req, res, statusCode, error, fields) {
+    const headers = {};
+    if (statusCode === 413) {
+        // The rest of the body was not read, so don't reuse the connection.
+        headers['Connection'] = 'close';
+    }
+    if (wantsJson(req)) {
+        res.writeHead(statusCode, { ...headers, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(fields ? { success: false, error, fields } : { success: false, error }));
+    } else {
+        res.writeHead(statusCode, { ...headers, 'Content-Type': 'text/plain' });
+        res.end(error);
+    }
+}
+
+// --- Middleware ---
+// Global middleware runs, in this order, for every matched route. Routes
+// describe who may call them through their options:
+//   { public: true }           anyone, logged in or not
+//   { vendor: true }           Croscrow vendors; the portal routes check the vendor session themselves
+//   { permission, scope }      logged-in users whose role has `permission` (null for any role).
+//                              API tokens also need `scope`; routes without one are browser-only.
+// A route that says none of these is refused, so forgetting to protect one fails closed.
+// Routes with { api: true } get their authentication errors as /api/v1
+// envelopes (see api.js) and a 401 instead of the redirect to /login.
+//
+// Request bodies are parsed for every route by Content-Type into req.body. A
+// route can change that with its `body` option:
+//   { body: { limit, schema } }    a size limit in bytes and a schema (see validation.js)
+//   { body: false }                the handler reads the body itself
+//
+// JSON routes also describe themselves for the OpenAPI document (see openapi.js):
+//   { docs: { summary, tags } }    lists the route in /openapi.json
+//   { query: schema }              the query parameters, checked by readQuery in api.js
+//   { response: schema }           the JSON body of successful responses
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const DEFAULT_BODY_LIMIT = 100 * 1024;
+
+/**
+ * Resolves the user from an API token or the session cookie. Sets req.cookies
+ * and res.locals.user, session, apiToken and actor.
+ */
+async function authenticate(req, res, next) {
+    req.cookies = parseCookies(req);
+    res.locals = { user: null, session: null, apiToken: null, actor: undefined };
+    if (req.route.options.vendor) {
+        await next();
+        return;
+    }
+
+    // A request with an Authorization header is judged on its token alone;
+    // cookies are ignored, so it also skips the CSRF check.
+    let auth;
+    if (hasApiTokenHeader(req)) {
+        const tokenAuth = await getApiTokenUser(req);
+        if (!tokenAuth) {
+            if (req.route.options.api) {
+                sendApiError(res, 401, 'Invalid or revoked API token.', undefined, { 'WWW-Authenticate': 'Bearer' });
+            } else {
+                res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+                res.end(JSON.stringify({ success: false, error: 'Invalid or revoked API token.' }));
+            }
+            return;
+        }
+        auth = { user: tokenAuth.user, session: null, apiToken: tokenAuth.apiToken };
+    } else {
+        auth = await getAuthenticatedUser(req.cookies);
+    }
+    if (auth) {
+        res.locals.user = auth.user;
+        res.locals.session = auth.session;
+        res.locals.apiToken = auth.apiToken || null;
+        res.locals.actor = getAuditActor(auth.user, auth.apiToken);
+    }
+    await next();
+}
+
+/**
+ * Enforces the route's options: sends anonymous visitors to /login and
+ * refuses users whose role or token does not allow the route.
+ */
+async function authorize(req, res, next) {
+    const { options } = req.route;
+    if (options.public || options.vendor) {
+        await next();
+        return;
+    }
+    const { user, apiToken } = res.locals;
+    if (!user && options.api) {
+        sendApiError(res, 401, 'Send an API token or log in first.', undefined, { 'WWW-Authenticate': 'Bearer' });
+        return;
+    }
+    if (!user) {
+        res.writeHead(302, { 'Location': '/login' });
+        res.end();
+        return;
+    }
+    if (options.permission === undefined || !can(user, options.permission) || (apiToken && !apiToken.scopes.includes(options.scope))) {
+        sendForbidden(req, res);
+        return;
+    }
+    await next();
+}
+
+/**
+ * Checks the CSRF token on state-changing requests made with a session cookie.
+ */
+async function verifyCsrf(req, res, next) {
+    if (!res.locals.session || SAFE_METHODS.includes(req.method) || req.route.options.public) {
+        await next();
+        return;
+    }
+    const body = await readBody(req);
+    if (!verifyCsrfToken(res.locals.session, req, body)) {
+        logger.warn('Rejected request with a missing or invalid CSRF token', { method: req.method, path: req.pathname });
+        if (wantsJson(req)) {
+            res.writeHead(403, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Invalid or missing CSRF token. Please reload the page and try again.' }));
+        } else {
+            res.writeHead(403, { 'Content-Type': 'text/plain' });
+            res.end('Invalid or missing CSRF token. Please reload the page and try again.');
+        }
+        return;
+    }
+    await next();
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${Math.round(bytes / (1024 * 1024))} MB`;
+    }
+    return bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} bytes`;
+}
+
+/**
+ * Reads the request body and parses it by Content-Type into req.body: JSON or
+ * urlencoded forms. Answers 413 over the route's limit, 415 for other types
+ * and 400 for malformed JSON.
+ */
+async function parseBody(req, res, next) {
+    const bodyOptions = req.route.options.body;
+    if (SAFE_METHODS.includes(req.method) || bodyOptions === false) {
+        await next();
+        return;
+    }
+    const limit = (bodyOptions && bodyOptions.limit) || DEFAULT_BODY_LIMIT;
+    let body;
+    try {
+        body = await readBody(req, limit);
+    } catch (error) {
+        if (error.statusCode === 413) {
+            sendBodyError(req, res, 413, `Request body is too large. The limit is ${formatBytes(limit)}.`);
+        } else {
+            logger.error('Error reading request body', { method: req.method, path: req.pathname, error });
+            sendBodyError(req, res, 400, 'Could not read the request body.');
+        }
+        return;
+    }
+
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!body.trim()) {
+        req.body = {};
+    } else if (contentType === 'application/json') {
+        try {
+            req.body = JSON.parse(body);
+        } catch (error) {
+            sendBodyError(req, res, 400, 'Request body must be valid JSON.');
+            return;
+        }
+    } else if (contentType === 'application/x-www-form-urlencoded') {
+        req.body = querystring.parse(body);
+    } else {
+        sendBodyError(req, res, 415, 'Request body must be JSON or a urlencoded form.');
+        return;
+    }
+    await next();
+}
+
+/**
+ * Checks req.body against the route's `body.schema` option and answers 400
+ * with a message per invalid field. Runs after the CSRF check.
+ */
+async function validateRequestBody(req, res, next) {
+    const bodyOptions = req.route.options.body;
+    if (!bodyOptions || !bodyOptions.schema || SAFE_METHODS.includes(req.method)) {
+        await next();
+        return;
+    }
+    const fields = validateBody(req.body, bodyOptions.schema);
+    if (fields) {
+        logger.warn('Rejected body that does not match its schema', { method: req.method, path: req.pathname, fields });
+        sendBodyError(req, res, 400, Object.values(fields).join(' '), fields);
+        return;
+    }
+    await next();
+}
+
+/**
+ * Checks successful JSON responses against the route's `response` schema.
+ * Mismatches are logged, not sent to the client, so a schema that falls behind
+ * the handler shows up in the logs instead of breaking the page.
+ */
+async function validateResponse(req, res, next) {
+    const schema = req.route.options.response;
+    if (!schema) {
+        await next();
+        return;
+    }
+    // Handlers pass their headers to writeHead, which getHeader can't see.
+    let contentType = '';
+    const writeHead = res.writeHead;
+    res.writeHead = function (statusCode, ...args) {
+        const headers = args.find(arg => arg && typeof arg === 'object') || {};
+        const name = Object.keys(headers).find(key => key.toLowerCase() === 'content-type');
+        contentType = String(name ? headers[name] : res.getHeader('content-type') || '');
+        return writeHead.call(this, statusCode, ...args);
+    };
+    const end = res.end;
+    res.end = function (chunk, ...args) {
+        if (chunk && res.statusCode >= 200 && res.statusCode < 300 && contentType.includes('application/json')) {
+            let fields;
+            try {
+                fields = validateBody(JSON.parse(chunk), schema);
+            } catch (error) {
+                fields = { body: 'Response is not valid JSON.' };
+            }
+            if (fields) {
+                logger.warn('Response does not match its schema', { method: req.method, route: req.route.pattern, fields });
+            }
+        }
+        return end.call(this, chunk, ...args);
+    };
+    await next();
+}
+
+module.exports = {
+    parseCookies,
+    readBody,
+    getAuditActor,
+    wantsJson,
+    sendForbidden,
+    authenticate,
+    authorize,
+    parseBody,
+    verifyCsrf,
+    validateRequestBody,
+    validateResponse,
+};
@@ -0,0 +1,211 @@
+const { version } = require('./package.json');
+const { config } = require('./config');
+
+// --- OpenAPI ---
+// Builds the OpenAPI document served at /openapi.json from the registered
+// routes, so it can't drift from what the server accepts. Routes are listed
+// when they have a `docs` option; their `body.schema`, `query` and `response`
+// options (see validation.js) become the request and response schemas.
+const OPENAPI_VERSION = '3.0.3';
+
+const TYPE_FORMATS = {
+    string: { type: 'string' },
+    number: { type: 'number' },
+    boolean: { type: 'boolean' },
+    array: { type: 'array' },
+    object: { type: 'object' }
+};
+
+// Error bodies from the middleware and the older JSON routes. /api/v1 routes
+// use API_ERROR_SCHEMA instead.
+const JSON_ERROR_SCHEMA = {
+    success: { type: 'boolean' },
+    error: { type: 'string' },
+    message: { type: 'string' },
+    fields: { type: 'object', description: 'Field names mapped to messages.' }
+};
+
+const API_ERROR_SCHEMA = {
+    success: { type: 'boolean', required: true },
+    error: {
+        type: 'object',
+        required: true,
+        properties: {
+            code: { type: 'string', required: true },
+            message: { type: 'string', required: true },
+            fields: { type: 'object', description: 'Parameter names mapped to messages.' }
+        }
+    }
+};
+
+/**
+ * Converts one validation rule to a JSON Schema.
+ * @param {object|string} rule - A rule, or a bare type name for array items.
+ * @returns {object}
+ */
+function ruleToJsonSchema(rule) {
+    if (typeof rule === 'string') {
+        return { ...TYPE_FORMATS[rule] };
+    }
+    const jsonSchema = rule.type ? { ...TYPE_FORMATS[rule.type] } : {};
+    if (rule.description) jsonSchema.description = rule.description;
+    if (rule.enum) jsonSchema.enum = rule.enum;
+    if (rule.min !== undefined) jsonSchema.minimum = rule.min;
+    if (rule.max !== undefined) jsonSchema.maximum = rule.max;
+    if (rule.maxLength !== undefined) {
+        jsonSchema[rule.type === 'array' ? 'maxItems' : 'maxLength'] = rule.maxLength;
+    }
+    if (rule.pattern) jsonSchema.pattern = rule.pattern.source;
+    if (rule.items) jsonSchema.items = ruleToJsonSchema(rule.items);
+    if (rule.properties) Object.assign(jsonSchema, schemaToJsonSchema(rule.properties));
+    if (rule.type === 'array' && !jsonSchema.items) jsonSchema.items = {};
+    return jsonSchema;
+}
+
+/**
+ * Converts a validation schema (field names mapped to rules) to an object JSON Schema.
+ * @param {object} schema
+ * @returns {object}
+ */
+function schemaToJsonSchema(schema) {
+    const properties = {};
+    const required = [];
+    Object.entries(schema).forEach(([name, rule]) => {
+        properties[name] = ruleToJsonSchema(rule);
+        if (rule.required) {
+            required.push(name);
+        }
+    });
+    const jsonSchema = { type: 'object', properties };
+    if (required.length > 0) {
+        jsonSchema.required = required;
+    }
+    return jsonSchema;
+}
+
+function jsonContent(schema) {
+    return { 'application/json': { schema: schemaToJsonSchema(schema) } };
+}
+
+function buildParameters(route) {
+    const parameters = route.keys
+        .filter(key => key !== 'wildcard')
+        .map(key => ({ name: key, in: 'path', required: true, schema: { type: 'string' } }));
+    Object.entries(route.options.query || {}).forEach(([name, rule]) => {
+        parameters.push({
+            name,
+            in: 'query',
+            required: !!rule.required,
+            schema: ruleToJsonSchema({ ...rule, type: rule.type === 'number' ? 'number' : rule.type || 'string' })
+        });
+    });
+    return parameters;
+}
+
+function buildSecurity(route) {
+    const { options } = route;
+    if (options.docs.security) {
+        return options.docs.security;
+    }
+    if (options.public) {
+        return [];
+    }
+    // Routes without a token scope are for browser sessions only.
+    return options.scope
+        ? [{ bearerAuth: [options.scope] }, { sessionCookie: [] }]
+        : [{ sessionCookie: [] }];
+}
+
+function buildOperation(route) {
+    const { options } = route;
+    const errorSchemaRef = { $ref: `#/components/schemas/${options.api ? 'ApiError' : 'JsonError'}` };
+    const operation = {
+        summary: options.docs.summary,
+        tags: options.docs.tags || [],
+        security: buildSecurity(route),
+        parameters: buildParameters(route),
+        responses: {
+            200: {
+                description: 'OK',
+                // docs.contentType is for routes that don't answer with JSON.
+                content: options.response ? jsonContent(options.response) : { [options.docs.contentType || 'application/json']: {} }
+            }
+        }
+    };
+    if (options.docs.description) {
+        operation.description = options.docs.description;
+    }
+    if (options.permission) {
+        operation['x-permission'] = options.permission;
+    }
+
+    const bodySchema = (options.body && options.body.schema) || options.docs.requestBody;
+    if (bodySchema) {
+        const schema = schemaToJsonSchema(bodySchema);
+        // The body parser takes either encoding unless the route reads its own body.
+        operation.requestBody = {
+            required: true,
+            content: options.body === false
+                ? { 'application/json': { schema } }
+                : { 'application/json': { schema }, 'application/x-www-form-urlencoded': { schema } }
+        };
+    }
+
+    const errors = {};
+    if (bodySchema || options.query) {
+        errors[400] = 'The body or query string is invalid.';
+    }
+    if (!options.public) {
+        errors[401] = 'Missing, invalid or revoked credentials.';
+        errors[403] = 'The role or token does not allow this.';
+    }
+    if (bodySchema && options.body !== false) {
+        errors[413] = 'The body is larger than the route allows.';
+    }
+    Object.entries({ ...errors, ...(options.docs.errors || {}) }).forEach(([status, description]) => {
+        operation.responses[status] = { description, content: { 'application/json': { schema: errorSchemaRef } } };
+    });
+    return operation;
+}
+
+/**
+ * Builds the OpenAPI document for every route with a `docs` option.
+ * @param {object[]} routes - router.routes
+ * @returns {object}
+ */
+function buildOpenApiDocument(routes) {
+    const paths = {};
+    routes
+        .filter(route => route.options.docs)
+        .forEach(route => {
+            const openApiPath = route.pattern.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+            paths[openApiPath] = paths[openApiPath] || {};
+            paths[openApiPath][route.method.toLowerCase()] = buildOperation(route);
+        });
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: 'Croscrow Admin Panel API',
+            version,
+            description: 'JSON endpoints of the admin panel. Scripts authenticate with a personal API token from the /account page.'
+        },
+        servers: config.appUrl ? [{ url: config.appUrl }] : [],
+        components: {
+            schemas: {
+                JsonError: schemaToJsonSchema(JSON_ERROR_SCHEMA),
+                ApiError: schemaToJsonSchema(API_ERROR_SCHEMA)
+            },
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'A personal API token. The scopes listed on each operation are the token scopes it needs.' },
+                sessionCookie: { type: 'apiKey', in: 'cookie', name: 'sid', description: 'A browser session. State-changing requests also need the X-CSRF-Token header.' },
+                trackerWriteKey: { type: 'apiKey', in: 'header', name: 'X-Tracker-Key', description: 'A storefront write key from TRACKER_WRITE_KEYS.' }
+            }
+        },
+        paths
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument,
+};
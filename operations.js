@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+
+// --- Long-Running Operations ---
+// Work that outlives the request that started it, such as a catalog sync,
+// runs as an operation. Each operation records a numbered list of progress
+// events; anyone watching (see routes/operations.js) is sent the events so
+// far and then each new one as it happens, so a closed tab can reconnect and
+// pick up where it left off, and several people can watch the same run.
+//
+// Operations are kept in memory, so they are lost when the server restarts and
+// are only visible on the instance running them. Finished operations are
+// forgotten after OPERATION_RETENTION_MS.
+const OPERATION_RETENTION_MS = 60 * 60 * 1000;
+const MAX_FINISHED_OPERATIONS = 50;
+// Enough for a sync of every product in a 10 MB request body.
+const MAX_EVENTS_PER_OPERATION = 20000;
+
+const ITEM_STATUSES = ['created', 'updated', 'skipped', 'failed'];
+
+const operations = new Map();
+
+function pruneOperations() {
+    const now = Date.now();
+    const finished = [...operations.values()].filter(operation => operation.finishedAt);
+    finished.forEach((operation, index) => {
+        const expired = now - operation.finishedAt.getTime() > OPERATION_RETENTION_MS;
+        if (expired || finished.length - index > MAX_FINISHED_OPERATIONS) {
+            operations.delete(operation.id);
+        }
+    });
+}
+
+/**
+ * Starts tracking an operation.
+ * @param {object} details
+ * @param {string} details.type - e.g. 'sync-products'.
+ * @param {string} details.label - Shown to people watching, e.g. 'Product sync for Acme'.
+ * @param {number} details.total - How many items the operation will process.
+ * @param {object} [details.startedBy] - `{ userId, username }`.
+ * @param {object} [details.subject] - What it works on, e.g. `{ vendorId }`. Used to find running operations.
+ * @returns {object}
+ */
+function createOperation({ type, label, total, startedBy = null, subject = {} }) {
+    pruneOperations();
+
+    const events = [];
+    const listeners = new Set();
+    let lastEventId = 0;
+    const state = {
+        id: crypto.randomBytes(12).toString('hex'),
+        type,
+        label,
+        subject,
+        startedBy,
+        status: 'running',
+        createdAt: new Date(),
+        finishedAt: null,
+        counts: { total, processed: 0, created: 0, updated: 0, skipped: 0, failed: 0 },
+        error: null
+    };
+
+    function publish(type, data) {
+        const event = { id: ++lastEventId, type, time: new Date().toISOString(), data };
+        events.push(event);
+        if (events.length > MAX_EVENTS_PER_OPERATION) {
+            // Keep the first event so late watchers still see what was started.
+            events.splice(1, 1);
+        }
+        listeners.forEach(listener => listener(event));
+        return event;
+    }
+
+    const operation = {
+        get id() {
+            return state.id;
+        },
+        get type() {
+            return state.type;
+        },
+        get status() {
+            return state.status;
+        },
+        get finishedAt() {
+            return state.finishedAt;
+        },
+
+        /**
+         * A progress message that isn't about one item, e.g. 'Fetching existing products...'.
+         */
+        log(message) {
+            publish('log', { message });
+        },
+
+        /**
+         * Records the result for one item and updates the counts.
+         * @param {object} result
+         * @param {string} result.status - 'created', 'updated', 'skipped' or 'failed'.
+         * @param {string|number} [result.itemId]
+         * @param {string} [result.title]
+         * @param {string} [result.message]
+         */
+        item({ status, itemId = null, title = '', message = '' }) {
+            if (!ITEM_STATUSES.includes(status)) {
+                throw new Error(`Unknown item status "${status}".`);
+            }
+            state.counts.processed++;
+            state.counts[status]++;
+            publish('item', { status, itemId, title, message, counts: { ...state.counts } });
+        },
+
+        /**
+         * Ends the operation. Items that failed don't fail the operation; an
+         * error that stopped it early does.
+         * @param {Error} [error]
+         */
+        finish(error) {
+            if (state.finishedAt) {
+                return;
+            }
+            state.finishedAt = new Date();
+            if (error) {
+                state.status = 'failed';
+                state.error = error.message;
+            } else {
+                state.status = state.counts.failed > 0 ? 'completed_with_errors' : 'succeeded';
+            }
+            publish('finished', { status: state.status, error: state.error, counts: { ...state.counts } });
+            listeners.clear();
+        },
+
+        /**
+         * Sends every event after `afterEventId`, then each new event until the
+         * operation finishes.
+         * @param {number} afterEventId - 0 for everything.
+         * @param {function} listener - (event)
+         * @returns {function} - Stops listening.
+         */
+        subscribe(afterEventId, listener) {
+            events.filter(event => event.id > afterEventId).forEach(listener);
+            if (state.finishedAt) {
+                return () => {};
+            }
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /**
+         * @returns {object} - The operation without its events, for JSON responses.
+         */
+        toJSON() {
+            return {
+                ...state,
+                counts: { ...state.counts },
+                lastEventId
+            };
+        }
+    };
+
+    operations.set(state.id, operation);
+    publish('started', { type, label, subject, counts: { ...state.counts } });
+    return operation;
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+function getOperation(id) {
+    return operations.get(id) || null;
+}
+
+/**
+ * Lists known operations, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.status] - e.g. 'running'.
+ * @param {string} [filters.type]
+ * @returns {object[]}
+ */
+function listOperations({ status, type } = {}) {
+    pruneOperations();
+    return [...operations.values()]
+        .filter(operation => (!status || operation.status === status) && (!type || operation.type === type))
+        .reverse();
+}
+
+module.exports = {
+    createOperation,
+    getOperation,
+    listOperations,
+};
@@ -0,0 +1,108 @@
+// --- Roles & Permissions ---
+// Each role is a named bundle of permissions. Routes declare the permission
+// they need in their route options (see routes/) and the sidebar hides links
+// a role cannot use.
+
+const PERMISSIONS = {
+    REPORTS_VIEW: 'reports:view',
+    COMMISSION_EDIT: 'commission:edit',
+    INVOICES_VIEW: 'invoices:view',
+    INVOICES_EDIT: 'invoices:edit',
+    INVOICES_SETTLE: 'invoices:settle',
+    SETTINGS_VIEW: 'settings:view',
+    SETTINGS_EDIT: 'settings:edit',
+    CROSCROW_VENDORS_VIEW: 'croscrow_vendors:view',
+    CROSCROW_VENDORS_EDIT: 'croscrow_vendors:edit',
+    VENDORS_VIEW: 'vendors:view',
+    VENDORS_EDIT: 'vendors:edit',
+    CATALOG_SYNC: 'catalog:sync',
+    ORDERS_SEND: 'orders:send',
+    USERS_MANAGE: 'users:manage',
+    AUDIT_VIEW: 'audit:view',
+    METRICS_VIEW: 'metrics:view',
+    DIAGNOSTICS_VIEW: 'diagnostics:view'
+};
+
+const ROLES = {
+    admin: {
+        label: 'Admin',
+        permissions: Object.values(PERMISSIONS)
+    },
+    accountant: {
+        label: 'Accountant',
+        permissions: [
+            PERMISSIONS.REPORTS_VIEW,
+            PERMISSIONS.COMMISSION_EDIT,
+            PERMISSIONS.INVOICES_VIEW,
+            PERMISSIONS.INVOICES_EDIT,
+            PERMISSIONS.INVOICES_SETTLE,
+            PERMISSIONS.SETTINGS_VIEW,
+            PERMISSIONS.SETTINGS_EDIT,
+            PERMISSIONS.CROSCROW_VENDORS_VIEW,
+            PERMISSIONS.CROSCROW_VENDORS_EDIT,
+            PERMISSIONS.AUDIT_VIEW
+        ]
+    },
+    catalog_manager: {
+        label: 'Catalog Manager',
+        permissions: [
+            PERMISSIONS.REPORTS_VIEW,
+            PERMISSIONS.VENDORS_VIEW,
+            PERMISSIONS.VENDORS_EDIT,
+            PERMISSIONS.CATALOG_SYNC,
+            PERMISSIONS.ORDERS_SEND,
+            PERMISSIONS.CROSCROW_VENDORS_VIEW,
+            PERMISSIONS.CROSCROW_VENDORS_EDIT
+        ]
+    },
+    viewer: {
+        label: 'Read-only Viewer',
+        permissions: [
+            PERMISSIONS.REPORTS_VIEW,
+            PERMISSIONS.INVOICES_VIEW,
+            PERMISSIONS.SETTINGS_VIEW,
+            PERMISSIONS.CROSCROW_VENDORS_VIEW,
+            PERMISSIONS.VENDORS_VIEW
+        ]
+    }
+};
+
+const DEFAULT_ROLE = 'viewer';
+
+/**
+ * Returns the role key for a user. Accounts created before roles existed
+ * had full access, so a missing role is treated as admin.
+ * @param {object} user
+ * @returns {string}
+ */
+function getUserRole(user) {
+    if (!user) return null;
+    if (!user.role) return 'admin';
+    return ROLES[user.role] ? user.role : null;
+}
+
+/**
+ * Checks whether a user's role grants a permission.
+ * @param {object} user - The user document.
+ * @param {string} permission - One of the PERMISSIONS values.
+ * @returns {boolean}
+ */
+function can(user, permission) {
+    const role = getUserRole(user);
+    if (!role) return false;
+    if (!permission) return true;
+    return ROLES[role].permissions.includes(permission);
+}
+
+function isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    DEFAULT_ROLE,
+    getUserRole,
+    can,
+    isValidRole,
+};
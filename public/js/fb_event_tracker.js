@@ -1,8 +1,17 @@
+// document.currentScript is only set while the script first runs, so read the
+// write key and server URL before waiting for DOMContentLoaded.
+const TRACKER_WRITE_KEY = document.currentScript ? document.currentScript.dataset.writeKey : '';
+const TRACKER_APP_URL = document.currentScript ? (document.currentScript.dataset.appUrl || '').replace(/\/+$/, '') : '';
+
 document.addEventListener('DOMContentLoaded', () => {
   // --- Configuration ---
-  // The URL of your app's server.
-  // IMPORTANT: Replace with your actual server URL in a production environment.
-  const APP_URL = 'https://shopifyadminpanel.onrender.com'; // e.g., https://my-shopify-app.onrender.com
+  // The URL of your app's server, from the script tag's data-app-url attribute,
+  // e.g. https://my-shopify-app.onrender.com
+  const APP_URL = TRACKER_APP_URL;
+  if (!APP_URL) {
+    console.warn('fb_event_tracker.js: data-app-url is not set on the script tag. Events will not be tracked.');
+    return;
+  }
 
   // --- Helper Function ---
   /**
@@ -15,6 +24,7 @@ document.addEventListener('DOMContentLoaded', () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'X-Tracker-Key': TRACKER_WRITE_KEY,
         },
         body: JSON.stringify(eventData),
       });
@@ -1,4 +1,8 @@
 document.addEventListener('DOMContentLoaded', () => {
+    // The server injects the session's CSRF token into every page.
+    const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+    const csrfToken = csrfMeta ? csrfMeta.content : '';
+
     const saveButtons = document.querySelectorAll('.save-btn');
 
     saveButtons.forEach(button => {
@@ -15,7 +19,8 @@ document.addEventListener('DOMContentLoaded', () => {
             const response = await fetch('/invoices/assign-vendor', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': csrfToken
                 },
                 body: JSON.stringify({
                     order_id: orderId,
@@ -47,7 +52,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const response = await fetch('/invoices/mark-as-canceled', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
                 body: JSON.stringify({ order_id: orderId })
             });
 
@@ -70,7 +75,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const response = await fetch('/invoices/mark-as-settled', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
                 body: JSON.stringify({ order_id: orderId })
             });
 
@@ -96,7 +101,9 @@ document.addEventListener('DOMContentLoaded', () => {
             const response = await fetch('/invoices/save-manual', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Accept': 'application/json',
+                    'X-CSRF-Token': csrfToken
                 },
                 body: new URLSearchParams(data).toString()
             });
@@ -1,4 +1,8 @@
 document.addEventListener('DOMContentLoaded', () => {
+    // The server injects the session's CSRF token into every page.
+    const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+    const csrfToken = csrfMeta ? csrfMeta.content : '';
+
     // --- Helper function to decode HTML entities ---
     function decodeHtml(html) {
         if (!html || typeof html !== 'string') {
@@ -9,14 +13,15 @@ document.addEventListener('DOMContentLoaded', () => {
         return txt.value;
     }
 
-    // --- Helper function to perform the sync POST request ---
-    async function sync(vendorId, products, button) {
-        const originalText = button.textContent;
-        const syncType = button.dataset.syncType;
-
-        button.textContent = 'Syncing...';
-        button.disabled = true;
+    function formatCounts(counts) {
+        return `${counts.processed}/${counts.total} processed: ${counts.created} created, ${counts.updated} updated, ${counts.skipped} skipped, ${counts.failed} failed`;
+    }
 
+    // --- Helper function to watch a sync's progress ---
+    // The server runs each sync as an operation and publishes its progress as
+    // server-sent events. EventSource reconnects by itself and resumes after the
+    // last event it saw, and anyone on this page can watch the same run.
+    function watchOperation(vendorId, operationId, onFinished) {
         const statusContainer = document.querySelector(`.sync-status[data-vendor-id="${vendorId}"]`);
         const logsContainer = statusContainer.querySelector('.sync-logs');
         const loadingIndicator = statusContainer.querySelector('.loading-indicator');
@@ -25,6 +30,56 @@ document.addEventListener('DOMContentLoaded', () => {
         logsContainer.textContent = '';
         loadingIndicator.style.display = 'block';
 
+        const appendLine = line => {
+            logsContainer.textContent += `${line}\n`;
+            logsContainer.scrollTop = logsContainer.scrollHeight;
+        };
+
+        const source = new EventSource(`/operations/${operationId}/events`);
+        source.addEventListener('started', event => {
+            const data = JSON.parse(event.data);
+            appendLine(`${data.label} started (${data.counts.total} products).`);
+        });
+        source.addEventListener('log', event => {
+            appendLine(JSON.parse(event.data).message);
+        });
+        source.addEventListener('item', event => {
+            const data = JSON.parse(event.data);
+            appendLine(`[${data.status}] ${data.title}${data.message ? ` - ${data.message}` : ''}`);
+        });
+        source.addEventListener('finished', event => {
+            const data = JSON.parse(event.data);
+            source.close();
+            appendLine(`\n${formatCounts(data.counts)}`);
+            appendLine(data.error ? `Sync failed: ${data.error}` : 'Sync complete!');
+            loadingIndicator.style.display = 'none';
+            onFinished(data);
+        });
+        source.onerror = () => {
+            // A closed stream is retried automatically; only give up once the
+            // server has said the operation is gone.
+            if (source.readyState === EventSource.CLOSED) {
+                appendLine('Lost contact with the sync. Reload the page to check on it.');
+                loadingIndicator.style.display = 'none';
+                onFinished({ status: 'unknown' });
+            }
+        };
+    }
+
+    function setSyncButtonsDisabled(vendorId, disabled) {
+        document.querySelectorAll(`.sync-selected-btn[data-vendor-id="${vendorId}"], .sync-all-btn[data-vendor-id="${vendorId}"], .sync-inventory-btn[data-vendor-id="${vendorId}"], .sync-photos-btn[data-vendor-id="${vendorId}"]`).forEach(button => {
+            button.disabled = disabled;
+        });
+    }
+
+    // --- Helper function to start a sync ---
+    async function sync(vendorId, products, button) {
+        const originalText = button.textContent;
+        const syncType = button.dataset.syncType;
+
+        button.textContent = 'Syncing...';
+        setSyncButtonsDisabled(vendorId, true);
+
         const productsToSync = products.map(p => ({
             ...p,
             body_html: decodeHtml(p.body_html)
@@ -39,47 +94,61 @@ document.addEventListener('DOMContentLoaded', () => {
             endpoint = '/vendors/sync-products';
         }
 
+        const restoreButton = text => {
+            button.textContent = text;
+            setTimeout(() => {
+                button.textContent = originalText;
+                setSyncButtonsDisabled(vendorId, false);
+            }, 5000);
+        };
+
         try {
             const response = await fetch(endpoint, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
                 body: JSON.stringify({ vendorId, products: productsToSync })
             });
-
+            const result = await response.json().catch(() => ({ message: 'An unknown error occurred during sync.' }));
             if (!response.ok) {
-                const errorResult = await response.json().catch(() => ({ message: 'An unknown error occurred during sync.' }));
-                throw new Error(errorResult.message);
+                throw new Error(result.error || result.message);
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
+            watchOperation(vendorId, result.operationId, finished => {
+                restoreButton(finished.status === 'succeeded' ? 'Synced!' : 'Sync Failed');
+            });
+        } catch (error) {
+            console.error('Sync failed:', error);
+            alert(`Sync failed: ${error.message}`);
+            restoreButton('Sync Failed');
+        }
+    }
 
-            while (true) {
-                const { value, done } = await reader.read();
-                if (done) {
-                    logsContainer.textContent += '\nSync complete!';
-                    break;
-                }
-                const chunk = decoder.decode(value, { stream: true });
-                logsContainer.textContent += chunk;
+    // --- Pick up syncs that are already running ---
+    // Started in another tab, by someone else, or before this page was reloaded.
+    async function watchRunningSyncs() {
+        try {
+            const response = await fetch('/operations?status=running');
+            if (!response.ok) {
+                return;
             }
-            
-            button.textContent = 'Synced!';
-
+            const { operations } = await response.json();
+            operations.forEach(operation => {
+                const vendorId = operation.subject && operation.subject.vendorId;
+                if (!vendorId || !document.querySelector(`.sync-status[data-vendor-id="${vendorId}"]`)) {
+                    return;
+                }
+                setSyncButtonsDisabled(vendorId, true);
+                watchOperation(vendorId, operation.id, () => {
+                    setTimeout(() => setSyncButtonsDisabled(vendorId, false), 5000);
+                });
+            });
         } catch (error) {
-            console.error('Sync failed:', error);
-            button.textContent = 'Sync Failed';
-            logsContainer.textContent += `\n\nError: ${error.message}`;
-        } finally {
-            loadingIndicator.style.display = 'none';
-            setTimeout(() => {
-                button.textContent = originalText;
-                button.disabled = false;
-                statusContainer.style.display = 'none';
-            }, 5000);
+            console.error('Could not check for running syncs:', error);
         }
     }
 
+    watchRunningSyncs();
+
     // --- Event listener for "Select All" checkboxes ---
     document.querySelectorAll('.select-all-vendor-products').forEach(selectAllCheckbox => {
         selectAllCheckbox.addEventListener('change', (event) => {
@@ -0,0 +1,154 @@
+const { logger } = require('./logger');
+
+// --- Router ---
+// Routes are registered with a method, a path pattern, optional route options
+// and one or more handlers:
+//
+//   router.get('/vendors/:id/products', { permission: PERMISSIONS.VENDORS_VIEW }, handler);
+//   router.get('/portal', { vendor: true }, requireVendor, handler);
+//
+// `:name` segments are exposed as req.params.name and a final `*` segment
+// matches the rest of the path as req.params.wildcard. Paths must match
+// exactly (a trailing slash is ignored), so one route never swallows another.
+//
+// Every handler is called as handler(req, res, next). Middleware added with
+// router.use() runs before the route's own handlers, but only once a route has
+// matched, so it can read req.route.options. A path with no routes gets a 404
+// and a path with routes for other methods gets a 405.
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+function compilePattern(pattern) {
+    const keys = [];
+    const source = pattern.split('/').map(segment => {
+        if (segment === '*') {
+            keys.push('wildcard');
+            return '(.+)';
+        }
+        if (segment.startsWith(':')) {
+            keys.push(segment.substring(1));
+            return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+    return { regex: new RegExp(`^${source}$`), keys };
+}
+
+function matchRoute(route, pathname) {
+    const match = route.regex.exec(pathname);
+    if (!match) {
+        return null;
+    }
+    const params = {};
+    try {
+        route.keys.forEach((key, index) => {
+            params[key] = decodeURIComponent(match[index + 1]);
+        });
+    } catch (error) {
+        // A malformed escape sequence cannot name anything we serve.
+        return null;
+    }
+    return params;
+}
+
+function sendStatus(res, statusCode, message, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain', ...headers });
+    res.end(message);
+}
+
+/**
+ * Creates an empty router.
+ * @returns {object}
+ */
+function createRouter() {
+    const routes = [];
+    const middleware = [];
+
+    function addRoute(method, pattern, args) {
+        const options = args.length > 1 && typeof args[0] === 'object' ? args.shift() : {};
+        if (args.length === 0 || args.some(handler => typeof handler !== 'function')) {
+            throw new Error(`Route ${method} ${pattern} needs at least one handler function.`);
+        }
+        routes.push({ method, pattern, options, handlers: args, ...compilePattern(pattern) });
+    }
+
+    const router = {
+        /** Every registered route, in registration order. */
+        routes,
+
+        /**
+         * Adds middleware that runs for every matched route.
+         * @param {function} handler - (req, res, next)
+         */
+        use(handler) {
+            middleware.push(handler);
+        },
+
+        /**
+         * Dispatches a request. Sets req.pathname, req.query, req.params and req.route.
+         * @param {http.IncomingMessage} req
+         * @param {http.ServerResponse} res
+         */
+        async handle(req, res) {
+            const url = new URL(req.url, 'http://localhost');
+            let pathname = url.pathname;
+            if (pathname.length > 1 && pathname.endsWith('/')) {
+                pathname = pathname.slice(0, -1);
+            }
+            req.pathname = pathname;
+            // Repeated parameters keep their last value, like URLSearchParams.get() did.
+            req.query = Object.fromEntries(url.searchParams);
+
+            const candidates = routes
+                .map(route => ({ route, params: matchRoute(route, pathname) }))
+                .filter(candidate => candidate.params);
+            if (candidates.length === 0) {
+                sendStatus(res, 404, 'Not Found');
+                return;
+            }
+
+            // HEAD is answered by the GET route; Node drops the body.
+            const method = req.method === 'HEAD' ? 'GET' : req.method;
+            const found = candidates.find(candidate => candidate.route.method === method);
+            if (!found) {
+                const allowed = [...new Set(candidates.map(candidate => candidate.route.method))];
+                if (allowed.includes('GET')) {
+                    allowed.push('HEAD');
+                }
+                sendStatus(res, 405, 'Method Not Allowed', { 'Allow': allowed.join(', ') });
+                return;
+            }
+
+            req.params = found.params;
+            req.route = found.route;
+            const chain = [...middleware, ...found.route.handlers];
+            let index = 0;
+            const next = async () => {
+                const handler = chain[index++];
+                if (handler) {
+                    await handler(req, res, next);
+                }
+            };
+
+            try {
+                await next();
+            } catch (error) {
+                logger.error('Unhandled error in route handler', { method: req.method, route: found.route.pattern, error });
+                if (!res.headersSent) {
+                    sendStatus(res, 500, 'Internal Server Error');
+                } else {
+                    res.end();
+                }
+            }
+        }
+    };
+
+    METHODS.forEach(method => {
+        router[method.toLowerCase()] = (pattern, ...args) => addRoute(method, pattern, args);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createRouter,
+};
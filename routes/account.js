@@ -0,0 +1,180 @@
+const path = require('path');
+const QRCode = require('qrcode');
+const { getUserById, getSessionsForUser, setUserPendingTotpSecret, enableUserTotp, disableUserTotp, setUserRecoveryCodes, claimUserTotpStep, createApiToken, getApiTokensForUser, revokeApiToken } = require('../db');
+const { verifyPassword } = require('../auth');
+const { generateTotpSecret, verifyTotp, buildOtpAuthUrl, generateRecoveryCodes } = require('../totp');
+const { canUseTwoFactor } = require('../two-factor');
+const { encryptSecret, decryptSecret } = require('../encryption');
+const { ROLES, getUserRole } = require('../permissions');
+const { generateApiToken, normalizeScopes } = require('../api-tokens');
+const { renderView } = require('../views');
+const { sendForbidden } = require('../middleware');
+const { logger } = require('../logger');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+/**
+ * Renders the account page for a user, reloading them so two-factor status is current.
+ * @param {object} user - The logged-in user.
+ * @param {object} [extras] - `twoFactorSetup`, `newRecoveryCodes`, `newApiToken` or `error`.
+ */
+async function renderAccountPage(res, user, extras = {}) {
+    const accountTemplatePath = path.join(VIEWS_DIR, 'account.html');
+    const freshUser = await getUserById(user._id) || user;
+    const sessions = await getSessionsForUser(user._id);
+    const role = getUserRole(freshUser);
+    renderView(res, accountTemplatePath, {
+        username: freshUser.username,
+        name: freshUser.name || '',
+        roleLabel: ROLES[role] ? ROLES[role].label : 'Unknown',
+        sessions,
+        twoFactor: {
+            available: canUseTwoFactor(freshUser),
+            enabled: !!freshUser.totpEnabled,
+            recoveryCodesRemaining: (freshUser.recoveryCodeHashes || []).length
+        },
+        apiTokens: await getApiTokensForUser(user._id),
+        ...extras
+    }, 0);
+}
+
+/**
+ * Runs a change to an enabled second factor once the user has re-entered their password.
+ * @param {function(): Promise} change
+ */
+async function withPasswordConfirmed(req, res, change) {
+    const currentUser = res.locals.user;
+    try {
+        if (!currentUser.totpEnabled) {
+            throw new Error('Two-factor authentication is not enabled.');
+        }
+        if (!await verifyPassword(req.body.password, currentUser.passwordHash)) {
+            await renderAccountPage(res, currentUser, { error: 'Incorrect password.' });
+            return;
+        }
+        await change();
+    } catch (error) {
+        logger.error('Error updating two-factor authentication', { error });
+        await renderAccountPage(res, currentUser, { error: `Could not update two-factor authentication: ${error.message}` });
+    }
+}
+
+// --- My Account ---
+// Every logged-in user may manage their own sessions, second factor and API tokens.
+function registerAccountRoutes(router) {
+    router.get('/account', { permission: null }, async (req, res) => {
+        const { user: currentUser } = res.locals;
+        try {
+            await renderAccountPage(res, currentUser);
+        } catch (error) {
+            logger.error('Error loading account page', { error });
+            renderView(res, path.join(VIEWS_DIR, 'account.html'), { error: 'Could not load account details.' }, 0);
+        }
+    });
+
+    // --- Two-Factor Enrollment ---
+    router.post('/account/two-factor/setup', { permission: null }, async (req, res) => {
+        const { user: currentUser } = res.locals;
+        if (!canUseTwoFactor(currentUser)) {
+            sendForbidden(req, res);
+            return;
+        }
+        try {
+            const secret = generateTotpSecret();
+            await setUserPendingTotpSecret(currentUser._id, encryptSecret(secret));
+            const qrDataUrl = await QRCode.toDataURL(buildOtpAuthUrl(secret, currentUser.username));
+            await renderAccountPage(res, currentUser, { twoFactorSetup: { secret, qrDataUrl } });
+        } catch (error) {
+            logger.error('Error starting two-factor setup', { error });
+            await renderAccountPage(res, currentUser, { error: `Could not start two-factor setup: ${error.message}` });
+        }
+    });
+
+    router.post('/account/two-factor/enable', { permission: null }, async (req, res) => {
+        const { actor, user: currentUser } = res.locals;
+        try {
+            const postData = req.body;
+            if (!canUseTwoFactor(currentUser) || !currentUser.pendingTotpSecret) {
+                throw new Error('Start two-factor setup first.');
+            }
+            const secret = decryptSecret(currentUser.pendingTotpSecret);
+            const step = verifyTotp(secret, postData.code);
+            if (step === null) {
+                const qrDataUrl = await QRCode.toDataURL(buildOtpAuthUrl(secret, currentUser.username));
+                await renderAccountPage(res, currentUser, {
+                    twoFactorSetup: { secret, qrDataUrl },
+                    error: 'That code did not match. Check the time on your phone and try again.'
+                });
+                return;
+            }
+            const { codes, hashes } = generateRecoveryCodes();
+            await enableUserTotp(currentUser._id, currentUser.pendingTotpSecret, hashes, actor);
+            // The code used to confirm setup cannot be used to log in again.
+            await claimUserTotpStep(currentUser._id, step);
+            await renderAccountPage(res, currentUser, { newRecoveryCodes: codes });
+        } catch (error) {
+            logger.error('Error enabling two-factor authentication', { error });
+            await renderAccountPage(res, currentUser, { error: `Could not enable two-factor authentication: ${error.message}` });
+        }
+    });
+
+    router.post('/account/two-factor/disable', { permission: null }, async (req, res) => {
+        const { user: currentUser, actor } = res.locals;
+        await withPasswordConfirmed(req, res, async () => {
+            await disableUserTotp(currentUser._id, actor);
+            res.writeHead(302, { 'Location': '/account' });
+            res.end();
+        });
+    });
+
+    router.post('/account/two-factor/recovery-codes', { permission: null }, async (req, res) => {
+        const { user: currentUser, actor } = res.locals;
+        await withPasswordConfirmed(req, res, async () => {
+            const { codes, hashes } = generateRecoveryCodes();
+            await setUserRecoveryCodes(currentUser._id, hashes, actor);
+            await renderAccountPage(res, currentUser, { newRecoveryCodes: codes });
+        });
+    });
+
+    // --- Personal API Tokens ---
+    router.post('/account/api-tokens', { permission: null }, async (req, res) => {
+        const { actor, user: currentUser } = res.locals;
+        try {
+            const postData = req.body;
+            const name = (postData.name || '').trim();
+            const scopes = normalizeScopes(postData.scopes);
+            if (!name) {
+                throw new Error('Give the token a name so you can recognise it later.');
+            }
+            if (scopes.length === 0) {
+                throw new Error('Choose at least one scope.');
+            }
+            const { token, tokenHash } = generateApiToken();
+            await createApiToken({ userId: currentUser._id, name, scopes, tokenHash }, actor);
+            await renderAccountPage(res, currentUser, { newApiToken: token });
+        } catch (error) {
+            logger.error('Error creating API token', { error });
+            await renderAccountPage(res, currentUser, { error: `Could not create API token: ${error.message}` });
+        }
+    });
+
+    router.post('/account/api-tokens/revoke', { permission: null }, async (req, res) => {
+        const { actor, user: currentUser } = res.locals;
+        try {
+            const postData = req.body;
+            const revoked = await revokeApiToken(postData.id, currentUser._id, actor);
+            if (!revoked) {
+                throw new Error('Token not found.');
+            }
+            res.writeHead(302, { 'Location': '/account' });
+            res.end();
+        } catch (error) {
+            logger.error('Error revoking API token', { error });
+            await renderAccountPage(res, currentUser, { error: `Could not revoke API token: ${error.message}` });
+        }
+    });
+}
+
+module.exports = {
+    registerAccountRoutes,
+};
@@ -0,0 +1,369 @@
+const { getCommissionPercentage, getCommissionOrders, getManualOrders, getCroscrowVendors, getCroscrowVendorById, getVendors, getVendorById, getCroscrowSettings, getFacebookEvents, getFacebookEventCounts, getTopFacebookEventsByProduct } = require('../db');
+const { fetchOrdersByIds } = require('../shopify');
+const { getMirroredProducts, getMirroredOrders } = require('../store-mirror');
+const { calculateCommission } = require('../commission');
+const { getCustomerNameFromOrder } = require('../views');
+const { PERMISSIONS } = require('../permissions');
+const { API_TOKEN_SCOPES } = require('../api-tokens');
+const { PAGE_QUERY_SCHEMA, createApiError, apiHandler, sendApiError, readQuery, parseDateParam, sendPage, sendRecord, serializeDocument } = require('../api');
+
+const COMMISSION_STATUSES = ['saved', 'canceled', 'settled'];
+const EVENT_PERIODS = ['all', 'today', 'last7days', 'mtd', 'custom'];
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+const ORDERS_QUERY_SCHEMA = {
+    ...PAGE_QUERY_SCHEMA,
+    vendor_id: { type: 'string', label: 'vendor_id' },
+    status: { enum: ['unassigned', ...COMMISSION_STATUSES], label: 'status' },
+    created_from: { type: 'string', label: 'created_from' },
+    created_to: { type: 'string', label: 'created_to' }
+};
+
+const COMMISSION_ORDERS_QUERY_SCHEMA = {
+    ...PAGE_QUERY_SCHEMA,
+    vendor_id: { type: 'string', label: 'vendor_id' },
+    status: { enum: COMMISSION_STATUSES, label: 'status' }
+};
+
+const MANUAL_ORDERS_QUERY_SCHEMA = {
+    ...PAGE_QUERY_SCHEMA,
+    vendor_id: { type: 'string', label: 'vendor_id' },
+    created_from: { type: 'string', label: 'created_from' },
+    created_to: { type: 'string', label: 'created_to' }
+};
+
+const EVENTS_QUERY_SCHEMA = {
+    event_type: { type: 'string', label: 'event_type' },
+    period: { enum: EVENT_PERIODS, label: 'period' },
+    start_date: { type: 'string', label: 'start_date' },
+    end_date: { type: 'string', label: 'end_date' }
+};
+
+const EVENTS_PAGE_QUERY_SCHEMA = {
+    ...PAGE_QUERY_SCHEMA,
+    ...EVENTS_QUERY_SCHEMA
+};
+
+const RECORD_PROPERTIES = {
+    id: { type: 'string', required: true }
+};
+
+const COMMISSION_PROPERTIES = {
+    vendor_id: { type: 'string' },
+    status: { type: 'string' },
+    amounts: { type: 'object', required: true, description: 'From calculateCommission in commission.js.' }
+};
+
+const ORDER_PROPERTIES = {
+    id: { type: 'string', required: true },
+    order_number: { type: 'number' },
+    name: { type: 'string' },
+    created_at: { type: 'string', required: true },
+    financial_status: { type: 'string' },
+    customer_name: { type: 'string' },
+    total_line_items_price: { type: 'string' },
+    line_items: { type: 'array', items: { type: 'object', properties: { title: { type: 'string' }, quantity: { type: 'number' }, price: { type: 'string' } } } },
+    commission: { type: 'object', properties: COMMISSION_PROPERTIES, description: 'Null until the order is saved on /invoices.' }
+};
+
+function listResponse(itemProperties) {
+    return {
+        success: { type: 'boolean', required: true },
+        data: { type: 'array', items: { type: 'object', properties: itemProperties } },
+        page: {
+            type: 'object',
+            required: true,
+            properties: {
+                limit: { type: 'number', required: true },
+                nextCursor: { type: 'string', description: 'Pass as ?cursor= for the next page. Null on the last page.' }
+            }
+        }
+    };
+}
+
+function recordResponse(properties) {
+    return {
+        success: { type: 'boolean', required: true },
+        data: { type: 'object', required: true, properties }
+    };
+}
+
+function byIdKey(doc) {
+    // ObjectIds start with their creation time, so this is newest first.
+    const id = String(doc._id);
+    return [id, id];
+}
+
+function serializeCommission(commissionOrder, lineItemsTotal) {
+    return {
+        vendor_id: commissionOrder.vendor_id || null,
+        status: commissionOrder.status || null,
+        manual_shipping: commissionOrder.manual_shipping,
+        discount_type: commissionOrder.discount_type,
+        manual_discount: commissionOrder.manual_discount,
+        amount_received: commissionOrder.amount_received,
+        commission_percentage: commissionOrder.commission_percentage,
+        amounts: calculateCommission(lineItemsTotal, commissionOrder)
+    };
+}
+
+/**
+ * A Shopify order with its commission details, as /invoices shows it. Leaves
+ * out customer contact details; the customer's name is enough to find an order.
+ */
+function serializeOrder(order, commissionOrder) {
+    return {
+        id: String(order.id),
+        order_number: order.order_number,
+        name: order.name,
+        created_at: order.created_at,
+        cancelled_at: order.cancelled_at || null,
+        financial_status: order.financial_status,
+        fulfillment_status: order.fulfillment_status,
+        currency: order.currency,
+        customer_name: getCustomerNameFromOrder(order),
+        total_line_items_price: order.total_line_items_price,
+        total_price: order.total_price,
+        line_items: (order.line_items || []).map(item => ({
+            id: item.id,
+            product_id: item.product_id,
+            variant_id: item.variant_id,
+            title: item.title,
+            sku: item.sku,
+            quantity: item.quantity,
+            price: item.price
+        })),
+        commission: commissionOrder ? serializeCommission(commissionOrder, order.total_line_items_price) : null
+    };
+}
+
+function serializeManualOrder(manualOrder) {
+    return {
+        ...serializeDocument(manualOrder),
+        amounts: calculateCommission(manualOrder.manual_amount, manualOrder)
+    };
+}
+
+function isWithin(dateValue, from, to) {
+    const date = new Date(dateValue);
+    return (!from || date >= from) && (!to || date <= to);
+}
+
+function getEventFilters(query) {
+    return {
+        eventType: query.event_type || 'all',
+        period: query.period || 'all',
+        startDate: query.start_date || '',
+        endDate: query.end_date || ''
+    };
+}
+
+// --- JSON API (v1) ---
+// Read-only JSON versions of the admin pages for scripts and spreadsheets.
+// Each route needs the same permission as its page, and API tokens need the
+// matching read scope. See api.js for the envelope and paging.
+function registerApiV1Routes(router) {
+    const ordersOptions = { permission: PERMISSIONS.INVOICES_VIEW, scope: API_TOKEN_SCOPES.ORDERS_READ, api: true };
+
+    router.get('/api/v1/orders', {
+        ...ordersOptions,
+        docs: { summary: 'List Shopify orders with their commission details', tags: ['Orders'] },
+        query: ORDERS_QUERY_SCHEMA,
+        response: listResponse(ORDER_PROPERTIES)
+    }, apiHandler(async (req, res) => {
+        const query = readQuery(req);
+        const createdFrom = parseDateParam(query.created_from, 'created_from');
+        const createdTo = parseDateParam(query.created_to, 'created_to', true);
+        const [orderData, commissionOrders] = await Promise.all([
+            getMirroredOrders(),
+            getCommissionOrders()
+        ]);
+        const commissionOrdersMap = commissionOrders.reduce((map, commissionOrder) => {
+            map[commissionOrder.order_id] = commissionOrder;
+            return map;
+        }, {});
+
+        const orders = orderData.orders.filter(order => {
+            const commissionOrder = commissionOrdersMap[String(order.id)];
+            if (query.vendor_id && (!commissionOrder || commissionOrder.vendor_id !== query.vendor_id)) {
+                return false;
+            }
+            if (query.status === 'unassigned' && commissionOrder && commissionOrder.vendor_id) {
+                return false;
+            }
+            if (query.status && query.status !== 'unassigned' && (!commissionOrder || commissionOrder.status !== query.status)) {
+                return false;
+            }
+            return isWithin(order.created_at, createdFrom, createdTo);
+        });
+
+        sendPage(req, res, orders,
+            order => [new Date(order.created_at).getTime(), Number(order.id)],
+            order => serializeOrder(order, commissionOrdersMap[String(order.id)]));
+    }));
+
+    router.get('/api/v1/orders/:id', {
+        ...ordersOptions,
+        docs: { summary: 'Get one order with its commission details', tags: ['Orders'], errors: { 404: 'No such order.' } },
+        response: recordResponse(ORDER_PROPERTIES)
+    }, apiHandler(async (req, res) => {
+        if (!/^\d+$/.test(req.params.id)) {
+            throw createApiError(404, 'Order not found.');
+        }
+        const [[order], commissionOrders] = await Promise.all([
+            fetchOrdersByIds([req.params.id]),
+            getCommissionOrders()
+        ]);
+        if (!order) {
+            throw createApiError(404, 'Order not found.');
+        }
+        const commissionOrder = commissionOrders.find(co => co.order_id === String(order.id));
+        sendRecord(res, serializeOrder(order, commissionOrder));
+    }));
+
+    router.get('/api/v1/commission-orders', {
+        ...ordersOptions,
+        docs: { summary: 'List saved commission details', tags: ['Orders'] },
+        query: COMMISSION_ORDERS_QUERY_SCHEMA,
+        response: listResponse(RECORD_PROPERTIES)
+    }, apiHandler(async (req, res) => {
+        const query = readQuery(req);
+        const commissionOrders = (await getCommissionOrders()).filter(commissionOrder =>
+            (!query.vendor_id || commissionOrder.vendor_id === query.vendor_id) &&
+            (!query.status || commissionOrder.status === query.status));
+        sendPage(req, res, commissionOrders, byIdKey, serializeDocument);
+    }));
+
+    router.get('/api/v1/manual-orders', {
+        ...ordersOptions,
+        docs: { summary: 'List manual orders with their commission amounts', tags: ['Orders'] },
+        query: MANUAL_ORDERS_QUERY_SCHEMA,
+        response: listResponse({ ...RECORD_PROPERTIES, amounts: { type: 'object', required: true } })
+    }, apiHandler(async (req, res) => {
+        const query = readQuery(req);
+        const createdFrom = parseDateParam(query.created_from, 'created_from');
+        const createdTo = parseDateParam(query.created_to, 'created_to', true);
+        const manualOrders = (await getManualOrders()).filter(manualOrder =>
+            (!query.vendor_id || manualOrder.manual_vendor_id === query.vendor_id) &&
+            isWithin(manualOrder.createdAt, createdFrom, createdTo));
+        sendPage(req, res, manualOrders, byIdKey, serializeManualOrder);
+    }));
+
+    const croscrowVendorsOptions = { permission: PERMISSIONS.CROSCROW_VENDORS_VIEW, scope: API_TOKEN_SCOPES.VENDORS_READ, api: true };
+
+    router.get('/api/v1/croscrow-vendors', {
+        ...croscrowVendorsOptions,
+        docs: { summary: 'List Croscrow vendors', tags: ['Vendors'] },
+        query: PAGE_QUERY_SCHEMA,
+        response: listResponse(RECORD_PROPERTIES)
+    }, apiHandler(async (req, res) => {
+        readQuery(req);
+        sendPage(req, res, await getCroscrowVendors(), byIdKey, serializeDocument);
+    }));
+
+    router.get('/api/v1/croscrow-vendors/:id', {
+        ...croscrowVendorsOptions,
+        docs: { summary: 'Get one Croscrow vendor', tags: ['Vendors'], errors: { 404: 'No such vendor.' } },
+        response: recordResponse(RECORD_PROPERTIES)
+    }, apiHandler(async (req, res) => {
+        const vendor = OBJECT_ID_PATTERN.test(req.params.id) ? await getCroscrowVendorById(req.params.id) : null;
+        if (!vendor) {
+            throw createApiError(404, 'Croscrow vendor not found.');
+        }
+        sendRecord(res, serializeDocument(vendor));
+    }));
+
+    const vendorsOptions = { permission: PERMISSIONS.VENDORS_VIEW, scope: API_TOKEN_SCOPES.VENDORS_READ, api: true };
+
+    router.get('/api/v1/vendors', {
+        ...vendorsOptions,
+        docs: { summary: 'List connected vendors', tags: ['Vendors'] },
+        query: PAGE_QUERY_SCHEMA,
+        response: listResponse(RECORD_PROPERTIES)
+    }, apiHandler(async (req, res) => {
+        readQuery(req);
+        sendPage(req, res, await getVendors(), byIdKey, serializeDocument);
+    }));
+
+    router.get('/api/v1/vendors/:id', {
+        ...vendorsOptions,
+        docs: { summary: 'Get one connected vendor', tags: ['Vendors'], errors: { 404: 'No such vendor.' } },
+        response: recordResponse(RECORD_PROPERTIES)
+    }, apiHandler(async (req, res) => {
+        const vendor = OBJECT_ID_PATTERN.test(req.params.id) ? await getVendorById(req.params.id) : null;
+        if (!vendor) {
+            throw createApiError(404, 'Vendor not found.');
+        }
+        sendRecord(res, serializeDocument(vendor));
+    }));
+
+    router.get('/api/v1/settings', {
+        permission: PERMISSIONS.SETTINGS_VIEW,
+        scope: API_TOKEN_SCOPES.SETTINGS_READ,
+        api: true,
+        docs: { summary: 'Get the default commission and the invoice details', tags: ['Settings'] },
+        response: recordResponse({ commission_percentage: { type: 'number', required: true }, croscrow: { type: 'object' } })
+    }, apiHandler(async (req, res) => {
+        const [commissionPercentage, croscrowSettings] = await Promise.all([
+            getCommissionPercentage(),
+            getCroscrowSettings()
+        ]);
+        sendRecord(res, {
+            commission_percentage: commissionPercentage,
+            croscrow: croscrowSettings
+        });
+    }));
+
+    const reportsOptions = { permission: PERMISSIONS.REPORTS_VIEW, scope: API_TOKEN_SCOPES.REPORTS_READ, api: true };
+
+    router.get('/api/v1/facebook-events', {
+        ...reportsOptions,
+        docs: { summary: 'List tracked Facebook pixel events', tags: ['Reports'] },
+        query: EVENTS_PAGE_QUERY_SCHEMA,
+        response: listResponse({ ...RECORD_PROPERTIES, eventName: { type: 'string', required: true } })
+    }, apiHandler(async (req, res) => {
+        const query = readQuery(req);
+        const events = await getFacebookEvents(getEventFilters(query));
+        sendPage(req, res, events, event => [String(event.timestamp || ''), String(event._id)], serializeDocument);
+    }));
+
+    router.get('/api/v1/facebook-events/summary', {
+        ...reportsOptions,
+        docs: { summary: 'Count Facebook pixel events and rank products by them', tags: ['Reports'] },
+        query: EVENTS_QUERY_SCHEMA,
+        response: recordResponse({
+            counts: { type: 'object', required: true },
+            top_viewed_products: { type: 'array' },
+            top_added_to_cart_products: { type: 'array' }
+        })
+    }, apiHandler(async (req, res) => {
+        const query = readQuery(req);
+        const filters = getEventFilters(query);
+        const [eventCounts, topViewed, topAddedToCart, productData] = await Promise.all([
+            getFacebookEventCounts(filters),
+            getTopFacebookEventsByProduct('ViewContent', filters),
+            getTopFacebookEventsByProduct('AddToCart', filters),
+            getMirroredProducts()
+        ]);
+        const productTitles = new Map((productData.products || []).map(product => [String(product.id), product.title]));
+        const withTitles = items => items.map(item => ({
+            product_id: item.productId,
+            title: productTitles.get(String(item.productId)) || null,
+            count: item.count
+        }));
+        sendRecord(res, {
+            counts: eventCounts,
+            top_viewed_products: withTitles(topViewed),
+            top_added_to_cart_products: withTitles(topAddedToCart)
+        });
+    }));
+
+    // Anything else under /api/v1 gets an error envelope rather than the plain 404.
+    router.get('/api/v1/*', { public: true, api: true }, async (req, res) => {
+        sendApiError(res, 404, `No API endpoint at ${req.pathname}.`);
+    });
+}
+
+module.exports = {
+    registerApiV1Routes,
+};
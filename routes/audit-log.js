@@ -0,0 +1,42 @@
+const path = require('path');
+const { getAuditLog, getCroscrowVendors, getVendors, getUsers } = require('../db');
+const { PERMISSIONS } = require('../permissions');
+const { renderView, escapeHtml } = require('../views');
+const { logger } = require('../logger');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+// --- Audit Log ---
+function registerAuditLogRoutes(router) {
+    router.get('/audit-log', { permission: PERMISSIONS.AUDIT_VIEW }, async (req, res) => {
+        const auditLogTemplatePath = path.join(VIEWS_DIR, 'audit-log.html');
+        try {
+            const filters = {
+                orderId: (req.query.orderId || '').trim(),
+                vendorId: req.query.vendorId || '',
+                username: req.query.username || ''
+            };
+            const [auditEntries, croscrowVendors, vendors, users] = await Promise.all([
+                getAuditLog(filters),
+                getCroscrowVendors(),
+                getVendors(),
+                getUsers()
+            ]);
+            renderView(res, auditLogTemplatePath, {
+                auditEntries,
+                auditVendors: [...croscrowVendors, ...vendors],
+                auditUsers: users,
+                orderId: escapeHtml(filters.orderId),
+                selectedVendorId: filters.vendorId,
+                selectedUsername: filters.username
+            }, 0);
+        } catch (error) {
+            logger.error('Error loading audit log', { error });
+            renderView(res, auditLogTemplatePath, { error: 'Could not load the audit log.' }, 0);
+        }
+    });
+}
+
+module.exports = {
+    registerAuditLogRoutes,
+};
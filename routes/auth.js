@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { getUserById, getUserByUsername } = require('../db');
+const { verifyPassword, DUMMY_PASSWORD_HASH } = require('../auth');
+const { startSession, endSession, endAllSessionsForUser, clearSessionCookie, startLoginChallenge, loadLoginChallenge, recordLoginChallengeFailure, endLoginChallenge } = require('../sessions');
+const { checkLoginAllowed, recordLoginFailure, clearLoginFailures, formatRetryAfter } = require('../login-throttle');
+const { verifySecondFactor } = require('../two-factor');
+const { getClientIp } = require('../ingestion');
+const { getLoginNotice } = require('../health');
+const { logger } = require('../logger');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+async function renderLoginPage(res, statusCode, errorMessage) {
+    const loginTemplatePath = path.join(VIEWS_DIR, 'login.html');
+    const notice = await getLoginNotice();
+    fs.readFile(loginTemplatePath, 'utf8', (err, content) => {
+        if (err) {
+            res.writeHead(500);
+            res.end('Error loading login page');
+            return;
+        }
+        const errorHtml = errorMessage ? `<p class="error">${errorMessage}</p>` : '';
+        res.writeHead(statusCode, { 'Content-Type': 'text/html' });
+        const noticeHtml = notice ? `<div class="health-banner" role="alert">${notice}</div>` : '';
+        res.end(content.replace('{{healthBanner}}', noticeHtml).replace('{{errorMessage}}', errorHtml));
+    });
+}
+
+/**
+ * Renders the second login step, where a user with two-factor enabled enters a code.
+ * @param {string} challengeToken - From startLoginChallenge.
+ */
+function renderLoginVerifyPage(res, statusCode, challengeToken, errorMessage) {
+    const verifyTemplatePath = path.join(VIEWS_DIR, 'login-verify.html');
+    fs.readFile(verifyTemplatePath, 'utf8', (err, content) => {
+        if (err) {
+            res.writeHead(500);
+            res.end('Error loading login page');
+            return;
+        }
+        const errorHtml = errorMessage ? `<p class="error">${errorMessage}</p>` : '';
+        res.writeHead(statusCode, { 'Content-Type': 'text/html' });
+        res.end(content.replace('{{errorMessage}}', errorHtml).replace('{{challenge}}', challengeToken));
+    });
+}
+
+// --- Login and Logout ---
+function registerAuthRoutes(router) {
+    router.get('/login', { public: true }, async (req, res) => {
+        renderLoginPage(res, 200, '');
+    });
+
+    router.post('/login', { public: true }, async (req, res) => {
+        try {
+            const postData = req.body;
+            const username = (postData.username || '').trim().toLowerCase();
+            const ip = getClientIp(req);
+            const throttle = await checkLoginAllowed(username, ip);
+            if (!throttle.allowed) {
+                renderLoginPage(res, 429, `Too many failed login attempts. Try again in ${formatRetryAfter(throttle.retryAfterSeconds)}.`);
+                return;
+            }
+
+            const user = username ? await getUserByUsername(username) : null;
+            const passwordMatches = await verifyPassword(postData.password, user ? user.passwordHash : DUMMY_PASSWORD_HASH) && !!user;
+
+            if (!user || !passwordMatches || user.disabled) {
+                await recordLoginFailure(username, ip);
+                renderLoginPage(res, 401, 'Invalid username or password');
+                return;
+            }
+
+            if (user.totpEnabled) {
+                const challengeToken = await startLoginChallenge(user);
+                renderLoginVerifyPage(res, 200, challengeToken, '');
+                return;
+            }
+
+            await clearLoginFailures(username);
+            const sessionCookie = await startSession(user, req);
+            res.writeHead(302, {
+                'Set-Cookie': sessionCookie,
+                'Location': '/'
+            });
+            res.end();
+        } catch (error) {
+            logger.error('Error during login', { error });
+            renderLoginPage(res, 500, 'Login failed. Please try again.');
+        }
+    });
+
+    router.post('/login/verify', { public: true }, async (req, res) => {
+        try {
+            const postData = req.body;
+            const challengeToken = String(postData.challenge || '');
+            const challenge = await loadLoginChallenge(challengeToken);
+            if (!challenge) {
+                renderLoginPage(res, 401, 'Your sign-in expired. Please log in again.');
+                return;
+            }
+            const user = await getUserById(challenge.userId);
+            if (!user || user.disabled || !user.totpEnabled) {
+                await endLoginChallenge(challengeToken);
+                renderLoginPage(res, 401, 'Invalid username or password');
+                return;
+            }
+
+            const ip = getClientIp(req);
+            const throttle = await checkLoginAllowed(user.username, ip);
+            if (!throttle.allowed) {
+                await endLoginChallenge(challengeToken);
+                renderLoginPage(res, 429, `Too many failed login attempts. Try again in ${formatRetryAfter(throttle.retryAfterSeconds)}.`);
+                return;
+            }
+
+            if (!await verifySecondFactor(user, String(postData.code || ''))) {
+                await recordLoginFailure(user.username, ip);
+                if (await recordLoginChallengeFailure(challengeToken)) {
+                    renderLoginVerifyPage(res, 401, challengeToken, 'Invalid authentication code');
+                } else {
+                    renderLoginPage(res, 401, 'Too many incorrect codes. Please log in again.');
+                }
+                return;
+            }
+
+            await endLoginChallenge(challengeToken);
+            await clearLoginFailures(user.username);
+            const sessionCookie = await startSession(user, req);
+            res.writeHead(302, {
+                'Set-Cookie': sessionCookie,
+                'Location': '/'
+            });
+            res.end();
+        } catch (error) {
+            logger.error('Error during two-factor login', { error });
+            renderLoginPage(res, 500, 'Login failed. Please try again.');
+        }
+    });
+
+    router.get('/logout', { permission: null }, async (req, res) => {
+        await endSession(req.cookies);
+        res.writeHead(302, {
+            'Set-Cookie': clearSessionCookie(),
+            'Location': '/login'
+        });
+        res.end();
+    });
+
+    // Signing out is for browser sessions, so this route has no token scope;
+    // API tokens are revoked on the account page instead.
+    router.post('/logout-everywhere', { permission: null }, async (req, res) => {
+        try {
+            await endAllSessionsForUser(res.locals.user._id);
+            res.writeHead(302, {
+                'Set-Cookie': clearSessionCookie(),
+                'Location': '/login'
+            });
+            res.end();
+        } catch (error) {
+            logger.error('Error logging out everywhere', { error });
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Failed to log out of all sessions.');
+        }
+    });
+}
+
+module.exports = {
+    registerAuthRoutes,
+};
@@ -0,0 +1,227 @@
+const path = require('path');
+const { createCroscrowVendor, getCroscrowVendors, getCroscrowVendorById, updateCroscrowVendor, createVendorUser, getVendorUsers, getVendorUserById, setVendorUserDisabled, setVendorUserPasswordHash } = require('../db');
+const { hashPassword, validatePassword } = require('../auth');
+const { endAllSessionsForUser } = require('../sessions');
+const { clearLoginFailures } = require('../login-throttle');
+const { refreshStoreMirror, getMirroredProducts } = require('../store-mirror');
+const { renderView } = require('../views');
+const { PERMISSIONS } = require('../permissions');
+const { API_TOKEN_SCOPES } = require('../api-tokens');
+const { logger } = require('../logger');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+/**
+ * Runs a change to a vendor's portal logins and sends the admin back to the
+ * vendor's edit page, with the error in the URL if the change failed.
+ * @param {function(object, string): Promise} change - Called with the form data and vendor ID.
+ */
+async function updatePortalUser(req, res, change) {
+    const postData = req.body;
+    const vendorId = String(postData.vendor_id || '');
+    try {
+        const vendor = await getCroscrowVendorById(vendorId);
+        if (!vendor) {
+            throw new Error('Vendor not found.');
+        }
+        await change(postData, vendorId);
+        res.writeHead(302, { 'Location': `/edit-croscrow-vendor?id=${encodeURIComponent(vendorId)}` });
+        res.end();
+    } catch (error) {
+        logger.error('Error updating vendor portal login', { error });
+        res.writeHead(302, { 'Location': `/edit-croscrow-vendor?id=${encodeURIComponent(vendorId)}&error=${encodeURIComponent(error.message)}` });
+        res.end();
+    }
+}
+
+/**
+ * Only act on logins that belong to the vendor in the form.
+ */
+async function getPortalUserForVendor(vendorUserId, vendorId) {
+    const vendorUser = await getVendorUserById(vendorUserId);
+    if (!vendorUser || vendorUser.vendorId !== vendorId) {
+        throw new Error('Vendor login not found.');
+    }
+    return vendorUser;
+}
+
+// --- Croscrow Vendors ---
+// The brands we sell for and invoice commission to.
+function registerCroscrowVendorRoutes(router) {
+    router.get('/croscrow-vendors', { permission: PERMISSIONS.CROSCROW_VENDORS_VIEW }, async (req, res) => {
+        const vendorsTemplatePath = path.join(VIEWS_DIR, 'croscrow-vendors.html');
+        try {
+            const vendors = await getCroscrowVendors();
+            renderView(res, vendorsTemplatePath, { vendors }, 0);
+        } catch (error) {
+            logger.error('Error fetching croscrow vendors', { error });
+            renderView(res, vendorsTemplatePath, { error: 'Could not fetch croscrow vendors.' }, 0);
+        }
+    });
+
+    router.post('/croscrow-vendors', { permission: PERMISSIONS.CROSCROW_VENDORS_EDIT }, async (req, res) => {
+        const { actor } = res.locals;
+        try {
+            const postData = req.body;
+            await createCroscrowVendor({
+                name: postData.name,
+                gst_no: postData.gst_no,
+                address: postData.address
+            }, actor);
+            res.writeHead(302, {
+                'Location': '/croscrow-vendors'
+            });
+            res.end();
+        } catch (error) {
+            logger.error('Error creating croscrow vendor', { error });
+            res.writeHead(500, {
+                'Content-Type': 'text/plain'
+            });
+            res.end('Failed to create croscrow vendor.');
+        }
+    });
+
+    router.get('/edit-croscrow-vendor', { permission: PERMISSIONS.CROSCROW_VENDORS_EDIT }, async (req, res) => {
+        const editVendorTemplatePath = path.join(VIEWS_DIR, 'edit-croscrow-vendor.html');
+        try {
+            const vendorId = req.query.id;
+            const vendor = await getCroscrowVendorById(vendorId);
+            if (!vendor) {
+                throw new Error('Vendor not found');
+            }
+            const vendorUsers = await getVendorUsers(vendorId);
+            renderView(res, editVendorTemplatePath, {
+                vendor,
+                vendorUsers,
+                // Comes back through the redirect URL; renderView escapes it.
+                error: req.query.error || undefined
+            }, 0);
+        } catch (error) {
+            logger.error('Error fetching vendor for editing', { error });
+            renderView(res, path.join(VIEWS_DIR, 'croscrow-vendors.html'), {
+                error: `Could not fetch vendor for editing: ${error.message}`
+            }, 0);
+        }
+    });
+
+    router.post('/edit-croscrow-vendor', { permission: PERMISSIONS.CROSCROW_VENDORS_EDIT }, async (req, res) => {
+        const { actor } = res.locals;
+        try {
+            const postData = req.body;
+            const vendorId = postData.id;
+            const vendorData = {
+                gst_no: postData.gst_no,
+                address: postData.address
+            };
+            await updateCroscrowVendor(vendorId, vendorData, actor);
+            res.writeHead(302, {
+                'Location': '/croscrow-vendors'
+            });
+            res.end();
+        } catch (error) {
+            logger.error('Error updating croscrow vendor', { error });
+            res.writeHead(500, {
+                'Content-Type': 'text/plain'
+            });
+            res.end('Failed to update croscrow vendor.');
+        }
+    });
+
+    // --- Croscrow Vendor Portal Logins ---
+    const portalUserOptions = { permission: PERMISSIONS.CROSCROW_VENDORS_EDIT };
+
+    router.post('/croscrow-vendors/portal-users', portalUserOptions, async (req, res) => {
+        await updatePortalUser(req, res, async (postData, vendorId) => {
+            const username = (postData.username || '').trim().toLowerCase();
+            if (!username) {
+                throw new Error('Username is required.');
+            }
+            const passwordError = validatePassword(postData.password);
+            if (passwordError) {
+                throw new Error(passwordError);
+            }
+            await createVendorUser({
+                vendorId,
+                username,
+                name: (postData.name || '').trim(),
+                passwordHash: await hashPassword(postData.password)
+            }, res.locals.actor);
+        });
+    });
+
+    router.post('/croscrow-vendors/portal-users/disable', portalUserOptions, async (req, res) => {
+        await updatePortalUser(req, res, async (postData, vendorId) => {
+            await getPortalUserForVendor(postData.id, vendorId);
+            await setVendorUserDisabled(postData.id, true, res.locals.actor);
+            await endAllSessionsForUser(postData.id);
+        });
+    });
+
+    router.post('/croscrow-vendors/portal-users/enable', portalUserOptions, async (req, res) => {
+        await updatePortalUser(req, res, async (postData, vendorId) => {
+            await getPortalUserForVendor(postData.id, vendorId);
+            await setVendorUserDisabled(postData.id, false, res.locals.actor);
+        });
+    });
+
+    router.post('/croscrow-vendors/portal-users/reset-password', portalUserOptions, async (req, res) => {
+        await updatePortalUser(req, res, async (postData, vendorId) => {
+            const vendorUser = await getPortalUserForVendor(postData.id, vendorId);
+            const passwordError = validatePassword(postData.password);
+            if (passwordError) {
+                throw new Error(passwordError);
+            }
+            await setVendorUserPasswordHash(postData.id, await hashPassword(postData.password), res.locals.actor);
+            await endAllSessionsForUser(postData.id);
+            await clearLoginFailures(`vendor:${vendorUser.username}`);
+        });
+    });
+
+    // --- Sync Vendors ---
+    router.get('/sync-vendors', { permission: PERMISSIONS.CROSCROW_VENDORS_EDIT }, async (req, res) => {
+        const syncVendorsTemplatePath = path.join(VIEWS_DIR, 'sync-vendors.html');
+        renderView(res, syncVendorsTemplatePath, {}, 0);
+    });
+
+    router.post('/sync-vendors', { permission: PERMISSIONS.CROSCROW_VENDORS_EDIT, scope: API_TOKEN_SCOPES.SYNC_RUN }, async (req, res) => {
+        const { actor } = res.locals;
+        const syncVendorsTemplatePath = path.join(VIEWS_DIR, 'sync-vendors.html');
+        try {
+            // Catch vendors of products added since the last refresh.
+            await refreshStoreMirror('products');
+            const {
+                products
+            } = await getMirroredProducts();
+            const existingVendors = await getCroscrowVendors();
+            const existingVendorNames = new Set(existingVendors.map(v => v.name));
+
+            const shopifyVendors = new Set(products.map(p => p.vendor));
+            let newVendorsCount = 0;
+
+            for (const vendorName of shopifyVendors) {
+                if (!existingVendorNames.has(vendorName)) {
+                    await createCroscrowVendor({
+                        name: vendorName,
+                        gst_no: '',
+                        address: ''
+                    }, actor);
+                    newVendorsCount++;
+                }
+            }
+
+            renderView(res, syncVendorsTemplatePath, {
+                message: `Sync complete. Added ${newVendorsCount} new vendors.`
+            }, 0);
+
+        } catch (error) {
+            logger.error('Error syncing vendors', { error });
+            renderView(res, syncVendorsTemplatePath, {
+                message: `Error syncing vendors: ${error.message}`
+            }, 0);
+        }
+    });
+}
+
+module.exports = {
+    registerCroscrowVendorRoutes,
+};
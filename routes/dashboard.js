@@ -0,0 +1,196 @@
+const path = require('path');
+const { getCommissionPercentage, setCommissionPercentage, getAllProductViewCounts, getFacebookEvents, getTopFacebookEventsByProduct, getFacebookEventCounts, getTrackingRejectionCounts } = require('../db');
+const { getMainStoreClient } = require('../shopify');
+const { getMirroredProducts, getMirroredOrders, getStoreMirrorStatus } = require('../store-mirror');
+const { renderView } = require('../views');
+const { PERMISSIONS } = require('../permissions');
+const { checkHealth } = require('../health');
+const { logger } = require('../logger');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+const COMMISSION_SCHEMA = {
+    percentage: { type: 'number', required: true, min: 0, max: 100, label: 'Commission percentage' }
+};
+
+function calculateTopSellingProducts(orders, productImages) {
+    const productCounts = {};
+    orders.forEach(order => {
+        order.line_items.forEach(item => {
+            if (productCounts[item.title]) {
+                productCounts[item.title].quantity += item.quantity;
+            } else {
+                productCounts[item.title] = {
+                    quantity: item.quantity,
+                    image: productImages[item.product_id]
+                };
+            }
+        });
+    });
+
+    const sortedProducts = Object.keys(productCounts).map(title => {
+        return {
+            title: title,
+            quantity: productCounts[title].quantity,
+            image: productCounts[title].image
+        };
+    });
+
+    sortedProducts.sort((a, b) => b.quantity - a.quantity);
+
+    return sortedProducts;
+}
+
+function calculateMostViewedProducts(viewCounts, productImages, productTitles) {
+    const sortedProducts = Object.keys(viewCounts).map(productId => {
+        return {
+            id: productId,
+            title: productTitles[productId],
+            views: viewCounts[productId],
+            image: productImages[productId]
+        };
+    });
+
+    sortedProducts.sort((a, b) => b.views - a.views);
+
+    return sortedProducts;
+}
+
+// --- Dashboard and Reports ---
+function registerDashboardRoutes(router) {
+    router.get('/', { permission: PERMISSIONS.REPORTS_VIEW }, async (req, res) => {
+        const templatePath = path.join(VIEWS_DIR, 'index.html');
+        const health = await checkHealth();
+        try {
+            const commissionPercentage = await getCommissionPercentage();
+            const orderData = await getMainStoreClient().get('orders.json?status=any');
+            renderView(res, templatePath, { ...orderData, health }, commissionPercentage);
+        } catch (error) {
+            logger.error('Error fetching main page data', { error });
+            // Attempt to render the page with an error message, using a default commission
+            const commission = await getCommissionPercentage().catch(() => 10);
+            renderView(res, templatePath, { error: error.message, health }, commission);
+        }
+    });
+
+    router.post('/set-commission', { permission: PERMISSIONS.COMMISSION_EDIT, body: { schema: COMMISSION_SCHEMA } }, async (req, res) => {
+        await setCommissionPercentage(parseFloat(req.body.percentage), res.locals.actor);
+        // Redirect back to the homepage
+        res.writeHead(302, { 'Location': '/' });
+        res.end();
+    });
+
+    router.get('/analytics', { permission: PERMISSIONS.REPORTS_VIEW }, async (req, res) => {
+        const analyticsTemplatePath = path.join(VIEWS_DIR, 'analytics.html');
+        try {
+            // Fetch all data in parallel for better performance
+            const [productViewCounts, productDataResponse, orderData, storeMirror] = await Promise.all([
+                getAllProductViewCounts(),
+                getMirroredProducts(),
+                // The newest 50, as orders.json returns by default.
+                getMirroredOrders({ limit: 50 }),
+                getStoreMirrorStatus()
+            ]);
+
+            const productImages = {};
+            const productTitles = {};
+            productDataResponse.products.forEach(p => {
+                productImages[p.id] = p.image ? p.image.src : '';
+                productTitles[p.id] = p.title;
+            });
+
+            const topSellingProducts = calculateTopSellingProducts(orderData.orders, productImages);
+            const mostViewedProducts = calculateMostViewedProducts(productViewCounts, productImages, productTitles);
+            renderView(res, analyticsTemplatePath, { topSellingProducts, mostViewedProducts, storeMirror, returnTo: req.url }, 10); // Commission not shown on this page
+        } catch (error) {
+            logger.error('Error fetching analytics data', { error });
+            renderView(res, analyticsTemplatePath, { error: error.message }, 10);
+        }
+    });
+
+    router.get('/facebook-events', { permission: PERMISSIONS.REPORTS_VIEW }, async (req, res) => {
+        const facebookEventsTemplatePath = path.join(VIEWS_DIR, 'facebook-events.html');
+        try {
+            const filters = {
+                period: req.query.period || 'all',
+                startDate: req.query.startDate || '',
+                endDate: req.query.endDate || '',
+                eventType: req.query.eventType || 'all'
+            };
+
+            // Fetch all data in parallel
+            const [
+                eventCounts,
+                topViewedData,
+                topAddToCartData,
+                productDataResponse,
+                events,
+                trackingRejections,
+                storeMirror
+            ] = await Promise.all([
+                getFacebookEventCounts(filters),
+                getTopFacebookEventsByProduct('ViewContent', filters),
+                getTopFacebookEventsByProduct('AddToCart', filters),
+                getMirroredProducts(),
+                getFacebookEvents(filters),
+                getTrackingRejectionCounts(),
+                getStoreMirrorStatus()
+            ]);
+
+            // Create a product lookup map for efficient access
+            const productMap = new Map();
+            if (productDataResponse && productDataResponse.products) {
+                productDataResponse.products.forEach(p => {
+                    productMap.set(String(p.id), {
+                        title: p.title,
+                        image: p.image ? p.image.src : ''
+                    });
+                });
+            }
+
+            // Combine top event data with product details
+            const topViewedProducts = topViewedData
+                .map(item => ({ ...item, ...productMap.get(String(item.productId)) }))
+                .filter(item => item.title); // Ensure product exists
+
+            const topAddToCartProducts = topAddToCartData
+                .map(item => ({ ...item, ...productMap.get(String(item.productId)) }))
+                .filter(item => item.title); // Ensure product exists
+
+            // Create a map of all product images for the main event table
+            const productImages = {};
+            for (const [key, value] of productMap.entries()) {
+                productImages[key] = value.image;
+            }
+            
+            const renderData = {
+                events,
+                trackingRejections,
+                storeMirror,
+                returnTo: req.url,
+                productImages,
+                topViewedProducts,
+                topAddToCartProducts,
+                viewContentCount: eventCounts.ViewContent || 0,
+                addToCartCount: eventCounts.AddToCart || 0,
+                initiateCheckoutCount: eventCounts.InitiateCheckout || 0,
+                purchaseCount: eventCounts.Purchase || 0,
+                startDate: filters.startDate,
+                endDate: filters.endDate,
+                [`selectedPeriod_${filters.period}`]: 'selected',
+                [`selectedEventType_${filters.eventType}`]: 'selected'
+            };
+
+            renderView(res, facebookEventsTemplatePath, renderData, 0);
+        } catch (error) {
+            logger.error('Error in Facebook events page', { error });
+            renderView(res, facebookEventsTemplatePath, { 
+                error: 'Unable to load Facebook events data' 
+            }, 0);
+        }
+    });
+}
+
+module.exports = {
+    registerDashboardRoutes,
+};
@@ -0,0 +1,52 @@
+const path = require('path');
+const { getVendors, getShopifyDeprecations } = require('../db');
+const { getMainStoreClient, createVendorStoreClient, getApiVersionSupportEnd } = require('../shopify');
+const { PERMISSIONS } = require('../permissions');
+const { renderView } = require('../views');
+const { logger } = require('../logger');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+/**
+ * The API version a store uses and when Shopify stops supporting it.
+ * @param {object} client - From shopify.js.
+ * @param {object} [vendor] - Set for vendor stores, whose version can be changed here.
+ * @returns {object}
+ */
+function describeStoreVersion(client, vendor = null) {
+    return {
+        label: vendor ? vendor.name : 'Main store',
+        store: client.store,
+        apiVersion: client.apiVersion,
+        supportEndsAt: getApiVersionSupportEnd(client.apiVersion),
+        vendorId: vendor ? String(vendor._id) : null,
+        // Empty when the vendor follows SHOPIFY_API_VERSION.
+        vendorApiVersion: vendor ? vendor.shopifyApiVersion || '' : null
+    };
+}
+
+// --- Diagnostics ---
+// Which Admin API version each store is on and which calls Shopify has
+// flagged as deprecated, so stores can be upgraded before a version is retired.
+function registerDiagnosticsRoutes(router) {
+    router.get('/diagnostics', { permission: PERMISSIONS.DIAGNOSTICS_VIEW }, async (req, res) => {
+        const diagnosticsTemplatePath = path.join(VIEWS_DIR, 'diagnostics.html');
+        try {
+            const [vendors, deprecations] = await Promise.all([getVendors(), getShopifyDeprecations()]);
+            renderView(res, diagnosticsTemplatePath, {
+                storeVersions: [
+                    describeStoreVersion(getMainStoreClient()),
+                    ...vendors.map(vendor => describeStoreVersion(createVendorStoreClient(vendor), vendor))
+                ],
+                deprecations
+            }, 0);
+        } catch (error) {
+            logger.error('Error loading diagnostics', { error });
+            renderView(res, diagnosticsTemplatePath, { error: 'Could not load diagnostics.' }, 0);
+        }
+    });
+}
+
+module.exports = {
+    registerDiagnosticsRoutes,
+};
@@ -0,0 +1,143 @@
+const { getBulkExports, getBulkExportById, getBulkExportItemsCursor } = require('../db');
+const { EXPORT_TYPES, startBulkExport } = require('../bulk-exports');
+const { getMainStoreClient } = require('../shopify');
+const { PERMISSIONS } = require('../permissions');
+const { API_TOKEN_SCOPES } = require('../api-tokens');
+const { logger } = require('../logger');
+
+const START_EXPORT_SCHEMA = {
+    type: { type: 'string', required: true, enum: Object.keys(EXPORT_TYPES), label: 'Export type' }
+};
+
+const BULK_EXPORT_PROPERTIES = {
+    _id: { type: 'string', required: true },
+    type: { type: 'string', required: true, enum: Object.keys(EXPORT_TYPES) },
+    store: { type: 'string', required: true },
+    status: { type: 'string', required: true, enum: ['running', 'completed', 'failed', 'superseded'], description: 'Superseded exports no longer have their items.' },
+    itemCount: { type: 'number', required: true },
+    operationId: { type: 'string', required: true, description: 'Watch progress at /operations/{operationId}/events.' },
+    error: { type: 'string' }
+};
+
+function sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+// --- Bulk Exports ---
+// Every product or order of the main store, exported with a Shopify bulk
+// operation (see bulk-exports.js) and downloaded as JSON Lines.
+function registerExportRoutes(router) {
+    const exportRouteOptions = { permission: PERMISSIONS.REPORTS_VIEW, scope: API_TOKEN_SCOPES.REPORTS_READ };
+
+    router.get('/exports', {
+        ...exportRouteOptions,
+        docs: { summary: 'List recent product and order exports, newest first', tags: ['Exports'] },
+        response: { exports: { type: 'array', required: true, items: { type: 'object', properties: BULK_EXPORT_PROPERTIES } } }
+    }, async (req, res) => {
+        const exports = await getBulkExports();
+        sendJson(res, 200, { exports });
+    });
+
+    // Starting one takes the store's only bulk query slot, so it needs the
+    // same access as a sync, which can also watch it at /operations.
+    router.post('/exports', {
+        permission: PERMISSIONS.CATALOG_SYNC,
+        scope: API_TOKEN_SCOPES.SYNC_RUN,
+        body: { schema: START_EXPORT_SCHEMA },
+        docs: {
+            summary: 'Start exporting every product or order of the main store',
+            tags: ['Exports'],
+            description: 'Answers 202 straight away. Shopify prepares the export in the background; follow eventsUrl for progress.',
+            errors: {
+                409: 'An export of the main store is already running.',
+                503: 'MongoDB is not connected, so there is nowhere to save the export.'
+            }
+        },
+        response: {
+            success: { type: 'boolean', required: true },
+            exportId: { type: 'string', required: true },
+            operationId: { type: 'string', required: true },
+            eventsUrl: { type: 'string', required: true }
+        }
+    }, async (req, res) => {
+        try {
+            const { bulkExport, operation } = await startBulkExport(getMainStoreClient(), req.body.type, res.locals.actor);
+            res.writeHead(202, { 'Content-Type': 'application/json', 'Location': `/exports/${bulkExport._id}` });
+            res.end(JSON.stringify({
+                success: true,
+                exportId: String(bulkExport._id),
+                operationId: operation.id,
+                eventsUrl: `/operations/${operation.id}/events`
+            }));
+        } catch (error) {
+            if (error.statusCode === 409) {
+                sendJson(res, 409, { success: false, error: error.message });
+                return;
+            }
+            logger.error('Error starting bulk export', { error });
+            sendJson(res, 503, { success: false, error: 'Could not start the export. Check that MongoDB is connected.' });
+        }
+    });
+
+    router.get('/exports/:id', {
+        ...exportRouteOptions,
+        docs: { summary: 'Get the status of an export', tags: ['Exports'], errors: { 404: 'No such export.' } },
+        response: { export: { type: 'object', required: true, properties: BULK_EXPORT_PROPERTIES } }
+    }, async (req, res) => {
+        const bulkExport = await getBulkExportById(req.params.id);
+        if (!bulkExport) {
+            sendJson(res, 404, { success: false, error: 'Export not found.' });
+            return;
+        }
+        sendJson(res, 200, { export: bulkExport });
+    });
+
+    router.get('/exports/:id/download', {
+        ...exportRouteOptions,
+        docs: {
+            summary: 'Download a completed export as JSON Lines, one product or order per line',
+            tags: ['Exports'],
+            contentType: 'application/x-ndjson',
+            errors: { 404: 'No such export.', 409: 'The export is still running, failed or was superseded by a newer one.' }
+        }
+    }, async (req, res) => {
+        const bulkExport = await getBulkExportById(req.params.id);
+        if (!bulkExport) {
+            sendJson(res, 404, { success: false, error: 'Export not found.' });
+            return;
+        }
+        if (bulkExport.status !== 'completed') {
+            sendJson(res, 409, { success: false, error: `This export is ${bulkExport.status} and has nothing to download.` });
+            return;
+        }
+
+        const date = bulkExport.startedAt.toISOString().substring(0, 10);
+        res.writeHead(200, {
+            'Content-Type': 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${bulkExport.store}-${bulkExport.type}-${date}.jsonl"`,
+            'Cache-Control': 'no-store'
+        });
+        try {
+            for await (const { item } of await getBulkExportItemsCursor(bulkExport._id)) {
+                if (res.destroyed) {
+                    break;
+                }
+                // Respect backpressure so a large export isn't buffered in memory.
+                if (!res.write(`${JSON.stringify(item)}\n`)) {
+                    await new Promise(resolve => {
+                        res.once('drain', resolve);
+                        res.once('close', resolve);
+                    });
+                }
+            }
+        } catch (error) {
+            logger.error('Error streaming bulk export', { exportId: bulkExport._id, error });
+        }
+        res.end();
+    });
+}
+
+module.exports = {
+    registerExportRoutes,
+};
@@ -0,0 +1,61 @@
+const { checkHealth } = require('../health');
+
+const HEALTH_RESPONSE_SCHEMA = {
+    status: { type: 'string', required: true, enum: ['ok', 'degraded'] },
+    version: { type: 'string', required: true },
+    uptimeSeconds: { type: 'number', required: true },
+    fallbackMode: { type: 'boolean', required: true, description: 'True when MongoDB is unavailable and writes are being dropped.' },
+    database: {
+        type: 'object',
+        required: true,
+        properties: {
+            configured: { type: 'boolean', required: true, description: 'Whether MONGODB_URI is set.' },
+            connected: { type: 'boolean', required: true },
+            fallbackMode: { type: 'boolean', required: true },
+            reason: { type: 'string', enum: ['not_configured', 'connection_failed', 'ping_failed'], description: 'Why the database is not connected.' }
+        }
+    },
+    shopify: {
+        type: 'object',
+        required: true,
+        properties: {
+            configured: { type: 'boolean', required: true, description: 'Whether the main store credentials are set.' }
+        }
+    }
+};
+
+function sendHealth(res, statusCode, health) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(health));
+}
+
+// --- Health Checks ---
+// For uptime monitors and the hosting platform. /healthz answers 200 while the
+// process is serving requests, even in fallback mode; /readyz answers 503
+// until MongoDB and the main store are both usable.
+function registerHealthRoutes(router) {
+    router.get('/healthz', {
+        public: true,
+        docs: { summary: 'Liveness, with the state of MongoDB and the main store', tags: ['Health'] },
+        response: HEALTH_RESPONSE_SCHEMA
+    }, async (req, res) => {
+        sendHealth(res, 200, await checkHealth());
+    });
+
+    router.get('/readyz', {
+        public: true,
+        docs: {
+            summary: 'Readiness: 503 while the app is degraded',
+            tags: ['Health'],
+            errors: { 503: 'MongoDB is unavailable or the main store credentials are missing. The body has the same fields as a 200.' }
+        },
+        response: HEALTH_RESPONSE_SCHEMA
+    }, async (req, res) => {
+        const health = await checkHealth();
+        sendHealth(res, health.status === 'ok' ? 200 : 503, health);
+    });
+}
+
+module.exports = {
+    registerHealthRoutes,
+};
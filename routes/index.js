@@ -0,0 +1,49 @@
+const { registerAuthRoutes } = require('./auth');
+const { registerPortalRoutes } = require('./portal');
+const { registerTrackingRoutes } = require('./tracking');
+const { registerDashboardRoutes } = require('./dashboard');
+const { registerVendorRoutes } = require('./vendors');
+const { registerCroscrowVendorRoutes } = require('./croscrow-vendors');
+const { registerInvoiceRoutes } = require('./invoices');
+const { registerUserRoutes } = require('./users');
+const { registerAuditLogRoutes } = require('./audit-log');
+const { registerDiagnosticsRoutes } = require('./diagnostics');
+const { registerAccountRoutes } = require('./account');
+const { registerApiV1Routes } = require('./api-v1');
+const { registerOpenApiRoutes } = require('./openapi');
+const { registerHealthRoutes } = require('./health');
+const { registerMetricsRoutes } = require('./metrics');
+const { registerOperationRoutes } = require('./operations');
+const { registerExportRoutes } = require('./exports');
+const { registerStoreMirrorRoutes } = require('./store-mirror');
+const { registerStaticRoutes } = require('./static');
+
+/**
+ * Registers every route of the app. Each routes/ module owns one area.
+ * @param {object} router - From createRouter().
+ */
+function registerRoutes(router) {
+    registerHealthRoutes(router);
+    registerMetricsRoutes(router);
+    registerAuthRoutes(router);
+    registerPortalRoutes(router);
+    registerTrackingRoutes(router);
+    registerDashboardRoutes(router);
+    registerVendorRoutes(router);
+    registerCroscrowVendorRoutes(router);
+    registerInvoiceRoutes(router);
+    registerUserRoutes(router);
+    registerAuditLogRoutes(router);
+    registerDiagnosticsRoutes(router);
+    registerAccountRoutes(router);
+    registerOperationRoutes(router);
+    registerExportRoutes(router);
+    registerStoreMirrorRoutes(router);
+    registerApiV1Routes(router);
+    registerOpenApiRoutes(router);
+    registerStaticRoutes(router);
+}
+
+module.exports = {
+    registerRoutes,
+};
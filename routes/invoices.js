@@ -0,0 +1,455 @@
+const path = require('path');
+const { getCroscrowVendors, getCroscrowVendorById, getCommissionOrders, saveCommissionOrder, updateCommissionOrderStatus, getCroscrowSettings, setCroscrowSettings, saveManualOrder, getManualOrders } = require('../db');
+const { getMainStoreClient } = require('../shopify');
+const { getMirroredProducts, getMirroredOrders, getStoreMirrorStatus } = require('../store-mirror');
+const { buildInvoiceData, summarizeCommissions, formatCurrency } = require('../commission');
+const { renderView } = require('../views');
+const { PERMISSIONS } = require('../permissions');
+const { API_TOKEN_SCOPES } = require('../api-tokens');
+const { logger } = require('../logger');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+const DISCOUNT_TYPES = ['', 'croscrow', 'vendor'];
+
+const ORDER_STATUS_SCHEMA = {
+    order_id: { type: 'string', required: true, label: 'Order' }
+};
+
+const ASSIGN_VENDOR_SCHEMA = {
+    order_id: { type: 'string', required: true, label: 'Order' },
+    vendor_id: { type: 'string', label: 'Vendor' },
+    manual_shipping: { type: 'number', min: 0, label: 'Shipping' },
+    discount_type: { enum: DISCOUNT_TYPES, label: 'Discount type' },
+    manual_discount: { type: 'number', min: 0, label: 'Discount' },
+    amount_received: { type: 'number', min: 0, label: 'Amount received' },
+    commission_percentage: { type: 'number', min: 0, max: 100, label: 'Commission %' }
+};
+
+const RESULT_SCHEMA = {
+    success: { type: 'boolean', required: true }
+};
+
+const MANUAL_ORDER_SCHEMA = {
+    manual_order_id: { type: 'string', required: true, maxLength: 100, label: 'Manual Order ID' },
+    manual_amount: { type: 'number', required: true, min: 0, label: 'Amount' },
+    manual_vendor_id: { type: 'string', required: true, label: 'Vendor' },
+    manual_shipping: { type: 'number', min: 0, label: 'Shipping' },
+    discount_type: { enum: DISCOUNT_TYPES, label: 'Discount type' },
+    manual_discount: { type: 'number', min: 0, label: 'Discount' },
+    amount_received: { type: 'number', min: 0, label: 'Amount received' },
+    manual_commission: { type: 'number', min: 0, max: 100, label: 'Commission %' }
+};
+
+// --- Invoices ---
+// Commission orders, manual orders and the invoices generated from them.
+function registerInvoiceRoutes(router) {
+    router.get('/invoices', { permission: PERMISSIONS.INVOICES_VIEW, scope: API_TOKEN_SCOPES.ORDERS_READ }, async (req, res) => {
+        const invoicesTemplatePath = path.join(VIEWS_DIR, 'invoices.html');
+        try {
+            const dateRange = req.query.date_range || 'all';
+            const startDateParam = req.query.start_date;
+            const endDateParam = req.query.end_date;
+
+            const [orderData, vendors, commissionOrders, manualOrders, productData, storeMirror] = await Promise.all([
+                getMirroredOrders(),
+                getCroscrowVendors(),
+                getCommissionOrders(),
+                getManualOrders(),
+                getMirroredProducts(),
+                getStoreMirrorStatus()
+            ]);
+
+            const productImages = productData.products.reduce((map, product) => {
+                map[product.id] = product.image ? product.image.src : '';
+                return map;
+            }, {});
+
+            const commissionOrdersMap = commissionOrders.reduce((map, order) => {
+                map[order.order_id] = order;
+                return map;
+            }, {});
+
+            let mergedOrders = orderData.orders.map(order => {
+                const commissionOrder = commissionOrdersMap[String(order.id)];
+                return {
+                    ...order,
+                    ...commissionOrder
+                };
+            });
+
+            // --- Date Filtering Logic ---
+            let startDate, endDate;
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+
+            switch (dateRange) {
+                case 'today':
+                    startDate = new Date(today);
+                    endDate = new Date(today);
+                    endDate.setHours(23, 59, 59, 999);
+                    break;
+                case 'yesterday':
+                    startDate = new Date(today);
+                    startDate.setDate(startDate.getDate() - 1);
+                    endDate = new Date(startDate);
+                    endDate.setHours(23, 59, 59, 999);
+                    break;
+                case 'last_7_days':
+                    startDate = new Date(today);
+                    startDate.setDate(startDate.getDate() - 6);
+                    endDate = new Date();
+                    endDate.setHours(23, 59, 59, 999);
+                    break;
+                case 'month_to_date':
+                    startDate = new Date(today.getFullYear(), today.getMonth(), 1);
+                    endDate = new Date();
+                    endDate.setHours(23, 59, 59, 999);
+                    break;
+                case 'custom':
+                    if (startDateParam) {
+                        startDate = new Date(startDateParam);
+                        startDate.setHours(0, 0, 0, 0);
+                    }
+                    if (endDateParam) {
+                        endDate = new Date(endDateParam);
+                        endDate.setHours(23, 59, 59, 999);
+                    }
+                    break;
+                case 'all':
+                default:
+                    // No date filtering needed
+                    break;
+            }
+
+            if (startDate && endDate) {
+                mergedOrders = mergedOrders.filter(order => {
+                    const orderDate = new Date(order.created_at);
+                    return orderDate >= startDate && orderDate <= endDate;
+                });
+            }
+
+
+            const totals = summarizeCommissions(mergedOrders);
+
+            const vendorMap = vendors.reduce((map, vendor) => {
+                map[vendor._id] = vendor.name;
+                return map;
+            }, {});
+
+            const processedManualOrders = manualOrders.map(order => ({
+                ...order,
+                vendor_name: vendorMap[order.manual_vendor_id] || 'Unknown Vendor'
+            }));
+
+            const renderData = {
+                orders: mergedOrders,
+                vendors,
+                manualOrders: processedManualOrders,
+                productImages,
+                settlementPending: formatCurrency(totals.settlementPending),
+                totalCommissionEarned: formatCurrency(totals.totalCommissionEarned),
+                totalShipping: formatCurrency(totals.totalShipping),
+                totalAmountCollected: formatCurrency(totals.totalAmountCollected),
+                totalGstOnCommission: formatCurrency(totals.totalGstOnCommission),
+                totalDiscountByVendors: formatCurrency(totals.totalDiscountByVendors),
+                totalDiscountByCroscrow: formatCurrency(totals.totalDiscountByCroscrow),
+                start_date: startDateParam,
+                end_date: endDateParam,
+                [`selected_date_range_${dateRange}`]: 'selected',
+                storeMirror,
+                returnTo: req.url
+            };
+
+            renderView(res, invoicesTemplatePath, renderData, 0);
+        } catch (error) {
+            logger.error('Error fetching invoices data', { error });
+            renderView(res, invoicesTemplatePath, {
+                error: 'Could not fetch invoices data.'
+            }, 0);
+        }
+    });
+
+    router.get('/invoices/generate', { permission: PERMISSIONS.INVOICES_VIEW, scope: API_TOKEN_SCOPES.ORDERS_READ }, async (req, res) => {
+        const invoiceTemplatePath = path.join(VIEWS_DIR, 'invoice-template.html');
+        const orderId = req.query.order_id;
+        // The ID goes into the Shopify request path, so only a numeric ID is sent.
+        if (!/^\d+$/.test(orderId || '')) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end('order_id must be a Shopify order ID.');
+            return;
+        }
+        try {
+            logger.debug('Generating invoice', { orderId });
+
+            const [orderData, commissionOrders, croscrowSettings] = await Promise.all([
+                getMainStoreClient().get(`orders/${orderId}.json`),
+                getCommissionOrders(),
+                getCroscrowSettings()
+            ]);
+
+            const order = orderData.order;
+            if (!order) {
+                throw new Error('Order not found.');
+            }
+
+            const commissionOrder = commissionOrders.find(co => co.order_id == String(order.id));
+
+            if (!commissionOrder) {
+                throw new Error('Commission data not found for this order. Please save vendor and other details first.');
+            }
+
+            const vendor = await getCroscrowVendorById(commissionOrder.vendor_id);
+
+            if (!vendor) {
+                throw new Error('Vendor not found for this order.');
+            }
+
+            const invoiceData = buildInvoiceData(order, vendor, commissionOrder, croscrowSettings, order.created_at);
+            renderView(res, invoiceTemplatePath, invoiceData, 0);
+
+        } catch (error) {
+            logger.error('Error generating invoice', { error });
+            renderView(res, path.join(VIEWS_DIR, 'invoice-template.html'), {
+                error: `Could not generate invoice: ${error.message}`
+            }, 0);
+        }
+    });
+
+    router.get('/invoices/generate-from-manual', { permission: PERMISSIONS.INVOICES_VIEW, scope: API_TOKEN_SCOPES.ORDERS_READ }, async (req, res) => {
+        const invoiceTemplatePath = path.join(VIEWS_DIR, 'invoice-template.html');
+        try {
+            const manualOrderId = req.query.manual_order_id;
+            const manualOrders = await getManualOrders();
+            const manualOrder = manualOrders.find(o => o.manual_order_id === manualOrderId);
+
+            if (!manualOrder) {
+                throw new Error('Manual order not found.');
+            }
+
+            const vendor = await getCroscrowVendorById(manualOrder.manual_vendor_id);
+            if (!vendor) {
+                throw new Error('Vendor not found for this manual order.');
+            }
+
+            const mockOrder = {
+                order_number: manualOrder.manual_order_id,
+                created_at: manualOrder.createdAt,
+                total_line_items_price: manualOrder.manual_amount,
+                customer: { first_name: 'Manual', last_name: 'Entry' },
+                shipping_address: { address1: '', city: '', zip: '', country: '' },
+                line_items: [{ title: 'Manual Item', quantity: 1, price: manualOrder.manual_amount }]
+            };
+
+            const croscrowSettings = await getCroscrowSettings();
+            const invoiceData = buildInvoiceData(mockOrder, vendor, manualOrder, croscrowSettings, manualOrder.createdAt);
+            renderView(res, invoiceTemplatePath, invoiceData, 0);
+
+        } catch (error) {
+            logger.error('Error generating invoice from manual order', { error });
+            renderView(res, path.join(VIEWS_DIR, 'invoice-template.html'), {
+                error: `Could not generate invoice: ${error.message}`
+            }, 0);
+        }
+    });
+
+    router.post('/invoices/generate-manual', { permission: PERMISSIONS.INVOICES_VIEW, scope: API_TOKEN_SCOPES.ORDERS_READ }, async (req, res) => {
+        const invoiceTemplatePath = path.join(VIEWS_DIR, 'invoice-template.html');
+        try {
+            const postData = req.body;
+            const manualOrderId = postData.manual_order_id;
+            const manualAmount = parseFloat(postData.manual_amount);
+            const vendorId = postData.manual_vendor_id;
+
+            if (!manualOrderId || isNaN(manualAmount) || !vendorId) {
+                throw new Error('Manual Order ID, a valid Amount, and a Vendor are required.');
+            }
+
+            const vendor = await getCroscrowVendorById(vendorId);
+            if (!vendor) {
+                throw new Error('Selected vendor not found.');
+            }
+
+            // Create a commissionOrder object from the form data
+            const commissionOrder = {
+                manual_shipping: postData.manual_shipping || 0,
+                discount_type: postData.discount_type || '',
+                manual_discount: postData.manual_discount || 0,
+                amount_received: postData.amount_received || 0,
+                commission_percentage: postData.manual_commission || 0
+            };
+
+            // Create a mock order object that mimics the Shopify order structure
+            const mockOrder = {
+                order_number: manualOrderId,
+                created_at: new Date().toISOString(),
+                total_line_items_price: manualAmount,
+                customer: { first_name: 'Manual', last_name: 'Entry' },
+                shipping_address: { address1: '', city: '', zip: '', country: '' },
+                line_items: [{ title: 'Manual Item', quantity: 1, price: manualAmount }]
+            };
+            
+            const croscrowSettings = await getCroscrowSettings();
+
+            const invoiceData = buildInvoiceData(mockOrder, vendor, commissionOrder, croscrowSettings, new Date());
+            renderView(res, invoiceTemplatePath, invoiceData, 0);
+
+        } catch (error) {
+            logger.error('Error generating manual invoice', { error });
+            renderView(res, path.join(VIEWS_DIR, 'invoice-template.html'), {
+                error: `Could not generate manual invoice: ${error.message}`
+            }, 0);
+        }
+    });
+
+    router.post('/invoices/assign-vendor', {
+        permission: PERMISSIONS.INVOICES_EDIT,
+        scope: API_TOKEN_SCOPES.COMMISSION_ORDERS_WRITE,
+        body: { schema: ASSIGN_VENDOR_SCHEMA },
+        docs: { summary: 'Save the vendor and commission details of an order', tags: ['Invoices'] },
+        response: RESULT_SCHEMA
+    }, async (req, res) => {
+        const { actor } = res.locals;
+        try {
+            const postData = req.body;
+            await saveCommissionOrder({
+                order_id: postData.order_id,
+                vendor_id: postData.vendor_id,
+                manual_shipping: postData.manual_shipping,
+                discount_type: postData.discount_type,
+                manual_discount: postData.manual_discount,
+                amount_received: postData.amount_received,
+                commission_percentage: postData.commission_percentage
+            }, actor);
+            res.writeHead(200, {
+                'Content-Type': 'application/json'
+            });
+            res.end(JSON.stringify({
+                success: true
+            }));
+        } catch (error) {
+            logger.error('Error assigning vendor', { error });
+            res.writeHead(500, {
+                'Content-Type': 'application/json'
+            });
+            res.end(JSON.stringify({
+                success: false,
+                error: 'Failed to assign vendor.'
+            }));
+        }
+    });
+
+    router.post('/invoices/mark-as-canceled', {
+        permission: PERMISSIONS.INVOICES_EDIT,
+        scope: API_TOKEN_SCOPES.COMMISSION_ORDERS_WRITE,
+        body: { schema: ORDER_STATUS_SCHEMA },
+        docs: { summary: 'Mark a commission order as canceled', tags: ['Invoices'] },
+        response: RESULT_SCHEMA
+    }, async (req, res) => {
+        const { actor } = res.locals;
+        try {
+            const postData = req.body;
+            await updateCommissionOrderStatus(postData.order_id, 'canceled', actor);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true }));
+        } catch (error) {
+            logger.error('Error marking order as canceled', { error });
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Failed to mark as canceled.' }));
+        }
+    });
+
+    router.post('/invoices/mark-as-settled', {
+        permission: PERMISSIONS.INVOICES_SETTLE,
+        scope: API_TOKEN_SCOPES.COMMISSION_ORDERS_WRITE,
+        body: { schema: ORDER_STATUS_SCHEMA },
+        docs: { summary: 'Mark a commission order as settled', tags: ['Invoices'] },
+        response: RESULT_SCHEMA
+    }, async (req, res) => {
+        const { actor } = res.locals;
+        try {
+            const postData = req.body;
+            await updateCommissionOrderStatus(postData.order_id, 'settled', actor);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true }));
+        } catch (error) {
+            logger.error('Error marking order as settled', { error });
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Failed to mark as settled.' }));
+        }
+    });
+
+    router.post('/invoices/save-manual', {
+        permission: PERMISSIONS.INVOICES_EDIT,
+        scope: API_TOKEN_SCOPES.COMMISSION_ORDERS_WRITE,
+        body: { schema: MANUAL_ORDER_SCHEMA },
+        docs: { summary: 'Save an order taken outside Shopify', tags: ['Invoices'] },
+        response: RESULT_SCHEMA
+    }, async (req, res) => {
+        const { actor } = res.locals;
+        try {
+            const postData = req.body;
+            const manualOrder = {
+                manual_order_id: postData.manual_order_id,
+                manual_amount: postData.manual_amount,
+                manual_vendor_id: postData.manual_vendor_id,
+                manual_shipping: postData.manual_shipping,
+                discount_type: postData.discount_type,
+                manual_discount: postData.manual_discount,
+                amount_received: postData.amount_received,
+                commission_percentage: postData.manual_commission,
+                createdAt: new Date()
+            };
+            await saveManualOrder(manualOrder, actor);
+            res.writeHead(200, {
+                'Content-Type': 'application/json'
+            });
+            res.end(JSON.stringify({
+                success: true
+            }));
+        } catch (error) {
+            logger.error('Error saving manual order', { error });
+            res.writeHead(500, {
+                'Content-Type': 'application/json'
+            });
+            res.end(JSON.stringify({
+                success: false,
+                error: 'Failed to save manual order.'
+            }));
+        }
+    });
+
+    // --- Invoice Settings ---
+    router.get('/croscrow-settings', { permission: PERMISSIONS.SETTINGS_VIEW }, async (req, res) => {
+        const settingsTemplatePath = path.join(VIEWS_DIR, 'croscrow-settings.html');
+        try {
+            const settings = await getCroscrowSettings();
+            renderView(res, settingsTemplatePath, { settings }, 0);
+        } catch (error) {
+            logger.error('Error fetching croscrow settings', { error });
+            renderView(res, settingsTemplatePath, { error: 'Could not fetch croscrow settings.' }, 0);
+        }
+    });
+
+    router.post('/croscrow-settings', { permission: PERMISSIONS.SETTINGS_EDIT }, async (req, res) => {
+        const { actor } = res.locals;
+        try {
+            const postData = req.body;
+            await setCroscrowSettings({
+                logo_url: postData.logo_url,
+                gst_details: postData.gst_details,
+                address: postData.address
+            }, actor);
+            res.writeHead(302, { 'Location': '/croscrow-settings' });
+            res.end();
+        } catch (error) {
+            logger.error('Error saving croscrow settings', { error });
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Failed to save croscrow settings.');
+        }
+    });
+}
+
+module.exports = {
+    registerInvoiceRoutes,
+};
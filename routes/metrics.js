@@ -0,0 +1,31 @@
+const { CONTENT_TYPE, renderMetrics } = require('../metrics');
+const { PERMISSIONS } = require('../permissions');
+const { API_TOKEN_SCOPES } = require('../api-tokens');
+
+// --- Metrics ---
+// Scraped by Prometheus with an admin's API token that has the metrics:read
+// scope, e.g. in prometheus.yml:
+//
+//   authorization:
+//     credentials: ccat_...
+//
+// See metrics.js for what is measured.
+function registerMetricsRoutes(router) {
+    router.get('/metrics', {
+        permission: PERMISSIONS.METRICS_VIEW,
+        scope: API_TOKEN_SCOPES.METRICS_READ,
+        docs: {
+            summary: 'Counters and histograms in the Prometheus text format',
+            tags: ['Health'],
+            contentType: 'text/plain',
+            description: 'HTTP routes, Shopify requests, sync outcomes, tracking events and MongoDB command latency.'
+        }
+    }, async (req, res) => {
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Cache-Control': 'no-store' });
+        res.end(renderMetrics());
+    });
+}
+
+module.exports = {
+    registerMetricsRoutes,
+};
@@ -0,0 +1,17 @@
+const { buildOpenApiDocument } = require('../openapi');
+
+// --- OpenAPI Document ---
+function registerOpenApiRoutes(router) {
+    let document = null;
+
+    router.get('/openapi.json', { public: true }, async (req, res) => {
+        // Routes are all registered at startup, so the document never changes.
+        document = document || JSON.stringify(buildOpenApiDocument(router.routes), null, 2);
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+        res.end(document);
+    });
+}
+
+module.exports = {
+    registerOpenApiRoutes,
+};
@@ -0,0 +1,114 @@
+const { getOperation, listOperations } = require('../operations');
+const { PERMISSIONS } = require('../permissions');
+const { API_TOKEN_SCOPES } = require('../api-tokens');
+const { validateBody } = require('../validation');
+
+// Comments keep proxies from closing an idle stream while a slow item runs.
+const HEARTBEAT_INTERVAL_MS = 20 * 1000;
+// How long EventSource waits before reconnecting after the stream drops.
+const RECONNECT_DELAY_MS = 3000;
+
+const OPERATION_PROPERTIES = {
+    id: { type: 'string', required: true },
+    type: { type: 'string', required: true, description: 'e.g. sync-products, sync-inventory or sync-photos.' },
+    label: { type: 'string', required: true },
+    status: { type: 'string', required: true, enum: ['running', 'succeeded', 'completed_with_errors', 'failed'] },
+    subject: { type: 'object', description: 'What the operation works on, e.g. { vendorId }.' },
+    counts: { type: 'object', required: true, description: 'total, processed, created, updated, skipped and failed.' },
+    lastEventId: { type: 'number', required: true, description: 'Pass as Last-Event-ID to watch only what happens next.' }
+};
+
+const OPERATIONS_QUERY_SCHEMA = {
+    status: { type: 'string', enum: ['running', 'succeeded', 'completed_with_errors', 'failed'], label: 'status' },
+    type: { type: 'string', maxLength: 50, label: 'type' }
+};
+
+function sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+function findOperation(req, res) {
+    const operation = getOperation(req.params.id);
+    if (!operation) {
+        sendJson(res, 404, { success: false, error: 'Operation not found. Finished operations are kept for an hour.' });
+    }
+    return operation;
+}
+
+// --- Operation Progress ---
+// Long-running work (see operations.js) is watched over server-sent events:
+//
+//   const source = new EventSource(`/operations/${operationId}/events`);
+//   source.addEventListener('item', event => ...JSON.parse(event.data));
+//
+// Events are 'started', 'log', 'item' and 'finished'; the stream closes after
+// 'finished'. Each event has an id, so a reconnecting EventSource sends
+// Last-Event-ID and only gets what it missed. ?lastEventId= does the same for
+// clients that can't set headers on the first request.
+function registerOperationRoutes(router) {
+    const operationRouteOptions = { permission: PERMISSIONS.CATALOG_SYNC, scope: API_TOKEN_SCOPES.SYNC_RUN };
+
+    router.get('/operations', {
+        ...operationRouteOptions,
+        query: OPERATIONS_QUERY_SCHEMA,
+        docs: { summary: 'List recent long-running operations, newest first', tags: ['Operations'] },
+        response: { operations: { type: 'array', required: true, items: { type: 'object', properties: OPERATION_PROPERTIES } } }
+    }, async (req, res) => {
+        const fields = validateBody(req.query, OPERATIONS_QUERY_SCHEMA);
+        if (fields) {
+            sendJson(res, 400, { success: false, error: Object.values(fields).join(' '), fields });
+            return;
+        }
+        const operations = listOperations({ status: req.query.status, type: req.query.type });
+        sendJson(res, 200, { operations: operations.map(operation => operation.toJSON()) });
+    });
+
+    router.get('/operations/:id', {
+        ...operationRouteOptions,
+        docs: { summary: 'Get the status and counts of an operation', tags: ['Operations'], errors: { 404: 'No such operation, or it finished over an hour ago.' } },
+        response: { operation: { type: 'object', required: true, properties: OPERATION_PROPERTIES } }
+    }, async (req, res) => {
+        const operation = findOperation(req, res);
+        if (operation) {
+            sendJson(res, 200, { operation: operation.toJSON() });
+        }
+    });
+
+    router.get('/operations/:id/events', operationRouteOptions, async (req, res) => {
+        const operation = findOperation(req, res);
+        if (!operation) {
+            return;
+        }
+        const afterEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10) || 0;
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            // Stops nginx-style proxies from buffering the stream.
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+        let unsubscribe = () => {};
+        const close = () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        };
+        req.on('close', close);
+
+        unsubscribe = operation.subscribe(afterEventId, event => {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, time: event.time })}\n\n`);
+            if (event.type === 'finished') {
+                close();
+                res.end();
+            }
+        });
+    });
+}
+
+module.exports = {
+    registerOperationRoutes,
+};
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const { getCroscrowVendorById, getCroscrowSettings, getCommissionOrdersForVendor, getManualOrdersForVendor, getVendorUserById, getVendorUserByUsername } = require('../db');
+const { verifyPassword, DUMMY_PASSWORD_HASH } = require('../auth');
+const { startSession, loadSession, endSession, clearSessionCookie } = require('../sessions');
+const { checkLoginAllowed, recordLoginFailure, clearLoginFailures, formatRetryAfter } = require('../login-throttle');
+const { getClientIp } = require('../ingestion');
+const { buildInvoiceData, summarizeCommissions, formatCurrency } = require('../commission');
+const { fetchOrdersByIds } = require('../shopify');
+const { renderView, escapeHtml } = require('../views');
+const { getLoginNotice } = require('../health');
+const { logger } = require('../logger');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+// --- Croscrow Vendor Portal ---
+// Vendors log in at /portal/login with a vendor_users account and only ever
+// see their own commission and manual orders. Nothing here reads admin
+// settings other than the invoice details printed on every invoice.
+async function renderPortalLoginPage(res, statusCode, errorMessage) {
+    const portalLoginTemplatePath = path.join(VIEWS_DIR, 'portal-login.html');
+    const notice = await getLoginNotice();
+    fs.readFile(portalLoginTemplatePath, 'utf8', (err, content) => {
+        if (err) {
+            res.writeHead(500);
+            res.end('Error loading login page');
+            return;
+        }
+        const errorHtml = errorMessage ? `<p class="error">${errorMessage}</p>` : '';
+        res.writeHead(statusCode, { 'Content-Type': 'text/html' });
+        const noticeHtml = notice ? `<div class="health-banner" role="alert">${notice}</div>` : '';
+        res.end(content.replace('{{healthBanner}}', noticeHtml).replace('{{errorMessage}}', errorHtml));
+    });
+}
+
+/**
+ * Resolves the logged-in vendor from the vendor session, or sends the visitor
+ * to /portal/login. Sets res.locals.session, vendorUser and vendor.
+ */
+async function requireVendor(req, res, next) {
+    const session = await loadSession(req.cookies, 'vendor');
+    const vendorUser = session ? await getVendorUserById(session.userId) : null;
+    const vendor = vendorUser && !vendorUser.disabled ? await getCroscrowVendorById(vendorUser.vendorId) : null;
+    if (!vendor) {
+        res.writeHead(302, { 'Location': '/portal/login' });
+        res.end();
+        return;
+    }
+    res.locals = { ...res.locals, session, vendorUser, vendor };
+    await next();
+}
+
+function registerPortalRoutes(router) {
+    router.get('/portal/login', { public: true }, async (req, res) => {
+        renderPortalLoginPage(res, 200, '');
+    });
+
+    router.post('/portal/login', { public: true }, async (req, res) => {
+        try {
+            const postData = req.body;
+            const username = (postData.username || '').trim().toLowerCase();
+            // Vendor usernames are throttled separately from admin usernames.
+            const throttleKey = username ? `vendor:${username}` : '';
+            const ip = getClientIp(req);
+            const throttle = await checkLoginAllowed(throttleKey, ip);
+            if (!throttle.allowed) {
+                renderPortalLoginPage(res, 429, `Too many failed login attempts. Try again in ${formatRetryAfter(throttle.retryAfterSeconds)}.`);
+                return;
+            }
+
+            const vendorUser = username ? await getVendorUserByUsername(username) : null;
+            const passwordMatches = await verifyPassword(postData.password, vendorUser ? vendorUser.passwordHash : DUMMY_PASSWORD_HASH) && !!vendorUser;
+            const vendor = vendorUser && passwordMatches ? await getCroscrowVendorById(vendorUser.vendorId) : null;
+            if (!vendorUser || !passwordMatches || vendorUser.disabled || !vendor) {
+                await recordLoginFailure(throttleKey, ip);
+                renderPortalLoginPage(res, 401, 'Invalid username or password');
+                return;
+            }
+
+            await clearLoginFailures(throttleKey);
+            const sessionCookie = await startSession(vendorUser, req, 'vendor');
+            res.writeHead(302, { 'Set-Cookie': sessionCookie, 'Location': '/portal' });
+            res.end();
+        } catch (error) {
+            logger.error('Error during vendor portal login', { error });
+            renderPortalLoginPage(res, 500, 'Login failed. Please try again.');
+        }
+    });
+
+    router.get('/portal/logout', { vendor: true }, async (req, res) => {
+        await endSession(req.cookies, 'vendor');
+        res.writeHead(302, { 'Set-Cookie': clearSessionCookie('vendor'), 'Location': '/portal/login' });
+        res.end();
+    });
+
+    router.get('/portal', { vendor: true }, requireVendor, async (req, res) => {
+        const { vendor } = res.locals;
+        const vendorId = String(vendor._id);
+        const portalTemplatePath = path.join(VIEWS_DIR, 'portal.html');
+        try {
+            const [commissionOrders, manualOrders] = await Promise.all([
+                getCommissionOrdersForVendor(vendorId),
+                getManualOrdersForVendor(vendorId)
+            ]);
+            const shopifyOrders = await fetchOrdersByIds(commissionOrders.map(co => co.order_id));
+            const shopifyOrdersMap = shopifyOrders.reduce((map, order) => {
+                map[String(order.id)] = order;
+                return map;
+            }, {});
+
+            // Merge and total the same way /invoices does, so the totals match
+            // it: Shopify orders only. Manual orders are listed but not totalled.
+            const mergedOrders = commissionOrders
+                .filter(co => shopifyOrdersMap[co.order_id])
+                .map(co => ({ ...shopifyOrdersMap[co.order_id], ...co }))
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+            const totals = summarizeCommissions(mergedOrders);
+
+            renderView(res, portalTemplatePath, {
+                vendorName: escapeHtml(vendor.name),
+                portalOrders: mergedOrders,
+                portalManualOrders: manualOrders,
+                totalBilled: formatCurrency(totals.totalCommissionEarned + totals.totalGstOnCommission),
+                totalAmountCollected: formatCurrency(totals.totalAmountCollected),
+                settlementPending: formatCurrency(totals.settlementPending)
+            }, 0);
+        } catch (error) {
+            logger.error('Error loading vendor portal', { error });
+            renderView(res, portalTemplatePath, {
+                vendorName: escapeHtml(vendor.name),
+                error: 'Could not load your orders. Please try again later.'
+            }, 0);
+        }
+    });
+
+    router.get('/portal/invoice', { vendor: true }, requireVendor, async (req, res) => {
+        const { vendor } = res.locals;
+        const vendorId = String(vendor._id);
+        const invoiceTemplatePath = path.join(VIEWS_DIR, 'invoice-template.html');
+        const orderId = req.query.order_id;
+        const manualOrderId = req.query.manual_order_id;
+        if (orderId && !/^\d+$/.test(orderId)) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end('order_id must be a Shopify order ID.');
+            return;
+        }
+        try {
+            const croscrowSettings = await getCroscrowSettings();
+            let invoiceData;
+
+            if (orderId) {
+                const commissionOrders = await getCommissionOrdersForVendor(vendorId);
+                const commissionOrder = commissionOrders.find(co => co.order_id === orderId);
+                const [order] = commissionOrder ? await fetchOrdersByIds([orderId]) : [];
+                if (!commissionOrder || !order) {
+                    throw new Error('Order not found.');
+                }
+                invoiceData = buildInvoiceData(order, vendor, commissionOrder, croscrowSettings, order.created_at);
+            } else {
+                const manualOrders = await getManualOrdersForVendor(vendorId);
+                const manualOrder = manualOrders.find(mo => mo.manual_order_id === manualOrderId);
+                if (!manualOrder) {
+                    throw new Error('Order not found.');
+                }
+                const mockOrder = {
+                    order_number: manualOrder.manual_order_id,
+                    created_at: manualOrder.createdAt,
+                    total_line_items_price: manualOrder.manual_amount,
+                    line_items: [{ title: 'Manual Item', quantity: 1, price: manualOrder.manual_amount }]
+                };
+                invoiceData = buildInvoiceData(mockOrder, vendor, manualOrder, croscrowSettings, manualOrder.createdAt);
+            }
+
+            renderView(res, invoiceTemplatePath, invoiceData, 0);
+        } catch (error) {
+            logger.error('Error generating vendor portal invoice', { error });
+            renderView(res, invoiceTemplatePath, { error: `Could not generate invoice: ${error.message}` }, 0);
+        }
+    });
+}
+
+module.exports = {
+    registerPortalRoutes,
+};
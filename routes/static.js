@@ -0,0 +1,46 @@
+const { IMMUTABLE_CACHE_CONTROL, REVALIDATE_CACHE_CONTROL, findAsset, chooseEncoding, getAssetBody, getAssetEtag, isNotModified } = require('../assets');
+const { logger } = require('../logger');
+
+// --- Static Files ---
+// Serves CSS, client-side JS, images and fonts from public/ and nothing
+// outside it. See assets.js for caching and fingerprinted URLs.
+function registerStaticRoutes(router) {
+    router.get('/public/*', { public: true }, async (req, res) => {
+        const found = await findAsset(req.params.wildcard);
+        if (!found) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+            return;
+        }
+
+        const { asset, immutable } = found;
+        const encoding = chooseEncoding(req.headers['accept-encoding'], asset);
+        const etag = getAssetEtag(asset, encoding);
+        const headers = {
+            'ETag': etag,
+            'Last-Modified': asset.lastModified,
+            'Cache-Control': immutable ? IMMUTABLE_CACHE_CONTROL : REVALIDATE_CACHE_CONTROL,
+            'Vary': 'Accept-Encoding',
+            'X-Content-Type-Options': 'nosniff'
+        };
+        if (isNotModified(req, asset, etag)) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+
+        const body = getAssetBody(asset, encoding);
+        logger.debug('Serving static file', { filePath: asset.filePath, encoding });
+        res.writeHead(200, {
+            ...headers,
+            'Content-Type': asset.contentType,
+            'Content-Length': body.length,
+            ...(encoding ? { 'Content-Encoding': encoding } : {})
+        });
+        res.end(body);
+    });
+}
+
+module.exports = {
+    registerStaticRoutes,
+};
@@ -0,0 +1,78 @@
+const { refreshAllStoreMirrors, getStoreMirrorStatus } = require('../store-mirror');
+const { PERMISSIONS } = require('../permissions');
+const { API_TOKEN_SCOPES } = require('../api-tokens');
+const { logger } = require('../logger');
+
+const REFRESH_SCHEMA = {
+    returnTo: { type: 'string', maxLength: 500, label: 'Return page', description: 'A page on this site to go back to after the refresh, for the "Refresh now" button.' }
+};
+
+const MIRROR_STATE_PROPERTIES = {
+    lastRefreshedAt: { type: 'string' },
+    lastFullRefreshAt: { type: 'string' },
+    lastError: { type: 'string' },
+    lastErrorAt: { type: 'string' }
+};
+
+// Only paths on this site, so the form can't be used to redirect elsewhere.
+function isLocalPath(value) {
+    return typeof value === 'string' && /^\/(?![/\\])/.test(value);
+}
+
+function sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+// --- Store Mirror ---
+// "Refresh now" on the pages that read the mirrored products and orders
+// (see store-mirror.js). Waits for the refresh so the page shows fresh data.
+function registerStoreMirrorRoutes(router) {
+    // A refresh can walk the whole store, so it needs the same access as a sync.
+    router.post('/store-mirror/refresh', {
+        permission: PERMISSIONS.CATALOG_SYNC,
+        scope: API_TOKEN_SCOPES.SYNC_RUN,
+        body: { schema: REFRESH_SCHEMA },
+        docs: {
+            summary: 'Fetch products and orders changed in Shopify since the last refresh',
+            tags: ['Reports'],
+            description: 'With returnTo, redirects there once the refresh is done.',
+            errors: { 502: 'Shopify could not be reached; the mirror keeps its last data.' }
+        },
+        response: {
+            success: { type: 'boolean', required: true },
+            products: { type: 'object', properties: MIRROR_STATE_PROPERTIES },
+            orders: { type: 'object', properties: MIRROR_STATE_PROPERTIES },
+            error: { type: 'string' }
+        }
+    }, async (req, res) => {
+        let refreshError = null;
+        try {
+            await refreshAllStoreMirrors();
+        } catch (error) {
+            // Logged by the mirror, and shown on the page from its state.
+            refreshError = error;
+        }
+
+        if (isLocalPath(req.body.returnTo)) {
+            res.writeHead(302, { 'Location': req.body.returnTo });
+            res.end();
+            return;
+        }
+        try {
+            const { products, orders } = await getStoreMirrorStatus();
+            const payload = { success: !refreshError, products, orders };
+            if (refreshError) {
+                payload.error = refreshError.message;
+            }
+            sendJson(res, refreshError ? 502 : 200, payload);
+        } catch (error) {
+            logger.error('Error reading store mirror status', { error });
+            sendJson(res, 500, { success: false, error: 'Could not read the store mirror status.' });
+        }
+    });
+}
+
+module.exports = {
+    registerStoreMirrorRoutes,
+};
@@ -0,0 +1,138 @@
+const { incrementProductViewCount, trackFacebookEvent, recordTrackingRejection } = require('../db');
+const { TRACKING_MAX_PAYLOAD_BYTES, FACEBOOK_EVENT_SCHEMA, getTrackingCorsHeaders, checkTrackingRequest, sanitizeFacebookEvent } = require('../ingestion');
+const { readBody } = require('../middleware');
+const { validateBody } = require('../validation');
+const { logger } = require('../logger');
+const { recordTrackingEvent, recordRejectedTrackingRequest } = require('../metrics');
+
+const TRACKING_RESPONSE_SCHEMA = {
+    success: { type: 'boolean', required: true }
+};
+
+/**
+ * Sends a rejection for a storefront tracking request and counts it.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {object} rejection - From checkTrackingRequest, or built by the handler.
+ */
+function rejectTrackingRequest(req, res, rejection) {
+    const route = req.pathname;
+    logger.warn('Rejected tracking request', { route, ip: rejection.ip || 'unknown', reason: rejection.reason });
+    recordTrackingRejection({ route, reason: rejection.reason, storefront: rejection.storefront, ip: rejection.ip });
+    recordRejectedTrackingRequest(rejection.reason);
+    const headers = { ...getTrackingCorsHeaders(req), 'Content-Type': 'application/json' };
+    if (rejection.retryAfterSeconds) {
+        headers['Retry-After'] = String(rejection.retryAfterSeconds);
+    }
+    res.writeHead(rejection.statusCode, headers);
+    res.end(JSON.stringify({ success: false, error: rejection.reason }));
+}
+
+/**
+ * Answers CORS preflight requests. Only the tracking endpoints are called cross-origin.
+ */
+async function sendTrackingPreflight(req, res) {
+    res.writeHead(204, getTrackingCorsHeaders(req));
+    res.end();
+}
+
+// --- Storefront Tracking ---
+// Called from storefront browsers with a write key instead of a session; see ingestion.js.
+function registerTrackingRoutes(router) {
+    router.options('/track-view', { public: true }, sendTrackingPreflight);
+    router.options('/track-fb-event', { public: true }, sendTrackingPreflight);
+
+    // The tracking routes answer with CORS headers even when they refuse a
+    // request, so they read their own bodies.
+    router.post('/track-view', { public: true, body: false }, async (req, res) => {
+        const check = checkTrackingRequest(req);
+        if (!check.ok) {
+            rejectTrackingRequest(req, res, check);
+            return;
+        }
+        try {
+            const productId = req.query.product_id;
+            if (!productId || !/^\d{1,20}$/.test(productId)) {
+                rejectTrackingRequest(req, res, { ...check, statusCode: 400, reason: 'invalid_payload' });
+                return;
+            }
+            await incrementProductViewCount(productId);
+            recordTrackingEvent('ProductView');
+            res.writeHead(200, { ...getTrackingCorsHeaders(req), 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true }));
+        } catch (error) {
+            logger.error('Error tracking view', { error });
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Internal Server Error' }));
+        }
+    });
+
+    router.post('/track-fb-event', {
+        public: true,
+        body: false,
+        docs: {
+            summary: 'Record a Facebook pixel event from the storefront tracker',
+            tags: ['Tracking'],
+            requestBody: FACEBOOK_EVENT_SCHEMA,
+            security: [{ trackerWriteKey: [] }],
+            errors: {
+                400: 'The event is not valid JSON or does not match the schema.',
+                401: 'Missing or unknown write key.',
+                403: 'The origin is not allowed.',
+                413: 'The event is larger than TRACKER_MAX_PAYLOAD_BYTES.',
+                429: 'Too many events from this IP address or write key.'
+            }
+        },
+        response: TRACKING_RESPONSE_SCHEMA
+    }, async (req, res) => {
+        const check = checkTrackingRequest(req);
+        if (!check.ok) {
+            rejectTrackingRequest(req, res, check);
+            return;
+        }
+        let body;
+        try {
+            body = await readBody(req, TRACKING_MAX_PAYLOAD_BYTES);
+        } catch (error) {
+            if (error.statusCode === 413) {
+                rejectTrackingRequest(req, res, { ...check, statusCode: 413, reason: 'payload_too_large' });
+            } else {
+                logger.error('Error reading facebook event', { error });
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: 'Bad Request' }));
+            }
+            return;
+        }
+
+        let eventData;
+        let fields = null;
+        try {
+            const parsed = JSON.parse(body);
+            fields = validateBody(parsed, FACEBOOK_EVENT_SCHEMA);
+            eventData = fields ? null : sanitizeFacebookEvent(parsed);
+        } catch (e) {
+            eventData = null;
+        }
+        if (!eventData) {
+            if (fields) {
+                logger.warn('Facebook event does not match its schema', { fields });
+            }
+            rejectTrackingRequest(req, res, { ...check, statusCode: 400, reason: 'invalid_payload' });
+            return;
+        }
+        try {
+            await trackFacebookEvent({ ...eventData, storefront: check.storefront, receivedAt: new Date() });
+            recordTrackingEvent(eventData.eventName);
+            res.writeHead(200, { ...getTrackingCorsHeaders(req), 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true }));
+        } catch (error) {
+            logger.error('Error tracking facebook event', { error });
+            res.writeHead(500, { ...getTrackingCorsHeaders(req), 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Internal Server Error' }));
+        }
+    });
+}
+
+module.exports = {
+    registerTrackingRoutes,
+};
@@ -0,0 +1,161 @@
+const path = require('path');
+const { createUser, getUsers, getUserById, setUserDisabled, setUserRole, setUserPasswordHash, disableUserTotp } = require('../db');
+const { hashPassword, validatePassword } = require('../auth');
+const { endAllSessionsForUser } = require('../sessions');
+const { clearLoginFailures } = require('../login-throttle');
+const { PERMISSIONS, isValidRole } = require('../permissions');
+const { renderView } = require('../views');
+const { logger } = require('../logger');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+/**
+ * Builds the handler that disables or re-enables a user. Disabling also ends their sessions.
+ * @param {boolean} disable
+ */
+function updateUserStatus(disable) {
+    return async (req, res) => {
+        const { actor, user: currentUser } = res.locals;
+        try {
+            const postData = req.body;
+            if (String(postData.id) === String(currentUser._id)) {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                res.end('You cannot change the status of your own account.');
+                return;
+            }
+            if (!await setUserDisabled(postData.id, disable, actor)) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('User not found.');
+                return;
+            }
+            if (disable) {
+                await endAllSessionsForUser(postData.id);
+            }
+            res.writeHead(302, { 'Location': '/users' });
+            res.end();
+        } catch (error) {
+            logger.error('Error updating user status', { error });
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(`Failed to update user: ${error.message}`);
+        }
+    };
+}
+
+// --- User Management ---
+function registerUserRoutes(router) {
+    router.get('/users', { permission: PERMISSIONS.USERS_MANAGE }, async (req, res) => {
+        const usersTemplatePath = path.join(VIEWS_DIR, 'users.html');
+        try {
+            const users = await getUsers();
+            renderView(res, usersTemplatePath, { users }, 0);
+        } catch (error) {
+            logger.error('Error fetching users', { error });
+            renderView(res, usersTemplatePath, { error: 'Could not fetch users.' }, 0);
+        }
+    });
+
+    router.post('/users', { permission: PERMISSIONS.USERS_MANAGE }, async (req, res) => {
+        const { actor } = res.locals;
+        const usersTemplatePath = path.join(VIEWS_DIR, 'users.html');
+        try {
+            const postData = req.body;
+            const username = (postData.username || '').trim().toLowerCase();
+            if (!/^[a-z0-9._-]{3,}$/.test(username)) {
+                throw new Error('Username must be at least 3 characters and may only contain letters, numbers, dots, dashes and underscores.');
+            }
+            if (!isValidRole(postData.role)) {
+                throw new Error('Please choose a valid role.');
+            }
+            const passwordError = validatePassword(postData.password);
+            if (passwordError) {
+                throw new Error(passwordError);
+            }
+            await createUser({
+                username,
+                name: (postData.name || '').trim(),
+                role: postData.role,
+                passwordHash: await hashPassword(postData.password)
+            }, actor);
+            res.writeHead(302, { 'Location': '/users' });
+            res.end();
+        } catch (error) {
+            logger.error('Error creating user', { error });
+            const users = await getUsers();
+            renderView(res, usersTemplatePath, { users, error: `Could not create user: ${error.message}` }, 0);
+        }
+    });
+
+    router.post('/users/disable', { permission: PERMISSIONS.USERS_MANAGE }, updateUserStatus(true));
+    router.post('/users/enable', { permission: PERMISSIONS.USERS_MANAGE }, updateUserStatus(false));
+
+    router.post('/users/role', { permission: PERMISSIONS.USERS_MANAGE }, async (req, res) => {
+        const { actor, user: currentUser } = res.locals;
+        try {
+            const postData = req.body;
+            if (String(postData.id) === String(currentUser._id)) {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                res.end('You cannot change the role of your own account.');
+                return;
+            }
+            if (!isValidRole(postData.role)) {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                res.end('Invalid role.');
+                return;
+            }
+            if (!await setUserRole(postData.id, postData.role, actor)) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('User not found.');
+                return;
+            }
+            res.writeHead(302, { 'Location': '/users' });
+            res.end();
+        } catch (error) {
+            logger.error('Error updating user role', { error });
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(`Failed to update user role: ${error.message}`);
+        }
+    });
+
+    router.post('/users/reset-password', { permission: PERMISSIONS.USERS_MANAGE }, async (req, res) => {
+        const { actor } = res.locals;
+        const usersTemplatePath = path.join(VIEWS_DIR, 'users.html');
+        try {
+            const postData = req.body;
+            const passwordError = validatePassword(postData.password);
+            if (passwordError) {
+                throw new Error(passwordError);
+            }
+            await setUserPasswordHash(postData.id, await hashPassword(postData.password), actor);
+            await endAllSessionsForUser(postData.id);
+            const user = await getUserById(postData.id);
+            if (user) {
+                await clearLoginFailures(user.username);
+            }
+            res.writeHead(302, { 'Location': '/users' });
+            res.end();
+        } catch (error) {
+            logger.error('Error resetting user password', { error });
+            const users = await getUsers();
+            renderView(res, usersTemplatePath, { users, error: `Could not reset password: ${error.message}` }, 0);
+        }
+    });
+
+    router.post('/users/reset-two-factor', { permission: PERMISSIONS.USERS_MANAGE }, async (req, res) => {
+        const { actor } = res.locals;
+        const usersTemplatePath = path.join(VIEWS_DIR, 'users.html');
+        try {
+            const postData = req.body;
+            await disableUserTotp(postData.id, actor);
+            res.writeHead(302, { 'Location': '/users' });
+            res.end();
+        } catch (error) {
+            logger.error('Error resetting two-factor authentication', { error });
+            const users = await getUsers();
+            renderView(res, usersTemplatePath, { users, error: `Could not reset two-factor authentication: ${error.message}` }, 0);
+        }
+    });
+}
+
+module.exports = {
+    registerUserRoutes,
+};
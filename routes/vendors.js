@@ -0,0 +1,609 @@
+const path = require('path');
+const { createVendor, getVendors, getVendorById, updateVendorApiVersion } = require('../db');
+const { getMainStoreClient, createVendorStoreClient, fetchAllProducts, fetchAllOrders, getShopifyLocationId } = require('../shopify');
+const { refreshStoreMirror, getMirroredProducts } = require('../store-mirror');
+const { renderView } = require('../views');
+const { PERMISSIONS } = require('../permissions');
+const { API_TOKEN_SCOPES } = require('../api-tokens');
+const { logger } = require('../logger');
+const { API_VERSION_PATTERN } = require('../config');
+const { createOperation } = require('../operations');
+const { recordSyncOperation } = require('../metrics');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+// A sync posts the vendor's whole product list, descriptions included.
+const SYNC_BODY_LIMIT = 10 * 1024 * 1024;
+
+const VENDOR_SCHEMA = {
+    name: { type: 'string', required: true, label: 'Vendor name' },
+    shopifyShopName: { type: 'string', required: true, label: 'Shopify shop name' },
+    shopifyAccessToken: { type: 'string', required: true, label: 'Shopify access token' },
+    shopifyApiVersion: { type: 'string', pattern: API_VERSION_PATTERN, patternMessage: 'must be a Shopify API version such as 2024-04', label: 'Shopify API version', description: 'Leave empty to use SHOPIFY_API_VERSION.' }
+};
+
+const VENDOR_API_VERSION_SCHEMA = {
+    shopifyApiVersion: VENDOR_SCHEMA.shopifyApiVersion
+};
+
+const SYNC_SCHEMA = {
+    vendorId: { type: 'string', required: true, label: 'Vendor' },
+    products: { type: 'array', required: true, items: 'object', label: 'Products' }
+};
+
+const VENDOR_PRODUCTS_RESPONSE_SCHEMA = {
+    products: {
+        type: 'array',
+        description: 'Products from the vendor\'s Shopify store, as the Shopify Admin API returns them.',
+        items: { type: 'object', properties: { id: { type: 'number', required: true }, title: { type: 'string', required: true } } }
+    }
+};
+
+const SEND_ORDERS_RESPONSE_SCHEMA = {
+    success: { type: 'boolean', required: true },
+    message: { type: 'string', required: true }
+};
+
+const SEND_ORDERS_SCHEMA = {
+    orderIds: { type: 'array', required: true, items: 'string', label: 'Orders' },
+    vendorId: { type: 'string', required: true, label: 'Vendor' }
+};
+
+/**
+ * Makes a handler that starts a sync as an operation (see operations.js) and
+ * answers 202 with its ID straight away. The sync carries on if the browser
+ * goes away; progress is watched at /operations/:id/events.
+ * @param {string} type - The operation type, e.g. 'sync-products'.
+ * @param {string} label - e.g. 'Product sync'; the vendor's name is added.
+ * @param {function} run - async (operation, vendor, products, shopify), where
+ *   shopify is the main store's client with its retries shown in the operation's log.
+ */
+function startSyncOperation(type, label, run) {
+    return async (req, res) => {
+        const { products, vendorId } = req.body;
+        const vendor = await getVendorById(vendorId);
+        if (!vendor) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Vendor not found for syncing.' }));
+            return;
+        }
+
+        const operation = createOperation({
+            type,
+            label: `${label} for ${vendor.name}`,
+            total: products.length,
+            startedBy: res.locals.actor,
+            subject: { vendorId }
+        });
+        res.writeHead(202, { 'Content-Type': 'application/json', 'Location': `/operations/${operation.id}` });
+        res.end(JSON.stringify({ success: true, operationId: operation.id, eventsUrl: `/operations/${operation.id}/events` }));
+
+        const shopify = getMainStoreClient().withRetryListener(retry => {
+            const problem = retry.reason === 'throttled' ? 'throttled' : `failed (${retry.reason})`;
+            operation.log(`Shopify ${problem} ${retry.method} ${retry.path}; retry ${retry.attempt} of ${retry.maxRetries}.`);
+        });
+        try {
+            await run(operation, vendor, products, shopify);
+            operation.finish();
+        } catch (error) {
+            logger.error('Sync stopped early', { type, operationId: operation.id, error });
+            operation.finish(error);
+        }
+        recordSyncOperation(operation.toJSON(), vendor.name);
+    };
+}
+
+// --- Connected Vendors ---
+// Vendors with their own Shopify store, whose products we sync into ours and
+// to whom we send orders as draft orders.
+function registerVendorRoutes(router) {
+    const mainStore = getMainStoreClient();
+    const syncRouteOptions = {
+        permission: PERMISSIONS.CATALOG_SYNC,
+        scope: API_TOKEN_SCOPES.SYNC_RUN,
+        body: { limit: SYNC_BODY_LIMIT, schema: SYNC_SCHEMA }
+    };
+
+    router.get('/vendors', { permission: PERMISSIONS.VENDORS_VIEW }, async (req, res) => {
+        const vendorsTemplatePath = path.join(VIEWS_DIR, 'vendors.html');
+        try {
+            const vendors = await getVendors();
+            for (const vendor of vendors) {
+                            try {
+                                                const [vendorProducts, vendorOrders] = await Promise.all([
+                                                    fetchAllProducts(createVendorStoreClient(vendor)).catch(e => {
+                                                        logger.error('Failed to fetch products for vendor', { vendor: vendor.name, error: e });
+                                                        return { products: [] }; // Return default value on error
+                                                    }),
+                                                    fetchAllOrders(createVendorStoreClient(vendor)).catch(e => {
+                                                        logger.error('Failed to fetch orders for vendor', { vendor: vendor.name, error: e });
+                                                        return { orders: [] }; // Return default value on error
+                                                    })
+                                                ]);                                vendor.products = vendorProducts.products;
+                                vendor.orders = vendorOrders.orders;
+                
+                                const productImages = {};
+                                if (vendor.products) {
+                                    vendor.products.forEach(p => {
+                                        if (p.image) {
+                                            productImages[p.id] = p.image.src;
+                                        }
+                                    });
+                                }
+                                vendor.productImages = productImages;
+                
+                            } catch (e) {
+                                logger.error('Failed to fetch data for vendor', { vendor: vendor.name, error: e });
+                                vendor.products = []; // Ensure products is an empty array on error
+                                vendor.orders = []; // Ensure orders is an empty array on error
+                            }            }
+            // Access tokens are never rendered back into the page.
+            vendors.forEach(vendor => delete vendor.shopifyAccessToken);
+            renderView(res, vendorsTemplatePath, { vendors }, 0);
+        } catch (error) {
+            logger.error('Error fetching vendors', { error });
+            renderView(res, vendorsTemplatePath, { error: 'Could not fetch vendors.' }, 0);
+        }
+    });
+
+    router.post('/vendors', { permission: PERMISSIONS.VENDORS_EDIT, body: { schema: VENDOR_SCHEMA } }, async (req, res) => {
+        const { actor } = res.locals;
+        try {
+            const postData = req.body;
+            await createVendor({
+                name: postData.name,
+                shopifyShopName: postData.shopifyShopName,
+                shopifyAccessToken: postData.shopifyAccessToken,
+                shopifyApiVersion: postData.shopifyApiVersion || null
+            }, actor);
+            res.writeHead(302, { 'Location': '/vendors' });
+            res.end();
+        } catch (error) {
+            logger.error('Error creating vendor', { error });
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Failed to create vendor.');
+        }
+    });
+
+    // Submitted from /diagnostics, where each store's version is shown.
+    router.post('/vendors/:id/api-version', { permission: PERMISSIONS.VENDORS_EDIT, body: { schema: VENDOR_API_VERSION_SCHEMA } }, async (req, res) => {
+        try {
+            const result = await updateVendorApiVersion(req.params.id, req.body.shopifyApiVersion || null, res.locals.actor);
+            if (!result) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Vendor not found.');
+                return;
+            }
+            res.writeHead(302, { 'Location': '/diagnostics' });
+            res.end();
+        } catch (error) {
+            logger.error('Error updating vendor API version', { vendorId: req.params.id, error });
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Failed to update the API version.');
+        }
+    });
+
+    router.get('/vendors/:id/products', {
+        permission: PERMISSIONS.VENDORS_VIEW,
+        docs: { summary: 'List the products in a connected vendor\'s store', tags: ['Vendors'], errors: { 500: 'The vendor was not found or Shopify failed.' } },
+        response: VENDOR_PRODUCTS_RESPONSE_SCHEMA
+    }, async (req, res) => {
+        try {
+            const vendorId = req.params.id;
+            const vendor = await getVendorById(vendorId);
+            if (!vendor) {
+                throw new Error('Vendor not found');
+            }
+
+            const vendorProducts = await createVendorStoreClient(vendor).get('products.json');
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(vendorProducts));
+
+        } catch (error) {
+            logger.error('Error fetching vendor products', { error });
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to fetch vendor products: ${error.message}` }));
+        }
+    });
+
+    router.post('/vendors/sync-products', syncRouteOptions, startSyncOperation('sync-products', 'Product sync', async (operation, vendor, productsToSync, shopify) => {
+            // 1. Fetch all products from the main store to check for existing ones
+            operation.log('Fetching existing products from your store...');
+            await refreshStoreMirror('products');
+            const mainStoreProducts = await getMirroredProducts();
+            const mainStoreProductMap = mainStoreProducts.products.reduce((map, product) => {
+                map[product.title] = product.id; // Use title as the key
+                return map;
+            }, {});
+            operation.log(`Found ${mainStoreProducts.products.length} existing products.`);
+
+            // 2. Loop and create or update each product on the main store
+            for (const product of productsToSync) {
+                // Ensure handle is set for checking existing products
+                if (!product.handle) {
+                    product.handle = product.title.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+                }
+                let newProductPayload;
+                let updatePayload;
+
+                try {
+                    const existingProductId = mainStoreProductMap[product.title];
+
+                    if (existingProductId) {
+                        // Product exists, so update it.
+                        const existingProduct = await shopify.get(`products/${existingProductId}.json`);
+                        const existingVariants = existingProduct.product.variants;
+                        const existingVariantMap = existingVariants.reduce((map, variant) => {
+                            if (variant.sku) map[variant.sku] = variant.id;
+                            return map;
+                        }, {});
+
+                        updatePayload = {
+                            product: {
+                                id: existingProductId,
+                                                            title: product.title,
+                                                            vendor: vendor.name,                                    product_type: product.product_type,
+                                tags: product.tags,
+                                status: product.status || 'active',
+                                options: product.options.map(opt => ({
+                                    name: opt.name,
+                                    values: opt.values
+                                })),
+                                variants: product.variants.map(v => {
+                                    const existingVariantId = v.sku ? existingVariantMap[v.sku] : null;
+                                    if (existingVariantId) {
+                                        const variantPayload = {
+                                            id: existingVariantId,
+                                            price: String(v.price || "0"),
+                                            inventory_quantity: Math.max(0, Number(v.inventory_quantity || 0)),
+                                            inventory_management: "shopify",
+                                            option1: v.option1,
+                                            option2: v.option2,
+                                            option3: v.option3,
+                                            sku: v.sku
+                                        };
+                                        if (v.compare_at_price) variantPayload.compare_at_price = String(v.compare_at_price);
+                                        return variantPayload;
+                                    }
+                                    const newVariantPayload = {
+                                        price: String(v.price || "0"),
+                                        inventory_quantity: Math.max(0, Number(v.inventory_quantity || 0)),
+                                        inventory_management: "shopify",
+                                        option1: v.option1,
+                                        option2: v.option2,
+                                        option3: v.option3,
+                                        sku: v.sku
+                                    };
+                                    if (v.compare_at_price) newVariantPayload.compare_at_price = String(v.compare_at_price);
+                                    return newVariantPayload;
+                                }).map(v => {
+                                    // Remove product_id from variants as it's not needed in update payload
+                                    const { product_id, ...rest } = v;
+                                    return rest;
+                                }),
+                                 images: product.images || []
+                            }
+                        };
+                        await shopify.put(`products/${existingProductId}.json`, updatePayload);
+                        operation.item({ status: 'updated', itemId: product.id, title: product.title, message: 'Updated the existing product.' });
+                    } else {
+                        // Product doesn't exist, so create it.
+                        
+                        newProductPayload = {
+                            product: {
+                                                                                        title: product.title,
+                                                                                        vendor: vendor.name,
+                                status: product.status || 'active',
+                                images: product.images || []
+                            }
+                        };
+
+                        if (product.product_type) {
+                            newProductPayload.product.product_type = product.product_type;
+                        }
+                        if (product.tags && product.tags.length > 0) {
+                            newProductPayload.product.tags = Array.isArray(product.tags) ? product.tags.join(",") : product.tags;
+                        }
+
+                        if (product.variants && product.variants.length > 0) {
+                            newProductPayload.product.options = (product.options || []).map((opt, index) => ({
+                                name: opt.name,
+                                values: opt.values,
+                                position: opt.position || index + 1
+                            }));
+
+                            newProductPayload.product.variants = product.variants.map(v => {
+                                const variantPayload = {
+                                    title: v.title,
+                                    price: String(v.price || "0"),
+                                    inventory_quantity: Math.max(0, Number(v.inventory_quantity || 0)),
+                                    inventory_management: "shopify"
+                                };
+                                if (v.compare_at_price) variantPayload.compare_at_price = String(v.compare_at_price);
+                                if (v.option1) variantPayload.option1 = v.option1;
+                                if (v.option2) variantPayload.option2 = v.option2;
+                                if (v.option3) variantPayload.option3 = v.option3;
+                                if (v.sku) variantPayload.sku = v.sku;
+                                return variantPayload;
+                            });
+                        } else {
+                            newProductPayload.product.options = [];
+                            newProductPayload.product.variants = [{
+                                price: product.variants?.[0]?.price || '0',
+                                inventory_management: 'shopify',
+                                inventory_quantity: 0
+                            }];
+                        }
+                        
+                        // Create the product
+                        await shopify.post('products.json', newProductPayload);
+                        operation.item({ status: 'created', itemId: product.id, title: product.title, message: 'Created a new product.' });
+                    }
+                } catch (e) {
+                    operation.item({ status: 'failed', itemId: product.id, title: product.title, message: e.message });
+                    // Log the failing payload for debugging
+                    logger.error('Failed to sync product', {
+                        productId: product.id,
+                        title: product.title,
+                        error: e,
+                        payload: newProductPayload || updatePayload
+                    });
+                }
+            }
+    }));
+
+    router.post('/vendors/sync-inventory', syncRouteOptions, startSyncOperation('sync-inventory', 'Inventory sync', async (operation, vendor, productsToSync, shopify) => {
+            // 1. Fetch all products from the main store to check for existing ones
+            operation.log('Fetching existing products from your store...');
+            await refreshStoreMirror('products');
+            const mainStoreProducts = await getMirroredProducts();
+            const mainStoreProductMap = mainStoreProducts.products.reduce((map, product) => {
+                map[product.title] = product; // Store the full product object
+                return map;
+            }, {});
+            operation.log(`Found ${mainStoreProducts.products.length} existing products.`);
+
+            // Get location ID
+            const locationId = await getShopifyLocationId(shopify);
+
+            // 2. Loop and update inventory for each product on the main store
+            for (const product of productsToSync) {
+                                try {
+                                    let existingProduct = mainStoreProductMap[product.title];
+                                if (existingProduct) {
+                                    let updatedVariants = 0;
+                                    let createdVariants = 0;
+                                    
+                                                                    // Check and update product options if they differ
+                                                                    if (JSON.stringify(product.options) !== JSON.stringify(existingProduct.options)) {
+                                                                        operation.log(`${product.title}: options differ. Updating product options...`);
+                                                                        
+                                                                        const newOptions = product.options.map(opt => ({ name: opt.name, values: opt.values }));
+                                                    
+                                                                        const newVariantsPayload = product.variants.map(v => ({
+                                                                            option1: v.option1,
+                                                                            option2: v.option2,
+                                                                            option3: v.option3,
+                                                                            price: v.price,
+                                                                            sku: v.sku,
+                                                                            compare_at_price: v.compare_at_price,
+                                                                            inventory_management: 'shopify'
+                                                                        }));
+                                                    
+                                                                        await shopify.put(`products/${existingProduct.id}.json`, {
+                                                                            product: {
+                                                                                id: existingProduct.id,
+                                                                                options: newOptions,
+                                                                                variants: newVariantsPayload
+                                                                            }
+                                                                        });
+                                                                        // Re-fetch the product to get the updated variant structure
+                                                                        const updatedProductData = await shopify.get(`products/${existingProduct.id}.json`);
+                                                                        existingProduct = updatedProductData.product;
+                                                                    }                                        const existingVariants = existingProduct.variants;                            const existingVariantMap = existingVariants.reduce((map, variant) => {
+                            const key = [variant.option1, variant.option2, variant.option3].filter(Boolean).join(' / ');
+                            if (key) {
+                                map[key] = variant;
+                            }
+                            return map;
+                        }, {});
+
+                        for (const v of product.variants) {
+                            const key = [v.option1, v.option2, v.option3].filter(Boolean).join(' / ');
+                            const existingVariant = key ? existingVariantMap[key] : null;
+                            if (existingVariant) {
+                                                                                                          const variantUpdatePayload = {
+                                                                                                             variant: {
+                                                                                                                 id: existingVariant.id,
+                                                                                                                 price: String(v.price || "0"),
+                                                                                                                 compare_at_price: v.compare_at_price ? String(v.compare_at_price) : null,
+                                                                                                                 sku: v.sku,
+                                                                                                                 option1: v.option1,
+                                                                                                                 option2: v.option2,
+                                                                                                                 option3: v.option3,
+                                                                                                                 inventory_management: 'shopify'
+                                                                                                             }
+                                                                                                         };
+                                                                                                         await shopify.put(`variants/${existingVariant.id}.json`, variantUpdatePayload);                                    
+                                                                    const inventoryPayload = {
+                                                                        location_id: locationId,
+                                                                        inventory_item_id: existingVariant.inventory_item_id,
+                                                                        available: Math.max(0, Number(v.inventory_quantity || 0)),
+                                                                    };
+                                                                    await shopify.post(`inventory_levels/set.json`, inventoryPayload);
+                                                                    updatedVariants++;                                } else {
+                                // Create new variant
+                                const newVariantPayload = {
+                                    variant: {
+                                        price: String(v.price || "0"),
+                                        option1: v.option1,
+                                        option2: v.option2,
+                                        option3: v.option3,
+                                        sku: v.sku,
+                                        inventory_management: "shopify",
+                                    }
+                                };
+                                if (v.compare_at_price) newVariantPayload.variant.compare_at_price = String(v.compare_at_price);
+                                
+                                const createdVariantResponse = await shopify.post(`products/${existingProduct.id}/variants.json`, newVariantPayload);
+                                
+                                const inventoryPayload = {
+                                    location_id: locationId,
+                                    inventory_item_id: createdVariantResponse.variant.inventory_item_id,
+                                    available: Math.max(0, Number(v.inventory_quantity || 0)),
+                                };
+                                await shopify.post(`inventory_levels/set.json`, inventoryPayload);
+
+                                createdVariants++;
+                            }
+                        }
+                        operation.item({
+                            status: 'updated',
+                            itemId: product.id,
+                            title: product.title,
+                            message: `Synced inventory and price for ${updatedVariants} variant(s); created ${createdVariants} new variant(s).`
+                        });
+                    } else {
+                        operation.item({ status: 'skipped', itemId: product.id, title: product.title, message: 'Product not found in your store.' });
+                    }
+                } catch (e) {
+                    operation.item({ status: 'failed', itemId: product.id, title: product.title, message: e.message });
+                    logger.error('Failed to sync inventory for product', { productId: product.id, title: product.title, error: e });
+                }
+            }
+    }));
+
+    router.post('/vendors/sync-photos', syncRouteOptions, startSyncOperation('sync-photos', 'Photo sync', async (operation, vendor, productsToSync, shopify) => {
+            // 1. Fetch all products from the main store to check for existing ones
+            operation.log('Fetching existing products from your store...');
+            await refreshStoreMirror('products');
+            const mainStoreProducts = await getMirroredProducts();
+            const mainStoreProductMap = mainStoreProducts.products.reduce((map, product) => {
+                map[product.title] = product.id; // Use title as the key
+                return map;
+            }, {});
+            operation.log(`Found ${mainStoreProducts.products.length} existing products.`);
+
+            // 2. Loop and update images for each product on the main store
+            for (const product of productsToSync) {
+                try {
+                    const existingProductId = mainStoreProductMap[product.title];
+
+                    if (existingProductId) {
+                        if (product.images && product.images.length > 0) {
+
+                            const updatePayload = {
+                                product: {
+                                    id: existingProductId,
+                                    images: product.images.map(img => ({ src: img.src }))
+                                }
+                            };
+                            await shopify.put(`products/${existingProductId}.json`, updatePayload);
+                            operation.item({ status: 'updated', itemId: product.id, title: product.title, message: `Updated ${product.images.length} photo(s).` });
+                        } else {
+                            operation.item({ status: 'skipped', itemId: product.id, title: product.title, message: 'No images to sync for this product.' });
+                        }
+                    } else {
+                        operation.item({ status: 'skipped', itemId: product.id, title: product.title, message: 'Product not found in your store.' });
+                    }
+                } catch (e) {
+                    operation.item({ status: 'failed', itemId: product.id, title: product.title, message: e.message });
+                    logger.error('Failed to sync photos for product', { productId: product.id, title: product.title, error: e });
+                }
+            }
+    }));
+
+    // --- Send Orders ---
+    router.get('/send-orders', { permission: PERMISSIONS.ORDERS_SEND, scope: API_TOKEN_SCOPES.ORDERS_READ }, async (req, res) => {
+        const sendOrdersTemplatePath = path.join(VIEWS_DIR, 'send-orders.html');
+        try {
+            const [orderData, vendors] = await Promise.all([
+                mainStore.get('orders.json?status=any'),
+                getVendors()
+            ]);
+            vendors.forEach(vendor => delete vendor.shopifyAccessToken);
+            renderView(res, sendOrdersTemplatePath, { orders: orderData.orders, vendors }, 0);
+        } catch (error) {
+            logger.error('Error fetching data for Send Orders page', { error });
+            renderView(res, sendOrdersTemplatePath, { error: error.message }, 0);
+        }
+    });
+
+    router.post('/send-orders', {
+        permission: PERMISSIONS.ORDERS_SEND,
+        body: { schema: SEND_ORDERS_SCHEMA },
+        docs: { summary: 'Send orders to a connected vendor as draft orders', tags: ['Vendors'], errors: { 500: 'The vendor was not found.' } },
+        response: SEND_ORDERS_RESPONSE_SCHEMA
+    }, async (req, res) => {
+        try {
+            const { orderIds, vendorId } = req.body;
+            logger.info('Sending orders to vendor', { orderIds, vendorId });
+
+            const vendor = await getVendorById(vendorId);
+            if (!vendor) {
+                throw new Error('Vendor not found.');
+            }
+
+            let successCount = 0;
+            let errorCount = 0;
+
+            for (const orderId of orderIds) {
+                try {
+                    const { order } = await mainStore.get(`orders/${orderId}.json`);
+
+                    if (!order.customer || !order.shipping_address) {
+                        throw new Error(`Order #${order.order_number} is missing customer or shipping address details.`);
+                    }
+
+                    const draftOrderPayload = {
+                        draft_order: {
+                            line_items: order.line_items.map(item => ({
+                                title: item.title,
+                                price: item.price,
+                                quantity: item.quantity,
+                                requires_shipping: item.requires_shipping,
+                                grams: item.grams || 0,
+                            })),
+                            customer: {
+                                first_name: order.customer.first_name,
+                                last_name: order.customer.last_name,
+                                email: order.customer.email,
+                            },
+                            shipping_address: order.shipping_address,
+                            use_customer_default_address: false,
+                        }
+                    };
+                    
+                    logger.debug('Sending draft order to vendor', { orderId, vendor: vendor.name, payload: draftOrderPayload });
+                    const vendorResponse = await createVendorStoreClient(vendor).post('draft_orders.json', draftOrderPayload);
+                    logger.info('Sent draft order to vendor', {
+                        orderId,
+                        orderNumber: order.order_number,
+                        vendor: vendor.name,
+                        draftOrderId: vendorResponse.draft_order && vendorResponse.draft_order.id
+                    });
+                    successCount++;
+                } catch (e) {
+                    logger.error('Failed to send order to vendor', { orderId, vendor: vendor.name, error: e });
+                    errorCount++;
+                }
+            }
+
+            logger.info('Finished sending orders to vendor', { vendor: vendor.name, successCount, errorCount });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ 
+                message: `Successfully sent ${successCount} orders. Failed to send ${errorCount} orders.`,
+                success: errorCount === 0 
+            }));
+
+        } catch (error) {
+            logger.error('Error processing send-orders request', { error });
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `Failed to send orders: ${error.message}` }));
+        }
+    });
+}
+
+module.exports = {
+    registerVendorRoutes,
+};
@@ -0,0 +1,51 @@
+// Creates an admin panel user from the command line.
+// Use this to bootstrap the first account before anyone can log in:
+//   npm run create-user -- <username> <password> [full name] [--role=<role>]
+// The role defaults to admin.
+require('dotenv').config();
+
+const { connectToDatabase, createUser } = require('../db');
+const { hashPassword, validatePassword } = require('../auth');
+const { ROLES, isValidRole } = require('../permissions');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const roleArg = args.find(arg => arg.startsWith('--role='));
+    const role = roleArg ? roleArg.substring('--role='.length) : 'admin';
+    const [username, password, ...nameParts] = args.filter(arg => arg !== roleArg);
+    if (!username || !password) {
+        console.error('Usage: npm run create-user -- <username> <password> [full name] [--role=<role>]');
+        process.exit(1);
+    }
+
+    if (!isValidRole(role)) {
+        console.error(`Unknown role "${role}". Valid roles: ${Object.keys(ROLES).join(', ')}`);
+        process.exit(1);
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        console.error(passwordError);
+        process.exit(1);
+    }
+
+    const db = await connectToDatabase();
+    if (!db) {
+        console.error('Could not connect to MongoDB. Check MONGODB_URI and try again.');
+        process.exit(1);
+    }
+
+    await createUser({
+        username: username.trim().toLowerCase(),
+        name: nameParts.join(' ').trim(),
+        role,
+        passwordHash: await hashPassword(password)
+    }, { userId: null, username: 'system:create-user' });
+    console.log(`User "${username}" created with role "${role}".`);
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('Failed to create user:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,75 @@
+// Re-encrypts every connected vendor's Shopify access token, and every user's
+// TOTP secret (including one from a two-factor setup that hasn't been
+// confirmed yet), with the current VENDOR_TOKEN_ENCRYPTION_KEY. Tokens still
+// stored in plain text are encrypted too.
+//
+// To rotate the key:
+//   1. Move the old key into VENDOR_TOKEN_ENCRYPTION_PREVIOUS_KEYS.
+//   2. Set VENDOR_TOKEN_ENCRYPTION_KEY to the new key.
+//   3. Run `npm run rotate-vendor-token-key`.
+//   4. Remove the old key from VENDOR_TOKEN_ENCRYPTION_PREVIOUS_KEYS.
+require('dotenv').config();
+
+const { connectToDatabase, getVendors, updateVendorAccessToken, getUsersWithTotpSecrets, updateUserTotpSecret, setUserPendingTotpSecret } = require('../db');
+const { encryptSecret, decryptSecret, isEncryptedWithCurrentKey } = require('../encryption');
+
+async function main() {
+    const db = await connectToDatabase();
+    if (!db) {
+        console.error('Could not connect to MongoDB. Check MONGODB_URI and try again.');
+        process.exit(1);
+    }
+
+    const vendors = await getVendors();
+    let rotated = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const vendor of vendors) {
+        if (!vendor.shopifyAccessToken || isEncryptedWithCurrentKey(vendor.shopifyAccessToken)) {
+            skipped++;
+            continue;
+        }
+        try {
+            const plaintext = decryptSecret(vendor.shopifyAccessToken);
+            await updateVendorAccessToken(vendor._id, encryptSecret(plaintext), { userId: null, username: 'system:key-rotation' });
+            rotated++;
+        } catch (error) {
+            console.error(`Failed to re-encrypt the token for vendor ${vendor.name}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    const totpSecretFields = [
+        { field: 'totpSecret', label: 'TOTP secret', save: updateUserTotpSecret },
+        { field: 'pendingTotpSecret', label: 'pending TOTP secret', save: setUserPendingTotpSecret }
+    ];
+    const users = await getUsersWithTotpSecrets();
+    for (const user of users) {
+        for (const { field, label, save } of totpSecretFields) {
+            if (!user[field]) {
+                continue;
+            }
+            if (isEncryptedWithCurrentKey(user[field])) {
+                skipped++;
+                continue;
+            }
+            try {
+                const plaintext = decryptSecret(user[field]);
+                await save(user._id, encryptSecret(plaintext), { userId: null, username: 'system:key-rotation' });
+                rotated++;
+            } catch (error) {
+                console.error(`Failed to re-encrypt the ${label} for user ${user.username}: ${error.message}`);
+                failed++;
+            }
+        }
+    }
+
+    console.log(`Re-encrypted ${rotated} secrets. ${skipped} already up to date. ${failed} failed.`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('Key rotation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { createSession, getSession, updateSession, deleteSession, deleteSessionsForUser, createLoginChallenge, getLoginChallenge, incrementLoginChallengeAttempts, deleteLoginChallenge } = require('./db');
+const { generateCsrfToken } = require('./csrf');
+const { config } = require('./config');
+
+// --- Session Settings ---
+// A session ends after SESSION_IDLE_TIMEOUT_MINUTES without a request, or
+// SESSION_ABSOLUTE_TIMEOUT_HOURS after login, whichever comes first.
+const SESSION_COOKIE_NAME = 'sid';
+// Croscrow vendors log in to the /portal pages with their own cookie. A
+// session only ever works for the kind it was created for.
+const SESSION_KINDS = {
+    admin: { cookieName: SESSION_COOKIE_NAME, path: '/' },
+    vendor: { cookieName: 'vsid', path: '/portal' }
+};
+const IDLE_TIMEOUT_MS = config.sessions.idleTimeoutMinutes * 60 * 1000;
+const ABSOLUTE_TIMEOUT_MS = config.sessions.absoluteTimeoutHours * 60 * 60 * 1000;
+// Only write lastSeenAt back to Mongo once a minute to avoid a write per request.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+// Browsers accept Secure cookies on http://localhost, so this only needs
+// turning off when the panel is reached over plain http on another host.
+const COOKIE_SECURE = config.sessions.cookieSecure;
+// Users with two-factor enabled get this long to enter their code after the password.
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_LOGIN_CHALLENGE_ATTEMPTS = 5;
+
+/**
+ * Session IDs are only ever stored hashed, so a leaked sessions collection
+ * cannot be replayed as cookies.
+ */
+function hashSessionId(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex');
+}
+
+function buildCookie(kind, value, maxAgeSeconds) {
+    const { cookieName, path } = SESSION_KINDS[kind];
+    const parts = [
+        `${cookieName}=${value}`,
+        'HttpOnly',
+        `Path=${path}`,
+        'SameSite=Lax',
+        `Max-Age=${maxAgeSeconds}`
+    ];
+    if (COOKIE_SECURE) {
+        parts.push('Secure');
+    }
+    return parts.join('; ');
+}
+
+/**
+ * Creates a server-side session for a user.
+ * @param {object} user - The user document (a vendor_users document for vendor sessions).
+ * @param {http.IncomingMessage} req - The login request, used to record the client.
+ * @param {string} [kind='admin'] - 'admin' or 'vendor'.
+ * @returns {Promise<string>} - The Set-Cookie header value for the new session.
+ */
+async function startSession(user, req, kind = 'admin') {
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    await createSession({
+        _id: hashSessionId(sessionId),
+        kind,
+        userId: String(user._id),
+        createdAt: now,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + ABSOLUTE_TIMEOUT_MS),
+        csrfToken: generateCsrfToken(),
+        userAgent: req.headers['user-agent'] || '',
+        ip: req.socket.remoteAddress || ''
+    });
+    return buildCookie(kind, sessionId, Math.floor(ABSOLUTE_TIMEOUT_MS / 1000));
+}
+
+/**
+ * Loads the session named by the request cookie, enforcing both timeouts.
+ * @param {object} cookies - Parsed request cookies.
+ * @param {string} [kind='admin'] - 'admin' or 'vendor'.
+ * @returns {Promise<object|null>} - The session document, or null if missing, expired or of another kind.
+ */
+async function loadSession(cookies, kind = 'admin') {
+    const sessionId = cookies[SESSION_KINDS[kind].cookieName];
+    if (!sessionId) {
+        return null;
+    }
+    const sessionKey = hashSessionId(sessionId);
+    const session = await getSession(sessionKey);
+    // Sessions created before vendor logins existed have no kind and are admin sessions.
+    if (!session || (session.kind || 'admin') !== kind) {
+        return null;
+    }
+
+    const now = Date.now();
+    const idleExpired = now - new Date(session.lastSeenAt).getTime() > IDLE_TIMEOUT_MS;
+    const absoluteExpired = now >= new Date(session.expiresAt).getTime();
+    if (idleExpired || absoluteExpired) {
+        await deleteSession(sessionKey);
+        return null;
+    }
+
+    const updates = {};
+    if (now - new Date(session.lastSeenAt).getTime() > TOUCH_INTERVAL_MS) {
+        updates.lastSeenAt = new Date(now);
+    }
+    // Sessions created before CSRF protection existed get a token on first use.
+    if (!session.csrfToken) {
+        updates.csrfToken = generateCsrfToken();
+    }
+    if (Object.keys(updates).length > 0) {
+        Object.assign(session, updates);
+        await updateSession(sessionKey, updates);
+    }
+    return session;
+}
+
+/**
+ * Destroys the session named by the request cookie.
+ * @param {object} cookies - Parsed request cookies.
+ * @param {string} [kind='admin'] - 'admin' or 'vendor'.
+ */
+async function endSession(cookies, kind = 'admin') {
+    const sessionId = cookies[SESSION_KINDS[kind].cookieName];
+    if (sessionId) {
+        await deleteSession(hashSessionId(sessionId));
+    }
+}
+
+/**
+ * Destroys every session belonging to a user ("log out everywhere").
+ * @param {string} userId
+ */
+async function endAllSessionsForUser(userId) {
+    await deleteSessionsForUser(userId);
+}
+
+/**
+ * Starts the second step of a login for a user with two-factor enabled.
+ * The token goes in a hidden field on the code form; no session exists yet.
+ * @param {object} user - The user document.
+ * @returns {Promise<string>} - The challenge token.
+ */
+async function startLoginChallenge(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    await createLoginChallenge({
+        _id: hashSessionId(token),
+        userId: String(user._id),
+        attempts: 0,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + LOGIN_CHALLENGE_TTL_MS)
+    });
+    return token;
+}
+
+/**
+ * Loads a pending login challenge.
+ * @param {string} token
+ * @returns {Promise<object|null>} - Null if missing or expired.
+ */
+async function loadLoginChallenge(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+    const challenge = await getLoginChallenge(hashSessionId(token));
+    if (!challenge || Date.now() >= new Date(challenge.expiresAt).getTime()) {
+        return null;
+    }
+    return challenge;
+}
+
+/**
+ * Counts a wrong code against a challenge, ending it after too many.
+ * @param {string} token
+ * @returns {Promise<boolean>} - True if the user may try again.
+ */
+async function recordLoginChallengeFailure(token) {
+    const challengeKey = hashSessionId(token);
+    const challenge = await incrementLoginChallengeAttempts(challengeKey);
+    if (!challenge || challenge.attempts >= MAX_LOGIN_CHALLENGE_ATTEMPTS) {
+        await deleteLoginChallenge(challengeKey);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * @param {string} token
+ */
+async function endLoginChallenge(token) {
+    await deleteLoginChallenge(hashSessionId(token));
+}
+
+/**
+ * Returns a Set-Cookie header value that removes the session cookie.
+ * @param {string} [kind='admin'] - 'admin' or 'vendor'.
+ * @returns {string}
+ */
+function clearSessionCookie(kind = 'admin') {
+    return buildCookie(kind, '', 0);
+}
+
+module.exports = {
+    SESSION_COOKIE_NAME,
+    startSession,
+    loadSession,
+    endSession,
+    endAllSessionsForUser,
+    clearSessionCookie,
+    startLoginChallenge,
+    loadLoginChallenge,
+    recordLoginChallengeFailure,
+    endLoginChallenge,
+};
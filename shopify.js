@@ -0,0 +1,795 @@
+const https = require('https');
+const readline = require('readline');
+const { decryptSecret } = require('./encryption');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { recordShopifyDeprecation } = require('./db');
+const { observeShopifyRequest, recordShopifyRetry, recordShopifyThrottleWait, recordShopifyDeprecatedRequest } = require('./metrics');
+
+const SHOP = config.shopify.shopName;
+const ACCESS_TOKEN = config.shopify.accessToken;
+const API_VERSION = config.shopify.apiVersion;
+const MAX_RETRIES = config.shopify.maxRetries;
+
+// --- Shopify Admin API Client ---
+// Every request to the main store or a connected vendor store goes through a
+// client from createShopifyClient(). A client knows its store's hostname and
+// token and builds Admin REST API paths for its API version, so callers only
+// name the resource:
+//
+//   const { products } = await getMainStoreClient().get('products.json?limit=10');
+//   await createVendorStoreClient(vendor).post('draft_orders.json', payload);
+//
+// Failed requests reject with an Error whose `code` is one of
+// SHOPIFY_ERROR_CODES, so callers can tell a revoked token from a missing
+// product or a rejected payload without parsing messages.
+const SHOPIFY_ERROR_CODES = {
+    AUTH: 'shopify_auth',
+    NOT_FOUND: 'shopify_not_found',
+    VALIDATION: 'shopify_validation',
+    THROTTLED: 'shopify_throttled',
+    SERVER: 'shopify_server_error',
+    NETWORK: 'shopify_network_error',
+    INVALID_RESPONSE: 'shopify_invalid_response',
+    GRAPHQL: 'shopify_graphql'
+};
+
+const PAGE_LIMIT = 250;
+
+// --- Rate Limits ---
+// Shopify limits REST calls per store with a leaky bucket: 40 calls that drain
+// at 2 a second, or 400 and 20 on Plus stores. Every response reports how full
+// the bucket is in X-Shopify-Shop-Api-Call-Limit, e.g. "32/40". Requests wait
+// while the bucket is over THROTTLE_THRESHOLD full, so a long sync slows down
+// instead of being refused, and every client for the same store shares the
+// same bucket. A 429 pauses the store for its Retry-After.
+const THROTTLE_THRESHOLD = 0.8;
+// Seconds for a full bucket to drain: 40 / 2 and 400 / 20.
+const BUCKET_DRAIN_SECONDS = 20;
+const DEFAULT_RETRY_AFTER_SECONDS = 2;
+// Backoff before retrying a 5xx or a dropped connection.
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+// POST creates things, so it is only retried when Shopify refused it outright.
+// GraphQL queries are POSTs too but are marked idempotent by graphql().
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+// hostname -> { used, size, updatedAt, resumeAt }
+const callBuckets = new Map();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getCallBucket(hostname) {
+    if (!callBuckets.has(hostname)) {
+        callBuckets.set(hostname, { used: 0, size: 40, updatedAt: Date.now(), resumeAt: 0 });
+    }
+    return callBuckets.get(hostname);
+}
+
+function estimateCallsUsed(bucket, now) {
+    const drained = (now - bucket.updatedAt) / 1000 * (bucket.size / BUCKET_DRAIN_SECONDS);
+    return Math.max(0, bucket.used - drained);
+}
+
+/**
+ * Waits until the store has room for one more call, then counts it.
+ * @param {string} hostname
+ * @returns {Promise<number>} - Milliseconds waited.
+ */
+async function reserveCall(hostname) {
+    const bucket = getCallBucket(hostname);
+    const now = Date.now();
+    let waitMs = Math.max(0, bucket.resumeAt - now);
+    const excess = estimateCallsUsed(bucket, now) + 1 - bucket.size * THROTTLE_THRESHOLD;
+    if (excess > 0) {
+        waitMs = Math.max(waitMs, Math.ceil(excess / (bucket.size / BUCKET_DRAIN_SECONDS) * 1000));
+    }
+    if (waitMs > 0) {
+        await sleep(waitMs);
+    }
+    // Count the call now so concurrent requests don't all see the same room.
+    const after = Date.now();
+    bucket.used = estimateCallsUsed(bucket, after) + 1;
+    bucket.updatedAt = after;
+    return waitMs;
+}
+
+/**
+ * Updates the store's bucket from a response.
+ * @param {string} hostname
+ * @param {number} statusCode
+ * @param {object} headers
+ */
+function updateCallBucket(hostname, statusCode, headers) {
+    const bucket = getCallBucket(hostname);
+    const match = /^(\d+)\/(\d+)$/.exec(headers['x-shopify-shop-api-call-limit'] || '');
+    if (match) {
+        bucket.used = parseInt(match[1], 10);
+        bucket.size = parseInt(match[2], 10);
+        bucket.updatedAt = Date.now();
+    }
+    if (statusCode === 429) {
+        const retryAfterSeconds = parseFloat(headers['retry-after']) || DEFAULT_RETRY_AFTER_SECONDS;
+        bucket.resumeAt = Math.max(bucket.resumeAt, Date.now() + retryAfterSeconds * 1000);
+    }
+}
+
+/**
+ * Whether a failed request may be sent again.
+ * @param {boolean} idempotent - Whether sending it twice is harmless.
+ * @param {Error} error - From the client.
+ * @returns {boolean}
+ */
+function isRetryable(idempotent, error) {
+    if (error.code === SHOPIFY_ERROR_CODES.THROTTLED) {
+        return true;
+    }
+    if (!idempotent) {
+        return false;
+    }
+    return error.code === SHOPIFY_ERROR_CODES.NETWORK
+        || (error.code === SHOPIFY_ERROR_CODES.SERVER && error.shopifyStatus >= 500 && error.shopifyStatus !== 501);
+}
+
+/**
+ * Exponential backoff with jitter, so retries from several syncs spread out.
+ * A throttled request waits for its Retry-After, or for a throttled GraphQL
+ * query until enough of its cost has been restored. A REST 429 is the
+ * exception: reserveCall() already holds its retry until the Retry-After.
+ * @param {Error} error
+ * @param {number} attempt - 0 for the first retry.
+ * @param {boolean} usesCallBucket - Whether the retry goes through reserveCall().
+ * @returns {number} - Milliseconds.
+ */
+function retryDelayMs(error, attempt, usesCallBucket) {
+    if (error.code === SHOPIFY_ERROR_CODES.THROTTLED) {
+        if (error.shopifyStatus === 429 && usesCallBucket) {
+            return 0;
+        }
+        if (error.retryAfterSeconds > 0) {
+            return Math.ceil(error.retryAfterSeconds * 1000);
+        }
+    }
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function describeRetryReason(error) {
+    if (error.code === SHOPIFY_ERROR_CODES.THROTTLED) return 'throttled';
+    if (error.code === SHOPIFY_ERROR_CODES.NETWORK) return 'network_error';
+    return `status_${error.shopifyStatus}`;
+}
+
+// --- API Versions ---
+// Shopify releases an Admin API version every quarter and supports each one
+// for 12 months. Each store can pin its own version (the main store with
+// SHOPIFY_API_VERSION, a vendor store with its shopifyApiVersion), so stores
+// can be upgraded one at a time.
+//
+// Shopify flags calls that will stop working: X-Shopify-API-Deprecated-Reason
+// is set when a call uses something removed in a newer version, and a request
+// for a retired version is answered with the oldest supported one, named in
+// X-Shopify-API-Version. Both are recorded per endpoint (see
+// recordShopifyDeprecation in db.js) and listed on /diagnostics.
+const VERSION_SUPPORT_MONTHS = 12;
+// Each deprecated endpoint is written at most once per interval; the count
+// written covers the calls in between.
+const DEPRECATION_RECORD_INTERVAL_MS = 10 * 60 * 1000;
+
+// "store method apiVersion endpoint" -> { recordedAt, unrecordedCount }
+const deprecatedCalls = new Map();
+
+/**
+ * When Shopify stops supporting an API version.
+ * @param {string} version - e.g. '2024-04'.
+ * @returns {Date|null} - null for 'unstable' and unknown versions.
+ */
+function getApiVersionSupportEnd(version) {
+    const match = /^(\d{4})-(\d{2})$/.exec(version || '');
+    if (!match) {
+        return null;
+    }
+    return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1 + VERSION_SUPPORT_MONTHS, 1));
+}
+
+/**
+ * The endpoint a path calls, without its version, IDs or query, so calls to
+ * different records of the same kind are recorded together.
+ * @param {string} path - e.g. '/admin/api/2024-04/products/123/variants.json?limit=250'.
+ * @returns {string} - e.g. 'products/:id/variants.json'.
+ */
+function describeEndpoint(path) {
+    return path
+        .split('?')[0]
+        .replace(/^\/admin\/api\/[^/]+\//, '')
+        .replace(/\/\d+(?=\/|\.json$|$)/g, '/:id');
+}
+
+/**
+ * Records a response that reported a deprecated call or a retired version.
+ * @param {object} call - store, apiVersion, servedVersion, method, endpoint, reason.
+ */
+function noteDeprecatedCall(call) {
+    recordShopifyDeprecatedRequest(call.store, call.apiVersion);
+    const key = [call.store, call.method, call.apiVersion, call.endpoint].join(' ');
+    const seen = deprecatedCalls.get(key);
+    const now = Date.now();
+    if (seen && now - seen.recordedAt < DEPRECATION_RECORD_INTERVAL_MS) {
+        seen.unrecordedCount++;
+        return;
+    }
+    if (!seen) {
+        logger.warn('Shopify reported a deprecated API call', call);
+    }
+    deprecatedCalls.set(key, { recordedAt: now, unrecordedCount: 0 });
+    recordShopifyDeprecation({ ...call, count: (seen ? seen.unrecordedCount : 0) + 1 });
+}
+
+/**
+ * Checks a response for Shopify's deprecation headers.
+ * @param {string} store
+ * @param {string} method
+ * @param {string} path - The path that was requested, with its version.
+ * @param {object} headers - The response headers.
+ */
+function checkDeprecationHeaders(store, method, path, headers) {
+    const versionMatch = /^\/admin\/api\/([^/]+)\//.exec(path);
+    if (!versionMatch) {
+        return;
+    }
+    const apiVersion = versionMatch[1];
+    const servedVersion = headers['x-shopify-api-version'] || apiVersion;
+    let reason = headers['x-shopify-api-deprecated-reason'];
+    if (!reason && servedVersion !== apiVersion) {
+        reason = `Version ${apiVersion} is no longer supported; Shopify answered with ${servedVersion}.`;
+    }
+    if (reason) {
+        noteDeprecatedCall({ store, apiVersion, servedVersion, method, endpoint: describeEndpoint(path), reason });
+    }
+}
+
+/**
+ * Turns a shop name or domain into the hostname to call.
+ * @param {string} shopName - e.g. 'croscrow', 'croscrow.myshopify.com' or 'https://shop.example.com/'.
+ * @returns {string}
+ */
+function normalizeShopHostname(shopName) {
+    const hostname = String(shopName || '')
+        .replace(/^(https?:\/\/)/, '')
+        .replace(/\/+$/, '');
+    // Without a dot it's a shop name, not a custom domain.
+    return hostname.includes('.') ? hostname : `${hostname}.myshopify.com`;
+}
+
+function codeForStatus(statusCode) {
+    if (statusCode === 401 || statusCode === 403) return SHOPIFY_ERROR_CODES.AUTH;
+    if (statusCode === 404) return SHOPIFY_ERROR_CODES.NOT_FOUND;
+    if (statusCode === 429) return SHOPIFY_ERROR_CODES.THROTTLED;
+    if (statusCode === 400 || statusCode === 406 || statusCode === 422) return SHOPIFY_ERROR_CODES.VALIDATION;
+    return SHOPIFY_ERROR_CODES.SERVER;
+}
+
+/**
+ * Creates an error for a failed Shopify request.
+ * @param {string} code - One of SHOPIFY_ERROR_CODES.
+ * @param {string} message
+ * @param {object} details - store, method, path, and for HTTP errors shopifyStatus,
+ *   errors (Shopify's `errors` field) and retryAfterSeconds (429 only).
+ * @returns {Error}
+ */
+function createShopifyError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+/**
+ * Reads the next page's path from a Link header, or null on the last page.
+ * @param {string} [linkHeader]
+ * @returns {string|null}
+ */
+function nextPagePath(linkHeader) {
+    const next = (linkHeader || '').split(',')
+        .map(link => /<(.+)>;\s*rel="(.+)"/.exec(link))
+        .find(match => match && match[2] === 'next');
+    if (!next) {
+        return null;
+    }
+    const nextUrl = new URL(next[1]);
+    return nextUrl.pathname + nextUrl.search;
+}
+
+// --- GraphQL ---
+// GraphQL has its own cost-based limit instead of the REST call bucket, and
+// reports a throttled query as an error in a 200 response.
+const GRAPHQL_RESOURCE = 'graphql.json';
+
+/**
+ * Turns a GraphQL response with top-level errors into an Error.
+ * @param {object} response - The parsed body.
+ * @param {object} details - store, method, path.
+ * @returns {Error|null}
+ */
+function graphqlError(response, details) {
+    if (!Array.isArray(response.errors) || response.errors.length === 0) {
+        return null;
+    }
+    const messages = response.errors.map(error => error.message).join(' ');
+    if (response.errors.some(error => error.extensions && error.extensions.code === 'THROTTLED')) {
+        const cost = (response.extensions && response.extensions.cost) || {};
+        const status = cost.throttleStatus || {};
+        const shortfall = (cost.requestedQueryCost || 0) - (status.currentlyAvailable || 0);
+        const retryAfterSeconds = status.restoreRate > 0 && shortfall > 0 ? shortfall / status.restoreRate : DEFAULT_RETRY_AFTER_SECONDS;
+        return createShopifyError(SHOPIFY_ERROR_CODES.THROTTLED, `Shopify GraphQL query on ${details.store} was throttled: ${messages}`, { ...details, errors: response.errors, retryAfterSeconds });
+    }
+    return createShopifyError(SHOPIFY_ERROR_CODES.GRAPHQL, `Shopify GraphQL query on ${details.store} failed: ${messages}`, { ...details, errors: response.errors });
+}
+
+/**
+ * Throws if a mutation's payload has userErrors, e.g. a bulk operation
+ * that is already running.
+ * @param {object} payload - e.g. data.bulkOperationRunQuery.
+ * @param {string} store
+ */
+function throwUserErrors(payload, store) {
+    if (payload && Array.isArray(payload.userErrors) && payload.userErrors.length > 0) {
+        throw createShopifyError(
+            SHOPIFY_ERROR_CODES.VALIDATION,
+            `Shopify rejected the request on ${store}: ${payload.userErrors.map(error => error.message).join(' ')}`,
+            { store, errors: payload.userErrors }
+        );
+    }
+}
+
+// --- Bulk Operations ---
+// Shopify runs a bulk query in the background and writes the result to a
+// JSONL file, one object per line. Nested connections come as their own lines
+// with a __parentId, after their parent. Only one bulk query can run per store.
+const BULK_POLL_INTERVAL_MS = 5000;
+const BULK_TIMEOUT_MS = 6 * 60 * 60 * 1000;
+// A result download that receives nothing for this long is given up.
+const BULK_DOWNLOAD_IDLE_TIMEOUT_MS = 60 * 1000;
+const BULK_FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+const BULK_OPERATION_FIELDS = 'id status errorCode objectCount url partialDataUrl createdAt completedAt';
+
+/**
+ * Creates a client for one store.
+ * @param {object} credentials
+ * @param {string} credentials.shopName - Shop name or domain.
+ * @param {string} credentials.accessToken - May be encrypted; it is only
+ *   decrypted right before each request is sent.
+ * @param {string} [credentials.apiVersion] - e.g. '2025-01'. Defaults to SHOPIFY_API_VERSION.
+ * @param {function} [credentials.onRetry] - Called with { store, method, path, reason,
+ *   attempt, maxRetries, delayMs } before a request is retried, e.g. to show it in a sync's log.
+ * @returns {object}
+ */
+function createShopifyClient({ shopName, accessToken, apiVersion = API_VERSION, onRetry = null }) {
+    const hostname = normalizeShopHostname(shopName);
+    const store = hostname.replace(/\.myshopify\.com$/, '');
+
+    function resolvePath(resource) {
+        return resource.startsWith('/') ? resource : `/admin/api/${apiVersion}/${resource}`;
+    }
+
+    /**
+     * Sends a request once.
+     * @returns {Promise<{data: object, headers: object}>}
+     */
+    function sendOnce(method, path, body) {
+        const details = { store, method, path };
+        return new Promise((resolve, reject) => {
+            const headers = {
+                'X-Shopify-Access-Token': decryptSecret(accessToken),
+                'Accept': 'application/json'
+            };
+            if (body) {
+                headers['Content-Type'] = 'application/json';
+                headers['Content-Length'] = Buffer.byteLength(body);
+            }
+
+            const req = https.request({
+                hostname,
+                path,
+                method,
+                // Enforce TLS 1.2 to prevent handshake errors with Shopify's API
+                secureProtocol: 'TLSv1_2_method',
+                headers
+            }, (res) => {
+                let responseData = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => responseData += chunk);
+                res.on('end', () => {
+                    updateCallBucket(hostname, res.statusCode, res.headers);
+                    checkDeprecationHeaders(store, method, path, res.headers);
+                    let data = {};
+                    let parsed = true;
+                    try {
+                        data = responseData.trim() ? JSON.parse(responseData) : {};
+                    } catch (e) {
+                        parsed = false;
+                    }
+
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        if (!parsed) {
+                            reject(createShopifyError(SHOPIFY_ERROR_CODES.INVALID_RESPONSE, `Failed to parse Shopify ${method} response from ${store}.`, details));
+                            return;
+                        }
+                        resolve({ data, headers: res.headers });
+                        return;
+                    }
+
+                    const errors = parsed && data.errors !== undefined ? data.errors : responseData;
+                    const retryAfterSeconds = res.statusCode === 429 ? parseFloat(res.headers['retry-after']) || DEFAULT_RETRY_AFTER_SECONDS : undefined;
+                    reject(createShopifyError(
+                        codeForStatus(res.statusCode),
+                        `Shopify API ${method} ${path} on ${store} responded with status ${res.statusCode}: ${typeof errors === 'string' ? errors : JSON.stringify(errors)}`,
+                        { ...details, shopifyStatus: res.statusCode, errors, retryAfterSeconds }
+                    ));
+                });
+            });
+
+            observeShopifyRequest(req);
+            req.on('error', (error) => reject(createShopifyError(
+                SHOPIFY_ERROR_CODES.NETWORK,
+                `Could not reach Shopify store ${store}: ${error.message}`,
+                { ...details, cause: error }
+            )));
+            if (body) {
+                req.write(body);
+            }
+            req.end();
+        });
+    }
+
+    /**
+     * Sends a request, waiting for room in the store's call limit and
+     * retrying throttled requests, 5xx responses and dropped connections.
+     * @param {string} method
+     * @param {string} resource
+     * @param {object} [payload]
+     * @param {object} [options]
+     * @param {boolean} [options.idempotent] - Defaults to true for GET, PUT and DELETE.
+     * @param {boolean} [options.rest=true] - false for GraphQL, which doesn't use the call bucket.
+     * @param {function} [options.check] - (data) => Error|null, for errors reported in a 200 response.
+     * @returns {Promise<{data: object, headers: object}>}
+     */
+    async function request(method, resource, payload, { idempotent = IDEMPOTENT_METHODS.includes(method), rest = true, check = null } = {}) {
+        const path = resolvePath(resource);
+        const body = payload === undefined ? null : JSON.stringify(payload);
+        if (body) {
+            logger.debug(`${method} to Shopify`, { store, path, payload });
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            const waitedMs = rest ? await reserveCall(hostname) : 0;
+            if (waitedMs > 0) {
+                recordShopifyThrottleWait(store, waitedMs / 1000);
+            }
+            try {
+                const response = await sendOnce(method, path, body);
+                const error = check && check(response.data);
+                if (error) {
+                    throw error;
+                }
+                return response;
+            } catch (error) {
+                if (attempt >= MAX_RETRIES || !isRetryable(idempotent, error)) {
+                    error.attempts = attempt + 1;
+                    logger.warn('Shopify request failed', { store, method, path, status: error.shopifyStatus, code: error.code, attempts: error.attempts });
+                    throw error;
+                }
+                const retry = { store, method, path, reason: describeRetryReason(error), attempt: attempt + 1, maxRetries: MAX_RETRIES, delayMs: retryDelayMs(error, attempt, rest) };
+                logger.warn('Retrying Shopify request', retry);
+                recordShopifyRetry(retry);
+                if (onRetry) {
+                    onRetry(retry);
+                }
+                await sleep(retry.delayMs);
+            }
+        }
+    }
+
+    const client = {
+        store,
+        apiVersion,
+
+        /**
+         * The same store with a different onRetry listener.
+         * @param {function} listener
+         * @returns {object}
+         */
+        withRetryListener(listener) {
+            return createShopifyClient({ shopName, accessToken, apiVersion, onRetry: listener });
+        },
+
+        /**
+         * @param {string} resource - e.g. 'orders.json?status=any', or a full '/admin/api/...' path.
+         * @returns {Promise<object>} - The parsed JSON body.
+         */
+        async get(resource) {
+            return (await request('GET', resource)).data;
+        },
+
+        /**
+         * @param {string} resource
+         * @param {object} payload
+         * @returns {Promise<object>}
+         */
+        async post(resource, payload) {
+            return (await request('POST', resource, payload)).data;
+        },
+
+        /**
+         * @param {string} resource
+         * @param {object} payload
+         * @returns {Promise<object>}
+         */
+        async put(resource, payload) {
+            return (await request('PUT', resource, payload)).data;
+        },
+
+        /**
+         * @param {string} resource
+         * @returns {Promise<object>}
+         */
+        async delete(resource) {
+            return (await request('DELETE', resource)).data;
+        },
+
+        /**
+         * Walks a paginated list by following the Link header.
+         *
+         *   for await (const page of client.paginate('orders.json?status=any&limit=250')) {
+         *       page.orders.forEach(...);
+         *   }
+         *
+         * @param {string} resource - The first page.
+         * @returns {AsyncGenerator<object>} - Each page's parsed JSON body.
+         */
+        async *paginate(resource) {
+            let path = resolvePath(resource);
+            while (path) {
+                const { data, headers } = await request('GET', path);
+                yield data;
+                path = nextPagePath(headers.link);
+            }
+        },
+
+        /**
+         * Collects one field from every page, e.g. every product.
+         * @param {string} resource - The first page.
+         * @param {string} key - e.g. 'products'.
+         * @returns {Promise<object[]>}
+         */
+        async getAll(resource, key) {
+            const items = [];
+            for await (const page of client.paginate(resource)) {
+                items.push(...(page[key] || []));
+            }
+            return items;
+        },
+
+        /**
+         * Runs a GraphQL Admin API query or mutation.
+         * @param {string} query
+         * @param {object} [variables]
+         * @returns {Promise<object>} - The response's `data`.
+         */
+        async graphql(query, variables = {}) {
+            const details = { store, method: 'POST', path: resolvePath(GRAPHQL_RESOURCE) };
+            const { data } = await request('POST', GRAPHQL_RESOURCE, { query, variables }, {
+                // A throttled query never ran, and a query without side effects can always run again.
+                idempotent: !/^\s*mutation\b/.test(query),
+                rest: false,
+                check: response => graphqlError(response, details)
+            });
+            return data.data;
+        },
+
+        /**
+         * Starts a bulk query. The query is a normal GraphQL query without
+         * pagination arguments; Shopify walks every page itself.
+         * @param {string} query
+         * @returns {Promise<object>} - The bulk operation: { id, status }.
+         */
+        async startBulkQuery(query) {
+            const data = await client.graphql(`mutation RunBulkQuery($query: String!) {
+                bulkOperationRunQuery(query: $query) {
+                    bulkOperation { id status }
+                    userErrors { field message }
+                }
+            }`, { query });
+            throwUserErrors(data.bulkOperationRunQuery, store);
+            return data.bulkOperationRunQuery.bulkOperation;
+        },
+
+        /**
+         * @param {string} id - A BulkOperation gid.
+         * @returns {Promise<object>} - { id, status, errorCode, objectCount, url, partialDataUrl, createdAt, completedAt }
+         */
+        async getBulkOperation(id) {
+            const data = await client.graphql(`query BulkOperation($id: ID!) {
+                node(id: $id) { ... on BulkOperation { ${BULK_OPERATION_FIELDS} } }
+            }`, { id });
+            if (!data.node) {
+                throw createShopifyError(SHOPIFY_ERROR_CODES.NOT_FOUND, `Bulk operation ${id} was not found on ${store}.`, { store });
+            }
+            return data.node;
+        },
+
+        /**
+         * Polls a bulk operation until Shopify finishes it.
+         * @param {string} id
+         * @param {object} [options]
+         * @param {function} [options.onPoll] - (bulkOperation) after every poll, e.g. to report objectCount.
+         * @param {number} [options.pollIntervalMs]
+         * @param {number} [options.timeoutMs]
+         * @returns {Promise<object>} - The COMPLETED bulk operation. Rejects if it failed, was cancelled or expired.
+         */
+        async waitForBulkOperation(id, { onPoll = null, pollIntervalMs = BULK_POLL_INTERVAL_MS, timeoutMs = BULK_TIMEOUT_MS } = {}) {
+            const giveUpAt = Date.now() + timeoutMs;
+            for (;;) {
+                const bulkOperation = await client.getBulkOperation(id);
+                if (onPoll) {
+                    onPoll(bulkOperation);
+                }
+                if (bulkOperation.status === 'COMPLETED') {
+                    return bulkOperation;
+                }
+                if (BULK_FINISHED_STATUSES.includes(bulkOperation.status)) {
+                    throw createShopifyError(
+                        SHOPIFY_ERROR_CODES.GRAPHQL,
+                        `Bulk operation ${id} on ${store} ended with status ${bulkOperation.status}${bulkOperation.errorCode ? ` (${bulkOperation.errorCode})` : ''}.`,
+                        { store, bulkOperation }
+                    );
+                }
+                if (Date.now() >= giveUpAt) {
+                    throw createShopifyError(SHOPIFY_ERROR_CODES.GRAPHQL, `Bulk operation ${id} on ${store} did not finish in time.`, { store, bulkOperation });
+                }
+                await sleep(pollIntervalMs);
+            }
+        },
+
+        /**
+         * Reads a finished bulk operation's result line by line, without
+         * holding the whole file in memory.
+         *
+         *   for await (const object of client.readBulkResults(bulkOperation.url)) { ... }
+         *
+         * @param {string|null} url - bulkOperation.url; null when the query matched nothing.
+         * @returns {AsyncGenerator<object>}
+         */
+        async *readBulkResults(url) {
+            if (!url) {
+                return;
+            }
+            // The URL is signed, so it is fetched without the access token.
+            let res = null;
+            const req = https.get(url);
+            // Covers both waiting for the response and a body that stops
+            // arriving, which would otherwise leave the export waiting forever.
+            req.setTimeout(BULK_DOWNLOAD_IDLE_TIMEOUT_MS, () => {
+                const error = createShopifyError(SHOPIFY_ERROR_CODES.NETWORK, `Downloading bulk results from ${store} stalled: nothing was received for ${BULK_DOWNLOAD_IDLE_TIMEOUT_MS / 1000} seconds.`, { store });
+                req.destroy(error);
+                if (res) {
+                    res.destroy(error);
+                }
+            });
+            res = await new Promise((resolve, reject) => {
+                req.on('response', resolve);
+                req.on('error', error => reject(error.code === SHOPIFY_ERROR_CODES.NETWORK
+                    ? error
+                    : createShopifyError(SHOPIFY_ERROR_CODES.NETWORK, `Could not download bulk results from ${store}: ${error.message}`, { store, cause: error })));
+            });
+            if (res.statusCode !== 200) {
+                res.resume();
+                throw createShopifyError(SHOPIFY_ERROR_CODES.SERVER, `Downloading bulk results from ${store} failed with status ${res.statusCode}.`, { store, shopifyStatus: res.statusCode });
+            }
+            const lines = readline.createInterface({ input: res, crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (line.trim()) {
+                    yield JSON.parse(line);
+                }
+            }
+        }
+    };
+    return client;
+}
+
+/**
+ * Whether the main store's shop name and access token are set. Without them
+ * every request to the main store fails.
+ * @returns {boolean}
+ */
+function isShopifyConfigured() {
+    return !!SHOP && !!ACCESS_TOKEN;
+}
+
+let mainStoreClient = null;
+
+/**
+ * The client for the main store.
+ * @returns {object}
+ */
+function getMainStoreClient() {
+    if (!mainStoreClient) {
+        mainStoreClient = createShopifyClient({ shopName: SHOP, accessToken: ACCESS_TOKEN });
+    }
+    return mainStoreClient;
+}
+
+/**
+ * A client for a connected vendor's store, using the vendor's own API version
+ * if one is set.
+ * @param {object} vendor - From the vendors collection.
+ * @returns {object}
+ */
+function createVendorStoreClient(vendor) {
+    return createShopifyClient({
+        shopName: vendor.shopifyShopName,
+        accessToken: vendor.shopifyAccessToken,
+        apiVersion: vendor.shopifyApiVersion || API_VERSION
+    });
+}
+
+/**
+ * @param {object} [client] - Defaults to the main store.
+ * @returns {Promise<{products: object[]}>}
+ */
+async function fetchAllProducts(client = getMainStoreClient()) {
+    return { products: await client.getAll(`products.json?limit=${PAGE_LIMIT}`, 'products') };
+}
+
+/**
+ * @param {object} [client] - Defaults to the main store.
+ * @returns {Promise<{orders: object[]}>}
+ */
+async function fetchAllOrders(client = getMainStoreClient()) {
+    return { orders: await client.getAll(`orders.json?status=any&limit=${PAGE_LIMIT}`, 'orders') };
+}
+
+/**
+ * Fetches specific orders from the main store by ID, 250 at a time.
+ * @param {string[]} orderIds - Shopify order IDs.
+ * @returns {Promise<object[]>}
+ */
+async function fetchOrdersByIds(orderIds) {
+    const ids = orderIds.filter(id => /^\d+$/.test(String(id)));
+    const orders = [];
+    for (let i = 0; i < ids.length; i += PAGE_LIMIT) {
+        const batch = ids.slice(i, i + PAGE_LIMIT).join(',');
+        const data = await getMainStoreClient().get(`orders.json?status=any&limit=${PAGE_LIMIT}&ids=${batch}`);
+        orders.push(...(data.orders || []));
+    }
+    return orders;
+}
+
+/**
+ * @param {object} [client] - Defaults to the main store.
+ * @returns {Promise<number>} - The store's first location.
+ */
+async function getShopifyLocationId(client = getMainStoreClient()) {
+    const response = await client.get('locations.json');
+    if (response.locations && response.locations.length > 0) {
+        return response.locations[0].id;
+    }
+    throw new Error('No locations found for the store.');
+}
+
+module.exports = {
+    SHOPIFY_ERROR_CODES,
+    PAGE_LIMIT,
+    getApiVersionSupportEnd,
+    createShopifyClient,
+    getMainStoreClient,
+    createVendorStoreClient,
+    fetchAllProducts,
+    fetchOrdersByIds,
+    fetchAllOrders,
+    getShopifyLocationId,
+    isShopifyConfigured,
+};
@@ -0,0 +1,179 @@
+const { connectToDatabase, saveStoreMirrorItems, deleteStaleStoreMirrorItems, getStoreMirrorItems, getStoreMirrorState, setStoreMirrorState } = require('./db');
+const { PAGE_LIMIT, getMainStoreClient, isShopifyConfigured, fetchAllProducts, fetchAllOrders } = require('./shopify');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+// --- Store Mirror ---
+// Pages that need every product or order of the main store read them from
+// MongoDB instead of walking the Shopify API on each request. A refresh only
+// asks Shopify for what changed since the last one, with updated_at_min, so
+// it takes a few calls. Refreshes run every STORE_MIRROR_REFRESH_MINUTES and
+// when someone presses "Refresh now" (see routes/store-mirror.js).
+//
+// Deletions don't show up as changes, so every STORE_MIRROR_FULL_REFRESH_HOURS
+// a refresh fetches everything and removes what it didn't see.
+//
+// Without MongoDB (fallback mode) reads go straight to Shopify, as before.
+const MIRROR_TYPES = {
+    products: { resource: 'products.json', query: '' },
+    orders: { resource: 'orders.json', query: 'status=any&' }
+};
+// The next refresh asks for changes from a little before the last one
+// started, so writes that landed while it was paging, or a clock that is
+// slightly off, aren't missed. Fetching a few twice is harmless.
+const REFRESH_OVERLAP_MS = 5 * 60 * 1000;
+const REFRESH_INTERVAL_MS = config.storeMirror.refreshMinutes * 60 * 1000;
+const FULL_REFRESH_INTERVAL_MS = config.storeMirror.fullRefreshHours * 60 * 60 * 1000;
+
+// type -> the running refresh, so a page and the timer share one.
+const runningRefreshes = new Map();
+
+async function runRefresh(type, forceFull) {
+    if (!(await connectToDatabase())) {
+        // Fallback mode: nothing to save to, and reads go to Shopify anyway.
+        return;
+    }
+    const { resource, query } = MIRROR_TYPES[type];
+    const state = (await getStoreMirrorState(type)) || {};
+    const startedAt = new Date();
+    const full = forceFull || !state.updatedSince || !state.lastFullRefreshAt
+        || startedAt - state.lastFullRefreshAt >= FULL_REFRESH_INTERVAL_MS;
+
+    let firstPage = `${resource}?${query}limit=${PAGE_LIMIT}`;
+    if (!full) {
+        firstPage += `&updated_at_min=${encodeURIComponent(state.updatedSince.toISOString())}`;
+    }
+    try {
+        let fetched = 0;
+        for await (const page of getMainStoreClient().paginate(firstPage)) {
+            const items = page[type] || [];
+            await saveStoreMirrorItems(type, items, startedAt);
+            fetched += items.length;
+        }
+        const removed = full ? await deleteStaleStoreMirrorItems(type, startedAt) : 0;
+        const finishedAt = new Date();
+        await setStoreMirrorState(type, {
+            lastRefreshedAt: finishedAt,
+            lastFullRefreshAt: full ? startedAt : state.lastFullRefreshAt,
+            updatedSince: new Date(startedAt.getTime() - REFRESH_OVERLAP_MS),
+            lastError: null,
+            lastErrorAt: null
+        });
+        logger.info('Refreshed store mirror', { type, full, fetched, removed, durationMs: finishedAt - startedAt });
+    } catch (error) {
+        logger.error('Store mirror refresh failed', { type, full, error });
+        await setStoreMirrorState(type, { lastError: error.message, lastErrorAt: new Date() });
+        throw error;
+    }
+}
+
+/**
+ * Fetches what changed in Shopify since the last refresh, or everything when
+ * a full refresh is due. Joins the refresh already running, if any.
+ * @param {string} type - 'products' or 'orders'.
+ * @param {object} [options]
+ * @param {boolean} [options.full] - Fetch everything even if a full refresh isn't due.
+ * @returns {Promise<void>}
+ */
+function refreshStoreMirror(type, { full = false } = {}) {
+    if (!MIRROR_TYPES[type]) {
+        return Promise.reject(new Error(`Unknown store mirror type "${type}".`));
+    }
+    if (!runningRefreshes.has(type)) {
+        const refresh = runRefresh(type, full).finally(() => runningRefreshes.delete(type));
+        runningRefreshes.set(type, refresh);
+    }
+    return runningRefreshes.get(type);
+}
+
+/**
+ * Refreshes products and orders together, e.g. for "Refresh now".
+ * @returns {Promise<void>} - Rejects with the first error once both are done.
+ */
+async function refreshAllStoreMirrors() {
+    const results = await Promise.allSettled(Object.keys(MIRROR_TYPES).map(type => refreshStoreMirror(type)));
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+        throw failed.reason;
+    }
+}
+
+/**
+ * Reads a mirrored type, filling the mirror first if it has never been refreshed.
+ * @returns {Promise<object[]|null>} - null in fallback mode, where nothing is mirrored.
+ */
+async function readStoreMirror(type, limit) {
+    if (!(await connectToDatabase())) {
+        return null;
+    }
+    const state = await getStoreMirrorState(type);
+    if (!state || !state.lastRefreshedAt) {
+        await refreshStoreMirror(type);
+    }
+    return getStoreMirrorItems(type, limit);
+}
+
+/**
+ * Every product of the main store, as of the last refresh.
+ * @returns {Promise<{products: object[]}>} - The same shape as fetchAllProducts().
+ */
+async function getMirroredProducts() {
+    const products = await readStoreMirror('products');
+    return products === null ? fetchAllProducts() : { products };
+}
+
+/**
+ * Orders of the main store, newest first, as of the last refresh.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Only the newest this many.
+ * @returns {Promise<{orders: object[]}>} - The same shape as fetchAllOrders().
+ */
+async function getMirroredOrders({ limit = 0 } = {}) {
+    const orders = await readStoreMirror('orders', limit);
+    if (orders === null) {
+        return limit ? getMainStoreClient().get(`orders.json?status=any&limit=${limit}`) : fetchAllOrders();
+    }
+    return { orders };
+}
+
+/**
+ * When each type was last refreshed, for showing on pages.
+ * @returns {Promise<object>} - { available, products, orders }: products and
+ *   orders are states from getStoreMirrorState() or null, and available is
+ *   false in fallback mode.
+ */
+async function getStoreMirrorStatus() {
+    const [database, products, orders] = await Promise.all([
+        connectToDatabase(),
+        getStoreMirrorState('products'),
+        getStoreMirrorState('orders')
+    ]);
+    return { available: !!database, products, orders };
+}
+
+/**
+ * Refreshes both types now and then every STORE_MIRROR_REFRESH_MINUTES.
+ * Does nothing without the main store's credentials.
+ */
+function startStoreMirror() {
+    if (!isShopifyConfigured()) {
+        logger.warn('Shopify is not configured; the store mirror will not be refreshed.');
+        return;
+    }
+    const refresh = () => refreshAllStoreMirrors().catch(() => {
+        // Logged and recorded on the mirror's state by runRefresh().
+    });
+    refresh();
+    if (REFRESH_INTERVAL_MS > 0) {
+        setInterval(refresh, REFRESH_INTERVAL_MS).unref();
+    }
+}
+
+module.exports = {
+    refreshStoreMirror,
+    refreshAllStoreMirrors,
+    getMirroredProducts,
+    getMirroredOrders,
+    getStoreMirrorStatus,
+    startStoreMirror,
+};
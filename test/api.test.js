@@ -0,0 +1,74 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sendPage, apiHandler } = require('../api');
+
+function createResponse() {
+    return {
+        statusCode: null,
+        body: '',
+        writeHead(statusCode) {
+            this.statusCode = statusCode;
+        },
+        end(body = '') {
+            this.body += body;
+        }
+    };
+}
+
+const ORDERS = [
+    { id: 1, createdAt: '2024-04-01' },
+    { id: 2, createdAt: '2024-04-03' },
+    { id: 3, createdAt: '2024-04-02' },
+    { id: 4, createdAt: '2024-04-03' },
+    { id: 5, createdAt: '2024-04-05' }
+];
+
+async function fetchPage(query, items = ORDERS) {
+    const req = { method: 'GET', pathname: '/api/v1/orders', query };
+    const res = createResponse();
+    await apiHandler(async () => {
+        sendPage(req, res, items, order => [order.createdAt, order.id], order => order.id);
+    })(req, res);
+    return { statusCode: res.statusCode, ...JSON.parse(res.body) };
+}
+
+test('pages are newest first, with ties broken by ID', async () => {
+    const page = await fetchPage({});
+    assert.deepEqual(page.data, [5, 4, 2, 3, 1]);
+    assert.deepEqual(page.page, { limit: 50, nextCursor: null });
+});
+
+test('following nextCursor visits every record once', async () => {
+    const seen = [];
+    let cursor;
+    do {
+        const page = await fetchPage(cursor ? { limit: '2', cursor } : { limit: '2' });
+        assert.ok(page.data.length <= 2);
+        seen.push(...page.data);
+        cursor = page.page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, [5, 4, 2, 3, 1]);
+});
+
+test('a record added between pages does not shift the next page', async () => {
+    const first = await fetchPage({ limit: '2' });
+    const grown = [...ORDERS, { id: 6, createdAt: '2024-04-06' }];
+    const second = await fetchPage({ limit: '2', cursor: first.page.nextCursor }, grown);
+    assert.deepEqual(second.data, [2, 3]);
+});
+
+test('the last full page has no nextCursor', async () => {
+    const page = await fetchPage({ limit: '5' });
+    assert.equal(page.data.length, 5);
+    assert.equal(page.page.nextCursor, null);
+});
+
+test('an invalid cursor is a 400', async () => {
+    for (const cursor of ['not-a-cursor', Buffer.from('[1]').toString('base64url')]) {
+        const page = await fetchPage({ cursor });
+        assert.equal(page.statusCode, 400);
+        assert.deepEqual(page.error.fields, { cursor: 'cursor is not valid.' });
+    }
+});
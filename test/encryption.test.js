@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+const OLD_KEY = crypto.randomBytes(32).toString('hex');
+const CURRENT_KEY = crypto.randomBytes(32).toString('base64');
+const RETIRED_KEY = crypto.randomBytes(32).toString('hex');
+
+// Encrypt with the old key first, as the app did before the rotation.
+process.env.VENDOR_TOKEN_ENCRYPTION_KEY = OLD_KEY;
+const beforeRotation = require('../encryption');
+const storedBeforeRotation = beforeRotation.encryptSecret('shpat_old');
+
+process.env.VENDOR_TOKEN_ENCRYPTION_KEY = RETIRED_KEY;
+delete require.cache[require.resolve('../config')];
+delete require.cache[require.resolve('../encryption')];
+const storedWithRetiredKey = require('../encryption').encryptSecret('shpat_retired');
+
+// Then rotate: a new current key, with the old one kept as a previous key.
+process.env.VENDOR_TOKEN_ENCRYPTION_KEY = CURRENT_KEY;
+process.env.VENDOR_TOKEN_ENCRYPTION_PREVIOUS_KEYS = `${OLD_KEY}`;
+delete require.cache[require.resolve('../config')];
+delete require.cache[require.resolve('../encryption')];
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encryptSecret, decryptSecret, isEncryptedWithCurrentKey } = require('../encryption');
+
+test('a secret round-trips with a fresh IV each time', () => {
+    const first = encryptSecret('shpat_123');
+    const second = encryptSecret('shpat_123');
+    assert.match(first, /^enc:v1:[0-9a-f]{8}:/);
+    assert.notEqual(first, second);
+    assert.equal(decryptSecret(first), 'shpat_123');
+    assert.equal(decryptSecret(second), 'shpat_123');
+});
+
+test('values stored before encryption are returned unchanged', () => {
+    assert.equal(decryptSecret('shpat_plain'), 'shpat_plain');
+    assert.equal(isEncryptedWithCurrentKey('shpat_plain'), false);
+});
+
+test('values encrypted with a previous key still decrypt after a rotation', () => {
+    assert.equal(decryptSecret(storedBeforeRotation), 'shpat_old');
+    assert.equal(isEncryptedWithCurrentKey(storedBeforeRotation), false);
+    assert.equal(isEncryptedWithCurrentKey(encryptSecret(decryptSecret(storedBeforeRotation))), true);
+});
+
+test('a key that is no longer configured is named in the error', () => {
+    assert.throws(() => decryptSecret(storedWithRetiredKey), /VENDOR_TOKEN_ENCRYPTION_PREVIOUS_KEYS/);
+});
+
+test('a tampered value is refused', () => {
+    const parts = encryptSecret('shpat_123').split(':');
+    parts[5] = Buffer.from('shpat_456').toString('base64');
+    assert.throws(() => decryptSecret(parts.join(':')));
+});
@@ -0,0 +1,93 @@
+process.env.LOG_LEVEL = 'error';
+process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT = '10';
+process.env.LOGIN_LOCKOUT_MINUTES = '15';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+
+// An in-memory login_attempts collection.
+const attempts = new Map();
+db.getLoginAttempts = async keys => keys.filter(key => attempts.has(key)).map(key => ({ _id: key, ...attempts.get(key) }));
+db.incrementLoginFailures = async (key, now) => {
+    const attempt = attempts.get(key) || { failures: 0 };
+    attempt.failures += 1;
+    attempt.lastFailureAt = now;
+    attempts.set(key, attempt);
+    return { _id: key, ...attempt };
+};
+db.lockLoginAttempts = async (key, lockedUntil) => {
+    attempts.get(key).lockedUntil = lockedUntil;
+};
+db.clearLoginAttempts = async key => {
+    attempts.delete(key);
+};
+
+const { checkLoginAllowed, recordLoginFailure, clearLoginFailures, formatRetryAfter } = require('../login-throttle');
+
+const START = Date.UTC(2024, 0, 1);
+
+function startClock(t) {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+}
+
+async function failTimes(username, ip, count) {
+    for (let i = 0; i < count; i++) {
+        await recordLoginFailure(username, ip);
+    }
+}
+
+test.beforeEach(() => attempts.clear());
+
+test('the first three account failures are not delayed', async t => {
+    startClock(t);
+    await failTimes('alice', '203.0.113.1', 2);
+    assert.deepEqual(await checkLoginAllowed('alice', '203.0.113.1'), { allowed: true, retryAfterSeconds: 0 });
+});
+
+test('the delay doubles with each failure after the third', async t => {
+    startClock(t);
+    await failTimes('alice', '203.0.113.1', 3);
+    assert.equal((await checkLoginAllowed('alice', '203.0.113.1')).retryAfterSeconds, 1);
+    await failTimes('alice', '203.0.113.1', 3);
+    assert.equal((await checkLoginAllowed('alice', '203.0.113.1')).retryAfterSeconds, 8);
+
+    t.mock.timers.setTime(START + 8000);
+    assert.deepEqual(await checkLoginAllowed('alice', '203.0.113.1'), { allowed: true, retryAfterSeconds: 0 });
+});
+
+test('the account locks out once it reaches its limit', async t => {
+    startClock(t);
+    await failTimes('alice', '203.0.113.1', 10);
+    assert.deepEqual(await checkLoginAllowed('alice', '203.0.113.1'), { allowed: false, retryAfterSeconds: 15 * 60 });
+
+    t.mock.timers.setTime(START + 15 * 60 * 1000);
+    assert.equal((await checkLoginAllowed('alice', '203.0.113.1')).allowed, true);
+});
+
+test('the IP counter allows more failures than an account', async t => {
+    startClock(t);
+    await failTimes('', '203.0.113.1', 10);
+    assert.equal((await checkLoginAllowed('bob', '203.0.113.1')).retryAfterSeconds, 1);
+    assert.equal((await checkLoginAllowed('bob', '198.51.100.7')).allowed, true);
+});
+
+test('a login without a client address is throttled by account only', async t => {
+    startClock(t);
+    await failTimes('alice', undefined, 3);
+    assert.deepEqual([...attempts.keys()], ['account:alice']);
+});
+
+test('clearing an account leaves its IP counter alone', async t => {
+    startClock(t);
+    await failTimes('alice', '203.0.113.1', 3);
+    await clearLoginFailures('alice');
+    assert.deepEqual([...attempts.keys()], ['ip:203.0.113.1']);
+});
+
+test('formatRetryAfter rounds up to minutes past a minute', () => {
+    assert.equal(formatRetryAfter(1), '1 second');
+    assert.equal(formatRetryAfter(30), '30 seconds');
+    assert.equal(formatRetryAfter(61), '2 minutes');
+    assert.equal(formatRetryAfter(60), '1 minute');
+});
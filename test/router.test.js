@@ -0,0 +1,116 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRouter } = require('../router');
+
+// Just enough of http.ServerResponse for the router and the handlers below.
+function createResponse() {
+    return {
+        statusCode: null,
+        headers: {},
+        body: '',
+        headersSent: false,
+        writeHead(statusCode, headers = {}) {
+            this.statusCode = statusCode;
+            this.headers = headers;
+            this.headersSent = true;
+        },
+        end(body = '') {
+            this.body += body;
+        }
+    };
+}
+
+async function dispatch(router, method, url) {
+    const req = { method, url };
+    const res = createResponse();
+    await router.handle(req, res);
+    return { req, res };
+}
+
+function reply(req, res) {
+    res.writeHead(200);
+    res.end(JSON.stringify(req.params));
+}
+
+test('named segments become decoded params', async () => {
+    const router = createRouter();
+    router.get('/vendors/:id/products', reply);
+    const { res } = await dispatch(router, 'GET', '/vendors/a%20b/products?x=1');
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(JSON.parse(res.body), { id: 'a b' });
+});
+
+test('a final * segment matches the rest of the path', async () => {
+    const router = createRouter();
+    router.get('/assets/*', reply);
+    const { res } = await dispatch(router, 'GET', '/assets/css/site.css');
+    assert.deepEqual(JSON.parse(res.body), { wildcard: 'css/site.css' });
+});
+
+test('paths match exactly, ignoring a trailing slash', async () => {
+    const router = createRouter();
+    router.get('/vendors', reply);
+    assert.equal((await dispatch(router, 'GET', '/vendors/')).res.statusCode, 200);
+    assert.equal((await dispatch(router, 'GET', '/vendors/1')).res.statusCode, 404);
+    assert.equal((await dispatch(router, 'GET', '/vendorsx')).res.statusCode, 404);
+});
+
+test('a malformed escape sequence is a 404', async () => {
+    const router = createRouter();
+    router.get('/vendors/:id', reply);
+    assert.equal((await dispatch(router, 'GET', '/vendors/%E0%A4%A')).res.statusCode, 404);
+});
+
+test('the query string is parsed, keeping the last repeated value', async () => {
+    const router = createRouter();
+    router.get('/search', reply);
+    const { req } = await dispatch(router, 'GET', '/search?q=a&q=b&limit=5');
+    assert.deepEqual(req.query, { q: 'b', limit: '5' });
+});
+
+test('other methods get a 405 listing the allowed ones', async () => {
+    const router = createRouter();
+    router.get('/vendors', reply);
+    router.post('/vendors', reply);
+    const { res } = await dispatch(router, 'DELETE', '/vendors');
+    assert.equal(res.statusCode, 405);
+    assert.equal(res.headers['Allow'], 'GET, POST, HEAD');
+});
+
+test('HEAD is answered by the GET route', async () => {
+    const router = createRouter();
+    router.get('/health', reply);
+    assert.equal((await dispatch(router, 'HEAD', '/health')).res.statusCode, 200);
+});
+
+test('middleware runs after matching, before the handlers, and can read the route options', async () => {
+    const router = createRouter();
+    const seen = [];
+    router.use((req, res, next) => {
+        seen.push(req.route.options.permission);
+        return next();
+    });
+    router.get('/reports', { permission: 'reports:view' }, (req, res, next) => {
+        seen.push('first');
+        return next();
+    }, reply);
+    await dispatch(router, 'GET', '/missing');
+    await dispatch(router, 'GET', '/reports');
+    assert.deepEqual(seen, ['reports:view', 'first']);
+});
+
+test('a throwing handler is answered with 500', async () => {
+    const router = createRouter();
+    router.get('/boom', () => {
+        throw new Error('boom');
+    });
+    const { res } = await dispatch(router, 'GET', '/boom');
+    assert.equal(res.statusCode, 500);
+});
+
+test('a route without a handler is refused', () => {
+    const router = createRouter();
+    assert.throws(() => router.get('/vendors', {}), /needs at least one handler/);
+});
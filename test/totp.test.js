@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyTotp, hashRecoveryCode, generateRecoveryCodes, generateTotpSecret, isTotpCode } = require('../totp');
+
+// The RFC 6238 SHA-1 secret "12345678901234567890", base32-encoded.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+function atTime(t, seconds) {
+    t.mock.method(Date, 'now', () => seconds * 1000);
+}
+
+test('verifyTotp accepts the RFC 6238 test vectors', t => {
+    atTime(t, 59);
+    assert.equal(verifyTotp(RFC_SECRET, '287082'), 1);
+    atTime(t, 1111111109);
+    assert.equal(verifyTotp(RFC_SECRET, '081804'), 37037036);
+    atTime(t, 1234567890);
+    assert.equal(verifyTotp(RFC_SECRET, '005 924'), 41152263);
+});
+
+test('verifyTotp allows one step of clock drift either way', t => {
+    // 081804 belongs to the step starting at 1111111080.
+    atTime(t, 1111111080 - 30);
+    assert.equal(verifyTotp(RFC_SECRET, '081804'), 37037036);
+    atTime(t, 1111111080 + 59);
+    assert.equal(verifyTotp(RFC_SECRET, '081804'), 37037036);
+});
+
+test('verifyTotp rejects a code two steps away', t => {
+    atTime(t, 1111111080 - 31);
+    assert.equal(verifyTotp(RFC_SECRET, '081804'), null);
+    atTime(t, 1111111080 + 60);
+    assert.equal(verifyTotp(RFC_SECRET, '081804'), null);
+    atTime(t, 1111111109);
+    assert.equal(verifyTotp(generateTotpSecret(), '081804'), null);
+});
+
+test('verifyTotp rejects anything that is not six digits', t => {
+    atTime(t, 59);
+    assert.equal(verifyTotp(RFC_SECRET, '28708'), null);
+    assert.equal(verifyTotp(RFC_SECRET, '2870820'), null);
+    assert.equal(verifyTotp(RFC_SECRET, 'abcdef'), null);
+    assert.equal(verifyTotp(RFC_SECRET, undefined), null);
+});
+
+test('isTotpCode tells TOTP codes from recovery codes', () => {
+    assert.equal(isTotpCode('123456'), true);
+    assert.equal(isTotpCode(' 123 456 '), true);
+    assert.equal(isTotpCode('12345'), false);
+    assert.equal(isTotpCode('abcde-12345'), false);
+    assert.equal(isTotpCode(null), false);
+});
+
+test('hashRecoveryCode ignores case, spaces and dashes', () => {
+    const hash = hashRecoveryCode('abcde-12345');
+    assert.equal(hashRecoveryCode('ABCDE12345'), hash);
+    assert.equal(hashRecoveryCode(' abcde 12345 '), hash);
+    assert.notEqual(hashRecoveryCode('abcde-12346'), hash);
+});
+
+test('generateRecoveryCodes returns distinct codes with matching hashes', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, codes.length);
+    codes.forEach((code, index) => {
+        assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+        assert.equal(hashes[index], hashRecoveryCode(code));
+    });
+});
@@ -0,0 +1,41 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+
+// Stand-ins for the MongoDB updates that claim a step or a recovery code.
+const claimedSteps = new Set();
+const recoveryCodeHashes = new Set();
+db.claimUserTotpStep = async (userId, step) => {
+    const key = `${userId}:${step}`;
+    if (claimedSteps.has(key)) {
+        return false;
+    }
+    claimedSteps.add(key);
+    return true;
+};
+db.consumeUserRecoveryCode = async (userId, hash) => recoveryCodeHashes.delete(`${userId}:${hash}`);
+
+const { verifySecondFactor } = require('../two-factor');
+const { hashRecoveryCode } = require('../totp');
+
+const user = { _id: 'user-1', totpEnabled: true, totpSecret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' };
+
+test('a TOTP code works once', async t => {
+    t.mock.method(Date, 'now', () => 59 * 1000);
+    assert.equal(await verifySecondFactor(user, '287082'), true);
+    assert.equal(await verifySecondFactor(user, '287082'), false);
+});
+
+test('a wrong TOTP code is refused without claiming a step', async t => {
+    t.mock.method(Date, 'now', () => 1234567890 * 1000);
+    assert.equal(await verifySecondFactor(user, '000000'), false);
+    assert.equal(await verifySecondFactor(user, '005924'), true);
+});
+
+test('a recovery code is consumed on first use', async () => {
+    recoveryCodeHashes.add(`${user._id}:${hashRecoveryCode('abcde-12345')}`);
+    assert.equal(await verifySecondFactor(user, 'ABCDE 12345'), true);
+    assert.equal(await verifySecondFactor(user, 'abcde-12345'), false);
+});
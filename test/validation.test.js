@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBody } = require('../validation');
+
+test('a valid body gives null', () => {
+    const schema = {
+        order_id: { type: 'string', required: true },
+        commission_percentage: { type: 'number', min: 0, max: 100 }
+    };
+    assert.equal(validateBody({ order_id: '1001', commission_percentage: '12.5' }, schema), null);
+});
+
+test('missing required fields are reported with their label', () => {
+    const fields = validateBody({ order_id: '' }, { order_id: { type: 'string', required: true, label: 'Order' } });
+    assert.deepEqual(fields, { order_id: 'Order is required.' });
+    assert.deepEqual(validateBody(undefined, { name: { required: true } }), { name: 'name is required.' });
+});
+
+test('empty optional fields are skipped', () => {
+    assert.equal(validateBody({ note: '', tags: [] }, { note: { type: 'number' }, tags: { type: 'array', items: 'string' } }), null);
+});
+
+test('types are checked', () => {
+    const schema = {
+        amount: { type: 'number' },
+        active: { type: 'boolean' },
+        tags: { type: 'array' },
+        address: { type: 'object' }
+    };
+    assert.deepEqual(validateBody({ amount: '12abc', active: 'yes', tags: 'a', address: ['x'] }, schema), {
+        amount: 'amount must be a number.',
+        active: 'active must be true or false.',
+        tags: 'tags must be a list.',
+        address: 'address must be an object.'
+    });
+    assert.equal(validateBody({ amount: '12', active: 'false', tags: ['a'], address: {} }, schema), null);
+});
+
+test('enum, bounds and lengths are checked', () => {
+    const schema = {
+        role: { enum: ['', 'admin', 'viewer'] },
+        percentage: { type: 'number', min: 0, max: 100 },
+        name: { type: 'string', maxLength: 3 },
+        ids: { type: 'array', maxLength: 1 }
+    };
+    assert.deepEqual(validateBody({ role: 'owner', percentage: 101, name: 'abcd', ids: [1, 2] }, schema), {
+        role: 'role must be one of: admin, viewer.',
+        percentage: 'percentage must be at most 100.',
+        name: 'name must be at most 3 characters.',
+        ids: 'ids may have at most 1 items.'
+    });
+    assert.deepEqual(validateBody({ percentage: -1 }, schema), { percentage: 'percentage must be at least 0.' });
+});
+
+test('patterns use their message', () => {
+    const schema = {
+        version: { type: 'string', pattern: /^\d{4}-\d{2}$/, patternMessage: 'must be a Shopify API version such as 2024-04', label: 'API version' },
+        code: { type: 'string', pattern: /^[A-Z]+$/ }
+    };
+    assert.equal(validateBody({ version: '2024-04', code: 'ABC' }, schema), null);
+    assert.deepEqual(validateBody({ version: '2024-4', code: 'abc' }, schema), {
+        version: 'API version must be a Shopify API version such as 2024-04.',
+        code: 'code is not in the expected format.'
+    });
+});
+
+test('array items and object properties are checked', () => {
+    const schema = {
+        tags: { type: 'array', items: 'string' },
+        lines: { type: 'array', items: { type: 'number', min: 1 } },
+        address: { type: 'object', label: 'Address', properties: { city: { type: 'string', required: true, label: 'City' } } }
+    };
+    assert.deepEqual(validateBody({ tags: ['a', {}], lines: [2, 0], address: {} }, schema), {
+        tags: 'Every item in tags must be text.',
+        lines: 'lines[1] must be at least 1.',
+        address: 'Address: City is required.'
+    });
+});
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// --- TOTP Two-Factor Authentication ---
+// RFC 6238 time-based one-time passwords (30 second steps, 6 digits, SHA-1),
+// which is what Google Authenticator, 1Password, Authy etc. expect.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next code too, to allow for clock drift.
+const TOTP_DRIFT_STEPS = 1;
+const TOTP_ISSUER = 'Croscrow Admin';
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character in TOTP secret.');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Generates a new random TOTP secret.
+ * @returns {string} - The base32-encoded secret.
+ */
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Checks a code against a secret.
+ * @param {string} secret - The base32-encoded secret.
+ * @param {string} code - The code the user typed.
+ * @returns {number|null} - The time step the code belongs to, or null if it does not match.
+ *   Callers should refuse a step that was already used, so a code cannot be replayed.
+ */
+function verifyTotp(secret, code) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+        const step = currentStep + drift;
+        const expected = Buffer.from(generateCode(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the otpauth:// URL that authenticator apps read from the QR code.
+ * @param {string} secret - The base32-encoded secret.
+ * @param {string} username
+ * @returns {string}
+ */
+function buildOtpAuthUrl(secret, username) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Recovery codes are only ever stored hashed. Case, spaces and dashes are ignored.
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').replace(/[^a-z0-9]/gi, '').toLowerCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generates a fresh set of single-use recovery codes.
+ * @returns {{codes: string[], hashes: string[]}} - Show `codes` to the user once; store `hashes`.
+ */
+function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+    }
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Whether a submitted second-factor code looks like a TOTP code rather than a recovery code.
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isTotpCode(code) {
+    return new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(String(code || '').replace(/\s/g, ''));
+}
+
+module.exports = {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpAuthUrl,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+    isTotpCode,
+};
@@ -0,0 +1,32 @@
+const { claimUserTotpStep, consumeUserRecoveryCode } = require('./db');
+const { verifyTotp, hashRecoveryCode, isTotpCode } = require('./totp');
+const { decryptSecret } = require('./encryption');
+const { PERMISSIONS, can } = require('./permissions');
+
+// --- Two-Factor Authentication ---
+// Users who can settle invoices or change the invoice details on
+// /croscrow-settings may protect their login with a TOTP second factor.
+const TWO_FACTOR_PERMISSIONS = [PERMISSIONS.INVOICES_SETTLE, PERMISSIONS.SETTINGS_EDIT];
+
+function canUseTwoFactor(user) {
+    return !!user && (!!user.totpEnabled || TWO_FACTOR_PERMISSIONS.some(permission => can(user, permission)));
+}
+
+/**
+ * Checks a TOTP code or recovery code for a user. Each code works only once.
+ * @param {object} user - The user document.
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(user, code) {
+    if (isTotpCode(code)) {
+        const step = verifyTotp(decryptSecret(user.totpSecret), code);
+        return step !== null && await claimUserTotpStep(user._id, step);
+    }
+    return await consumeUserRecoveryCode(user._id, hashRecoveryCode(code));
+}
+
+module.exports = {
+    canUseTwoFactor,
+    verifySecondFactor,
+};
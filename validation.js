@@ -0,0 +1,132 @@
+// --- Request Validation ---
+// Routes describe the fields they expect in their `body.schema` option and
+// the body middleware answers 400 with one message per invalid field. The same
+// schemas check JSON responses and are published in the OpenAPI document
+// (see openapi.js):
+//
+//   body: {
+//       schema: {
+//           order_id: { type: 'string', required: true, label: 'Order' },
+//           commission_percentage: { type: 'number', min: 0, max: 100 }
+//       }
+//   }
+//
+// Rules:
+//   type        'string', 'number' (a number or numeric string), 'boolean', 'array' or 'object'
+//   required    the field must be present and not empty
+//   label       the name used in messages; defaults to the field name
+//   enum        the allowed values
+//   min, max    bounds for numbers
+//   maxLength   the longest allowed string or array
+//   pattern     a RegExp a string must match, with patternMessage, e.g.
+//               'must be a Shopify API version such as 2024-04'
+//   items       the type of each array item, or a rule for each item
+//   properties  a schema for the fields of an object
+//   description documentation only
+// Fields that are not in the schema are left alone. Empty optional fields are skipped.
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+function checkType(value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' || typeof value === 'number';
+        case 'number':
+            return (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value));
+        case 'boolean':
+            return typeof value === 'boolean' || value === 'true' || value === 'false';
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return !!value && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return true;
+    }
+}
+
+const TYPE_NAMES = {
+    string: 'text',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'a list',
+    object: 'an object'
+};
+
+/**
+ * Checks one field against its rule.
+ * @returns {string|null} - The message to show, or null if the value is fine.
+ */
+function validateField(value, rule, name) {
+    const label = rule.label || name;
+    if (isEmpty(value)) {
+        return rule.required ? `${label} is required.` : null;
+    }
+    if (rule.type && !checkType(value, rule.type)) {
+        return `${label} must be ${TYPE_NAMES[rule.type]}.`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `${label} must be one of: ${rule.enum.filter(option => option !== '').join(', ')}.`;
+    }
+    if (rule.type === 'number') {
+        const number = Number(value);
+        if (rule.min !== undefined && number < rule.min) {
+            return `${label} must be at least ${rule.min}.`;
+        }
+        if (rule.max !== undefined && number > rule.max) {
+            return `${label} must be at most ${rule.max}.`;
+        }
+    }
+    if (rule.maxLength !== undefined && (typeof value === 'string' || Array.isArray(value)) && value.length > rule.maxLength) {
+        return Array.isArray(value)
+            ? `${label} may have at most ${rule.maxLength} items.`
+            : `${label} must be at most ${rule.maxLength} characters.`;
+    }
+    if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value)) {
+        return `${label} ${rule.patternMessage || 'is not in the expected format'}.`;
+    }
+    if (rule.items && Array.isArray(value)) {
+        if (typeof rule.items === 'string') {
+            if (!value.every(item => checkType(item, rule.items))) {
+                return `Every item in ${label} must be ${TYPE_NAMES[rule.items]}.`;
+            }
+        } else {
+            for (let i = 0; i < value.length; i++) {
+                const message = validateField(value[i], rule.items, `${label}[${i}]`);
+                if (message) {
+                    return message;
+                }
+            }
+        }
+    }
+    if (rule.properties && rule.type === 'object') {
+        const fields = validateBody(value, rule.properties);
+        if (fields) {
+            return Object.values(fields).map(message => `${label}: ${message}`).join(' ');
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates a parsed request body against a schema.
+ * @param {object} body - The parsed body.
+ * @param {object} schema - Field names mapped to rules; see above.
+ * @returns {object|null} - Field names mapped to messages, or null if the body is valid.
+ */
+function validateBody(body, schema) {
+    const fields = {};
+    Object.entries(schema).forEach(([name, rule]) => {
+        const message = validateField(body ? body[name] : undefined, rule, name);
+        if (message) {
+            fields[name] = message;
+        }
+    });
+    return Object.keys(fields).length > 0 ? fields : null;
+}
+
+module.exports = {
+    validateBody,
+};
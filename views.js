@@ -0,0 +1,1039 @@
+const fs = require('fs');
+const path = require('path');
+const sanitizeHtml = require('sanitize-html');
+const { injectCsrfToken } = require('./csrf');
+const { PERMISSIONS, ROLES, DEFAULT_ROLE, getUserRole, can } = require('./permissions');
+const { calculateCommission, formatCurrency } = require('./commission');
+const { API_TOKEN_SCOPE_LABELS } = require('./api-tokens');
+const { describeHealthProblems } = require('./health');
+const { assetUrl } = require('./assets');
+
+/**
+ * Makes text from users, Shopify or the database safe to put in element
+ * content and in quoted attribute values. sanitize-html leaves quotes as they
+ * are, so they are escaped here.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return sanitizeHtml(String(value), { allowedTags: [], allowedAttributes: {} })
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function decodeHtmlEntities(text) {
+    if (typeof text !== 'string') {
+        return text;
+    }
+    return text.replace(/&lt;/g, '<')
+               .replace(/&gt;/g, '>')
+               .replace(/&quot;/g, '"')
+               .replace(/&apos;/g, "'")
+               .replace(/&#39;/g, "'")
+               .replace(/&amp;/g, '&');
+}
+
+function getCustomerNameFromOrder(order) {
+    if (!order) return 'N/A';
+    
+    let customerName = '';
+    if (order.customer) {
+        const name = `${order.customer.first_name || ''} ${order.customer.last_name || ''}`.trim();
+        if (name) {
+            customerName = name;
+        }
+    }
+
+    if (!customerName && order.shipping_address && order.shipping_address.name) {
+        customerName = order.shipping_address.name;
+    }
+    
+    if (!customerName && order.billing_address && order.billing_address.name) {
+        customerName = order.billing_address.name;
+    }
+
+    if (!customerName && order.customer && order.customer.email) {
+        customerName = order.customer.email;
+    }
+    
+    return customerName || 'N/A';
+}
+
+// --- View Renderer ---
+function renderView(res, templatePath, data, commissionPercentage) {
+    fs.readFile(templatePath, 'utf8', (err, template) => {
+        if (err) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Internal Server Error: Could not read template file.');
+            return;
+        }
+
+
+        // Dynamically build the sidebar to ensure it's consistent across all pages.
+        // Links the current user's role cannot use are hidden.
+        const currentUser = res.locals ? res.locals.user : null;
+        const sidebarLinks = [
+            { href: '/', text: 'Dashboard', permission: PERMISSIONS.REPORTS_VIEW },
+            { href: '/analytics', text: 'Analytics', permission: PERMISSIONS.REPORTS_VIEW },
+            { href: '/vendors', text: 'Vendors', permission: PERMISSIONS.VENDORS_VIEW },
+            { href: '/croscrow-vendors', text: 'Croscrow Vendors', permission: PERMISSIONS.CROSCROW_VENDORS_VIEW },
+            { href: '/invoices', text: 'Croscrow Invoices', permission: PERMISSIONS.INVOICES_VIEW },
+            { href: '/croscrow-settings', text: 'Croscrow Settings', permission: PERMISSIONS.SETTINGS_VIEW },
+            { href: '/sync-vendors', text: 'Sync Vendors', permission: PERMISSIONS.CROSCROW_VENDORS_EDIT },
+            { href: '/send-orders', text: 'Send Orders', permission: PERMISSIONS.ORDERS_SEND },
+            { href: '/facebook-events', text: 'Facebook Events', permission: PERMISSIONS.REPORTS_VIEW },
+            { href: '/users', text: 'Users', permission: PERMISSIONS.USERS_MANAGE },
+            { href: '/audit-log', text: 'Audit Log', permission: PERMISSIONS.AUDIT_VIEW },
+            { href: '/diagnostics', text: 'Diagnostics', permission: PERMISSIONS.DIAGNOSTICS_VIEW },
+            { href: '/account', text: 'My Account' },
+            { href: '/logout', text: 'Logout' }
+        ].filter(link => can(currentUser, link.permission));
+
+        const pageName = path.basename(templatePath, '.html');
+        const sidebarHtml = sidebarLinks.map(link => {
+            const linkPage = link.href === '/' ? 'index' : link.href.substring(1);
+            const isActive = linkPage === pageName;
+            const activeClass = isActive ? ' class="active"' : '';
+            return `<li><a href="${link.href}"${activeClass}>${link.text}</a></li>`;
+        }).join('\n            ');
+
+        template = template.replace('{{sidebar}}', sidebarHtml);
+
+
+        // Replace placeholders
+        let content = template.replace('{{commissionPercentage}}', commissionPercentage);
+        
+        if (data.orders && !templatePath.endsWith('invoices.html')) {
+            const ordersHtml = data.orders.map(order => {
+                const commission = (parseFloat(order.total_price) * (commissionPercentage / 100)).toFixed(2);
+                return `<tr>
+                    <td>#${order.order_number}</td>
+                    <td>${getCustomerNameFromOrder(order)}</td>
+                    <td>${new Date(order.created_at).toLocaleDateString()}</td>
+                    <td>$${order.total_price}</td>
+                    <td>$${commission}</td>
+                </tr>`;
+            }).join('');
+            content = content.replace('{{ordersTable}}', ordersHtml);
+        }
+
+        if (data.topSellingProducts) {
+            const productsHtml = data.topSellingProducts.map(product => {
+                return `<tr>
+                    <td><img src="${product.image}" alt="${product.title}" width="50"></td>
+                    <td>${product.title}</td>
+                    <td>${product.quantity}</td>
+                </tr>`;
+            }).join('');
+            content = content.replace('{{topSellingProducts}}', productsHtml);
+        }
+
+        if (data.mostViewedProducts) {
+            const productsHtml = data.mostViewedProducts.map(product => {
+                return `<tr>
+                    <td><img src="${product.image}" alt="${product.title}" width="50"></td>
+                    <td>${product.title}</td>
+                    <td>${product.views}</td>
+                </tr>`;
+            }).join('');
+            content = content.replace('{{mostViewedProducts}}', productsHtml);
+        }
+
+        if (data.topViewedProducts) {
+            const cardsHtml = data.topViewedProducts.map(p => `
+                <div class="product-card">
+                    <img src="${p.image || ''}" alt="${p.title}">
+                    <div class="product-card-content">
+                        <div class="product-title" title="${p.title}">${p.title}</div>
+                        <div class="event-count">${p.count} Views</div>
+                    </div>
+                </div>
+            `).join('');
+            content = content.replace('{{topViewedProductsRow}}', cardsHtml);
+        }
+
+        if (data.topAddToCartProducts) {
+            const cardsHtml = data.topAddToCartProducts.map(p => `
+                <div class="product-card">
+                    <img src="${p.image || ''}" alt="${p.title}">
+                    <div class="product-card-content">
+                        <div class="product-title" title="${p.title}">${p.title}</div>
+                        <div class="event-count">${p.count} Adds to Cart</div>
+                    </div>
+                </div>
+            `).join('');
+            content = content.replace('{{topAddToCartProductsRow}}', cardsHtml);
+        }
+        
+        if (data.health && data.health.status !== 'ok') {
+            const problemsHtml = describeHealthProblems(data.health).map(problem => `<li>${problem}</li>`).join('');
+            content = content.replace('{{healthBanner}}', `<div class="health-banner" role="alert"><strong>The app is running in a degraded state.</strong><ul>${problemsHtml}</ul></div>`);
+        }
+
+        if(data.error) {
+             // Messages can quote the request or Shopify, so they are text, never HTML.
+             content = content.replace('{{errorMessage}}', `<p style="color: red;">Error: ${escapeHtml(data.error)}</p>`);
+        }
+
+
+        if (template.includes('{{vendorsTable}}')) {
+            const vendors = data.vendors || [];
+            let vendorsHtml;
+            if (vendors.length === 0) {
+                vendorsHtml = '<tr><td colspan="3">No vendors found. Add one above to get started.</td></tr>';
+            } else {
+                vendorsHtml = vendors.map(vendor => {
+                    let productsContent = '';
+                    if (vendor.products && vendor.products.length > 0) {
+                        productsContent = `
+                            <div style="padding: 15px; border-top: 1px solid #e1e4e8;">
+                                <h4>Products from ${vendor.name}</h4>
+                                <table style="width: 100%;">
+                                    <thead>
+                                        <tr>
+                                            <th><input type="checkbox" class="select-all-vendor-products" data-vendor-id="${vendor._id}"></th>
+                                            <th>Image</th>
+                                            <th>Product</th>
+                                            <th>Category</th>
+                                            <th>Variations (Sizes)</th>
+                                            <th>Price</th>
+                                            <th>Sale Price</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                                                         ${vendor.products.map(product => {
+                                                                            const productForDataAttr = { ...product };
+                                                                            return `
+                                                                            <tr class="product-row" data-vendor-id="${vendor._id}" data-product='${JSON.stringify(productForDataAttr).replace(/'/g, "&apos;").replace(/"/g, "&quot;")}'>
+                                                                                <td><input type="checkbox" class="product-checkbox" data-product-id="${product.id}"></td>
+                                                                                <td><img src="${product.image ? product.image.src : ''}" alt="${product.title}" width="40"></td>
+                                                                                <td>${product.title}</td>
+                                                                                <td>${product.product_type}</td>
+                                                                                <td>${product.variants.map(v => v.title).join(', ')}</td>
+                                                                                <td>${product.variants.map(v => v.price).join(', ')}</td>
+                                                                                <td>${product.variants.map(v => v.compare_at_price || 'N/A').join(', ')}</td>
+                                                                            </tr>
+                                                                        `}).join('')}                                            </tbody>
+                                </table>
+                                <div style="margin-top: 15px;">
+                                    <button class="button sync-selected-btn" data-vendor-id="${vendor._id}" data-sync-type="full">Sync Selected</button>
+                                    <button class="button sync-all-btn" data-vendor-id="${vendor._id}" data-sync-type="full">Sync All</button>
+                                    <button class="button sync-inventory-btn" data-vendor-id="${vendor._id}" data-sync-type="inventory">Sync Inventory Only</button>
+                                    <button class="button sync-photos-btn" data-vendor-id="${vendor._id}" data-sync-type="photos">Sync Photos Only</button>
+                                </div>
+                                <div class="sync-status" data-vendor-id="${vendor._id}" style="margin-top: 15px; display: none;">
+                                    <div class="loading-indicator"></div>
+                                    <pre class="sync-logs"></pre>
+                                </div>
+                            </div>
+                        `;
+                    }
+
+                    let ordersContent = '';
+                    if (vendor.orders && vendor.orders.length > 0) {
+                        ordersContent = `
+                            <div style="padding: 15px; border-top: 1px solid #e1e4e8;">
+                                <h4>Orders from ${vendor.name}</h4>
+                                <table style="width: 100%;">
+                                    <thead>
+                                        <tr>
+                                            <th>Order Number</th>
+                                            <th>Date</th>
+                                            <th>Customer</th>
+                                            <th>Total</th>
+                                            <th>Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${vendor.orders.map(order => `
+                                            <tr class="order-summary-row" data-order-id="${order.id}">
+                                                <td>#${order.order_number}</td>
+                                                <td>${new Date(order.created_at).toLocaleDateString()}</td>
+                                                <td>${getCustomerNameFromOrder(order)}</td>
+                                                <td>$${order.total_price}</td>
+                                                <td><button class="button toggle-details-btn" data-order-id="${order.id}">Details</button></td>
+                                            </tr>
+                                            <tr class="order-details-row" id="details-${order.id}" style="display: none;">
+                                                <td colspan="5">
+                                                    <div style="display: flex; padding: 20px; background-color: #f9f9f9;">
+                                                        <div style="flex: 1;">
+                                                            <h4>Customer Details</h4>
+                                                            <p><strong>Name:</strong> ${getCustomerNameFromOrder(order)}</p>
+                                                            <p><strong>Phone:</strong> ${order.customer && order.customer.phone ? order.customer.phone : 'N/A'}</p>
+                                                            <p><strong>Shipping Address:</strong> ${order.shipping_address ? `${order.shipping_address.address1}, ${order.shipping_address.city}, ${order.shipping_address.zip}, ${order.shipping_address.country}` : 'N/A'}</p>
+                                                        </div>
+                                                        <div style="flex: 2; padding-left: 20px;">
+                                                            <h4>Product Details</h4>
+                                                            ${order.line_items.map(item => `
+                                                                <div style="display: flex; align-items: center; margin-bottom: 10px;">
+                                                                    <img src="${vendor.productImages[item.product_id] || ''}" alt="${item.title}" width="60" style="margin-right: 15px; border-radius: 4px;">
+                                                                    <div>
+                                                                        <strong>${item.title}</strong><br>
+                                                                        Quantity: ${item.quantity}<br>
+                                                                        Price: $${item.price}
+                                                                    </div>
+                                                                </div>
+                                                            `).join('')}
+                                                        </div>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                            </div>
+                        `;
+                    }
+
+                    return `
+                        <tr class="vendor-row">
+                            <td>${vendor.name}</td>
+                            <td>${vendor.shopifyShopName}</td>
+                            <td>
+                                <a href="#" class="button sync-btn" data-vendor-id="${vendor._id}">Sync Products</a>
+                                ${productsContent ? `
+                                    <button class="button toggle-vendor-section-btn" data-target="products-${vendor._id}">
+                                        Products (${vendor.products.length})
+                                    </button>
+                                ` : ''}
+                                ${ordersContent ? `
+                                    <button class="button toggle-vendor-section-btn" data-target="orders-${vendor._id}">
+                                        Orders (${vendor.orders.length})
+                                    </button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                        ${productsContent ? `
+                            <tr id="products-${vendor._id}" class="vendor-section" style="display: none;">
+                                <td colspan="3">${productsContent}</td>
+                            </tr>
+                        ` : ''}
+                        ${ordersContent ? `
+                            <tr id="orders-${vendor._id}" class="vendor-section" style="display: none;">
+                                <td colspan="3">${ordersContent}</td>
+                            </tr>
+                        ` : ''}
+                    `;
+                }).join('');
+            }
+            content = content.replace('{{vendorsTable}}', vendorsHtml);
+        }
+
+        if (template.includes('{{croscrowVendorsTable}}')) {
+            const vendors = data.vendors || [];
+            let vendorsHtml;
+            if (vendors.length === 0) {
+                vendorsHtml = '<tr><td colspan="4">No vendors found. Add one above to get started.</td></tr>';
+            } else {
+                vendorsHtml = vendors.map(vendor => {
+                    return `
+                        <tr>
+                            <td>${vendor.name}</td>
+                            <td>${vendor.gst_no}</td>
+                            <td>${vendor.address}</td>
+                            <td><a href="/edit-croscrow-vendor?id=${vendor._id}" class="button">Edit</a></td>
+                        </tr>
+                    `;
+                }).join('');
+            }
+            content = content.replace('{{croscrowVendorsTable}}', vendorsHtml);
+        }
+
+        if (template.includes('{{sessionsTable}}')) {
+            const sessions = data.sessions || [];
+            const currentSessionId = res.locals && res.locals.session ? res.locals.session._id : null;
+            const sessionsHtml = sessions.map(session => `
+                <tr>
+                    <td>${new Date(session.createdAt).toLocaleString()}</td>
+                    <td>${new Date(session.lastSeenAt).toLocaleString()}</td>
+                    <td>${session.ip || 'Unknown'}</td>
+                    <td>${escapeHtml(session.userAgent || 'Unknown')}</td>
+                    <td>${session._id === currentSessionId ? 'This session' : ''}</td>
+                </tr>
+            `).join('');
+            content = content.replace('{{sessionsTable}}', sessionsHtml);
+        }
+
+        if (template.includes('{{vendorUsersTable}}')) {
+            const vendorUsers = data.vendorUsers || [];
+            const vendorId = data.vendor ? data.vendor._id : '';
+            let vendorUsersHtml;
+            if (vendorUsers.length === 0) {
+                vendorUsersHtml = '<tr><td colspan="4">No portal logins yet.</td></tr>';
+            } else {
+                vendorUsersHtml = vendorUsers.map(vendorUser => `
+                    <tr>
+                        <td>${escapeHtml(vendorUser.username)}</td>
+                        <td>${escapeHtml(vendorUser.name || '')}</td>
+                        <td>${vendorUser.disabled ? 'Disabled' : 'Active'}</td>
+                        <td>
+                            <form action="/croscrow-vendors/portal-users/${vendorUser.disabled ? 'enable' : 'disable'}" method="POST" class="inline-form">
+                                <input type="hidden" name="vendor_id" value="${vendorId}">
+                                <input type="hidden" name="id" value="${vendorUser._id}">
+                                <button type="submit" class="button ${vendorUser.disabled ? '' : 'button-danger'}">${vendorUser.disabled ? 'Enable' : 'Disable'}</button>
+                            </form>
+                            <form action="/croscrow-vendors/portal-users/reset-password" method="POST" class="inline-form">
+                                <input type="hidden" name="vendor_id" value="${vendorId}">
+                                <input type="hidden" name="id" value="${vendorUser._id}">
+                                <input type="password" name="password" placeholder="New password" minlength="8" required>
+                                <button type="submit">Reset Password</button>
+                            </form>
+                        </td>
+                    </tr>
+                `).join('');
+            }
+            content = content.replace('{{vendorUsersTable}}', vendorUsersHtml);
+        }
+
+        if (template.includes('{{portalOrdersTable}}')) {
+            const orders = data.portalOrders || [];
+            const manualOrders = data.portalManualOrders || [];
+            const statusLabel = status => ({ settled: 'Settled', canceled: 'Canceled' }[status] || 'Pending');
+            const orderRow = (label, date, status, lineItemsTotal, commissionOrder, invoiceQuery) => {
+                const amounts = calculateCommission(lineItemsTotal, commissionOrder);
+                return `
+                    <tr>
+                        <td>${escapeHtml(label)}</td>
+                        <td>${new Date(date).toLocaleDateString('en-CA')}</td>
+                        <td>${statusLabel(status)}</td>
+                        <td>${formatCurrency(parseFloat(lineItemsTotal || 0))}</td>
+                        <td>${formatCurrency(amounts.subtotal + amounts.gst)}</td>
+                        <td>${formatCurrency(amounts.amount_received)}</td>
+                        <td>${formatCurrency(amounts.total_commission)}</td>
+                        <td><a href="/portal/invoice?${invoiceQuery}" class="button" target="_blank">Invoice</a></td>
+                    </tr>`;
+            };
+
+            const ordersHtml = orders.length === 0
+                ? '<tr><td colspan="8">No orders yet.</td></tr>'
+                : orders.map(order => orderRow(`#${order.order_number}`, order.created_at, order.status, order.total_line_items_price, order, `order_id=${encodeURIComponent(order.order_id)}`)).join('');
+            content = content.replace('{{portalOrdersTable}}', ordersHtml);
+
+            const manualOrdersHtml = manualOrders.length === 0
+                ? '<tr><td colspan="8">No manual orders.</td></tr>'
+                : manualOrders.map(order => orderRow(order.manual_order_id, order.createdAt, order.status, order.manual_amount, order, `manual_order_id=${encodeURIComponent(order.manual_order_id)}`)).join('');
+            content = content.replace('{{portalManualOrdersTable}}', manualOrdersHtml);
+        }
+
+        if (template.includes('{{twoFactorSection}}')) {
+            const twoFactor = data.twoFactor || {};
+            let twoFactorHtml = '';
+            if (data.newRecoveryCodes) {
+                twoFactorHtml = `
+            <div class="card">
+                <h2>Your Recovery Codes</h2>
+                <p>Each code can be used once to log in if you lose your phone. Save them somewhere safe now; they will not be shown again.</p>
+                <pre class="recovery-codes">${data.newRecoveryCodes.join('\n')}</pre>
+                <a href="/account" class="button">I have saved these codes</a>
+            </div>`;
+            } else if (data.twoFactorSetup) {
+                twoFactorHtml = `
+            <div class="card">
+                <h2>Set Up Two-Factor Authentication</h2>
+                <p>Scan this QR code with an authenticator app such as Google Authenticator or 1Password, then enter the 6-digit code it shows.</p>
+                <img src="${data.twoFactorSetup.qrDataUrl}" alt="Two-factor QR code" width="200" height="200">
+                <p>Can't scan it? Enter this key instead: <code>${data.twoFactorSetup.secret}</code></p>
+                <form action="/account/two-factor/enable" method="POST" class="inline-form">
+                    <input type="text" name="code" inputmode="numeric" autocomplete="one-time-code" pattern="[0-9 ]*" placeholder="123456" required>
+                    <button type="submit" class="button">Turn On</button>
+                </form>
+            </div>`;
+            } else if (twoFactor.enabled) {
+                twoFactorHtml = `
+            <div class="card">
+                <h2>Two-Factor Authentication</h2>
+                <p>Two-factor authentication is <strong>on</strong>. You have ${twoFactor.recoveryCodesRemaining} unused recovery code${twoFactor.recoveryCodesRemaining === 1 ? '' : 's'}.</p>
+                <form action="/account/two-factor/recovery-codes" method="POST" class="inline-form">
+                    <input type="password" name="password" placeholder="Current password" autocomplete="current-password" required>
+                    <button type="submit" class="button">New Recovery Codes</button>
+                </form>
+                <form action="/account/two-factor/disable" method="POST" class="inline-form">
+                    <input type="password" name="password" placeholder="Current password" autocomplete="current-password" required>
+                    <button type="submit" class="button button-danger">Turn Off</button>
+                </form>
+            </div>`;
+            } else if (twoFactor.available) {
+                twoFactorHtml = `
+            <div class="card">
+                <h2>Two-Factor Authentication</h2>
+                <p>Your role can settle invoices or change invoice settings. Protect your account by requiring a code from your phone when you log in.</p>
+                <form action="/account/two-factor/setup" method="POST">
+                    <button type="submit" class="button">Set Up Two-Factor Authentication</button>
+                </form>
+            </div>`;
+            }
+            content = content.replace('{{twoFactorSection}}', twoFactorHtml);
+        }
+
+        if (template.includes('{{apiTokensTable}}')) {
+            const apiTokens = data.apiTokens || [];
+            let apiTokensHtml;
+            if (apiTokens.length === 0) {
+                apiTokensHtml = '<tr><td colspan="5">No API tokens yet.</td></tr>';
+            } else {
+                apiTokensHtml = apiTokens.map(apiToken => `
+                    <tr>
+                        <td>${escapeHtml(apiToken.name)}</td>
+                        <td>${apiToken.scopes.map(scope => `<span class="tag">${API_TOKEN_SCOPE_LABELS[scope] || scope}</span>`).join(' ')}</td>
+                        <td>${new Date(apiToken.createdAt).toLocaleString()}</td>
+                        <td>${apiToken.lastUsedAt ? new Date(apiToken.lastUsedAt).toLocaleString() : 'Never'}</td>
+                        <td>
+                            <form action="/account/api-tokens/revoke" method="POST" class="inline-form">
+                                <input type="hidden" name="id" value="${apiToken._id}">
+                                <button type="submit" class="button button-danger">Revoke</button>
+                            </form>
+                        </td>
+                    </tr>
+                `).join('');
+            }
+            content = content.replace('{{apiTokensTable}}', apiTokensHtml);
+        }
+
+        if (template.includes('{{apiTokenScopeOptions}}')) {
+            const scopeOptionsHtml = Object.entries(API_TOKEN_SCOPE_LABELS).map(([scope, label]) => `
+                    <label><input type="checkbox" name="scopes" value="${scope}"> ${label}</label>
+            `).join('');
+            content = content.replace('{{apiTokenScopeOptions}}', scopeOptionsHtml);
+        }
+
+        if (template.includes('{{newApiTokenNotice}}')) {
+            let newApiTokenHtml = '';
+            if (data.newApiToken) {
+                newApiTokenHtml = `
+            <div class="card">
+                <h2>Your New API Token</h2>
+                <p>Copy this token now; it will not be shown again. Send it as <code>Authorization: Bearer &lt;token&gt;</code>.</p>
+                <pre class="recovery-codes">${data.newApiToken}</pre>
+                <a href="/account" class="button">I have copied this token</a>
+            </div>`;
+            }
+            content = content.replace('{{newApiTokenNotice}}', newApiTokenHtml);
+        }
+
+        if (template.includes('{{usersTable}}')) {
+            const users = data.users || [];
+            const currentUserId = res.locals && res.locals.user ? String(res.locals.user._id) : null;
+            let usersHtml;
+            if (users.length === 0) {
+                usersHtml = '<tr><td colspan="5">No users found.</td></tr>';
+            } else {
+                usersHtml = users.map(user => {
+                    const isCurrentUser = String(user._id) === currentUserId;
+                    const statusForm = isCurrentUser ? '' : `
+                                <form action="/users/${user.disabled ? 'enable' : 'disable'}" method="POST" class="inline-form">
+                                    <input type="hidden" name="id" value="${user._id}">
+                                    <button type="submit" class="button ${user.disabled ? '' : 'button-danger'}">${user.disabled ? 'Enable' : 'Disable'}</button>
+                                </form>`;
+                    const userRole = getUserRole(user);
+                    const roleOptions = Object.keys(ROLES).map(role => {
+                        return `<option value="${role}" ${role === userRole ? 'selected' : ''}>${ROLES[role].label}</option>`;
+                    }).join('');
+                    const roleCell = isCurrentUser ? (ROLES[userRole] ? ROLES[userRole].label : 'Unknown') : `
+                                <form action="/users/role" method="POST" class="inline-form">
+                                    <input type="hidden" name="id" value="${user._id}">
+                                    <select name="role">${roleOptions}</select>
+                                    <button type="submit" class="button">Change</button>
+                                </form>`;
+                    return `
+                        <tr>
+                            <td>${user.username}</td>
+                            <td>${user.name || ''}</td>
+                            <td>${roleCell}</td>
+                            <td>${user.disabled ? 'Disabled' : 'Active'}${user.totpEnabled ? '<br><small>Two-factor on</small>' : ''}</td>
+                            <td>
+                                ${statusForm}${user.totpEnabled && !isCurrentUser ? `
+                                <form action="/users/reset-two-factor" method="POST" class="inline-form">
+                                    <input type="hidden" name="id" value="${user._id}">
+                                    <button type="submit" class="button button-danger">Reset Two-Factor</button>
+                                </form>` : ''}
+                                <form action="/users/reset-password" method="POST" class="inline-form">
+                                    <input type="hidden" name="id" value="${user._id}">
+                                    <input type="password" name="password" placeholder="New password" minlength="8" required>
+                                    <button type="submit" class="button">Reset Password</button>
+                                </form>
+                            </td>
+                        </tr>
+                    `;
+                }).join('');
+            }
+            content = content.replace('{{usersTable}}', usersHtml);
+
+            const newUserRoleOptions = Object.keys(ROLES).map(role => {
+                return `<option value="${role}" ${role === DEFAULT_ROLE ? 'selected' : ''}>${ROLES[role].label}</option>`;
+            }).join('');
+            content = content.replace('{{roleOptions}}', newUserRoleOptions);
+        }
+
+        if (template.includes('{{auditLogTable}}')) {
+            const entries = data.auditEntries || [];
+            const formatValue = value => {
+                if (value === undefined || value === null || value === '') return '<em>empty</em>';
+                return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+            };
+            let auditHtml;
+            if (entries.length === 0) {
+                auditHtml = '<tr><td colspan="6">No audit entries found.</td></tr>';
+            } else {
+                auditHtml = entries.map(entry => {
+                    const before = entry.before || {};
+                    const after = entry.after || {};
+                    const changedFields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+                    const changesHtml = changedFields.length === 0 ? '' : changedFields.map(field => `
+                                <div><strong>${escapeHtml(field)}:</strong> ${formatValue(before[field])} &rarr; ${formatValue(after[field])}</div>`).join('');
+                    return `
+                        <tr>
+                            <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                            <td>${escapeHtml(entry.actor && entry.actor.username ? entry.actor.username : 'system')}${entry.actor && entry.actor.apiTokenName ? ` <small>(API token: ${escapeHtml(entry.actor.apiTokenName)})</small>` : ''}</td>
+                            <td>${escapeHtml(entry.action)}</td>
+                            <td>${escapeHtml(entry.entity)}</td>
+                            <td>${entry.entityId ? escapeHtml(entry.entityId) : ''}</td>
+                            <td>${changesHtml}</td>
+                        </tr>
+                    `;
+                }).join('');
+            }
+            content = content.replace('{{auditLogTable}}', auditHtml);
+
+            const vendorOptions = (data.auditVendors || []).map(vendor => {
+                const id = String(vendor._id);
+                return `<option value="${id}" ${id === data.selectedVendorId ? 'selected' : ''}>${escapeHtml(vendor.name)}</option>`;
+            }).join('');
+            content = content.replace('{{auditVendorOptions}}', vendorOptions);
+
+            const userOptions = (data.auditUsers || []).map(user => {
+                return `<option value="${escapeHtml(user.username)}" ${user.username === data.selectedUsername ? 'selected' : ''}>${escapeHtml(user.username)}</option>`;
+            }).join('');
+            content = content.replace('{{auditUserOptions}}', userOptions);
+        }
+
+        if (template.includes('{{storeMirrorStatus}}')) {
+            const mirror = data.storeMirror;
+            let mirrorHtml = '';
+            // Nothing is mirrored in fallback mode; the page read Shopify directly.
+            if (mirror && mirror.available) {
+                const describeState = (label, state) => {
+                    let text = state && state.lastRefreshedAt
+                        ? `${label} refreshed ${new Date(state.lastRefreshedAt).toLocaleString()}`
+                        : `${label} not refreshed yet`;
+                    if (state && state.lastError) {
+                        text += ` <span style="color: #d73a49;">(last refresh failed at ${new Date(state.lastErrorAt).toLocaleString()}: ${escapeHtml(state.lastError)})</span>`;
+                    }
+                    return text;
+                };
+                const refreshForm = can(currentUser, PERMISSIONS.CATALOG_SYNC) ? `
+                    <form action="/store-mirror/refresh" method="POST" style="display: inline; margin-left: 10px;">
+                        <input type="hidden" name="returnTo" value="${escapeHtml(data.returnTo || '')}">
+                        <button type="submit" class="button">Refresh now</button>
+                    </form>` : '';
+                mirrorHtml = `
+                <div style="margin-bottom: 20px; color: #586069; font-size: 0.9rem;">
+                    Shopify data: ${describeState('products', mirror.products)}; ${describeState('orders', mirror.orders)}.${refreshForm}
+                </div>`;
+            }
+            content = content.replace('{{storeMirrorStatus}}', mirrorHtml);
+        }
+
+        if (template.includes('{{apiVersionsTable}}')) {
+            // Versions retiring within this many days are highlighted.
+            const warnDays = 90;
+            const describeSupport = supportEndsAt => {
+                if (!supportEndsAt) {
+                    return '<span style="color: #b08800;">Unstable; not for production</span>';
+                }
+                const daysLeft = Math.floor((supportEndsAt.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+                const date = supportEndsAt.toLocaleDateString();
+                if (daysLeft < 0) {
+                    return `<strong style="color: #d73a49;">Retired on ${date}</strong>`;
+                }
+                if (daysLeft <= warnDays) {
+                    return `<strong style="color: #b08800;">Retires on ${date} (${daysLeft} days)</strong>`;
+                }
+                return `Supported until ${date}`;
+            };
+            const canEditVendors = can(currentUser, PERMISSIONS.VENDORS_EDIT);
+            const versionsHtml = (data.storeVersions || []).map(store => {
+                let setting = 'Set by SHOPIFY_API_VERSION';
+                if (store.vendorId) {
+                    setting = canEditVendors ? `
+                                <form action="/vendors/${escapeHtml(store.vendorId)}/api-version" method="POST" style="display: flex; gap: 8px;">
+                                    <input type="text" name="shopifyApiVersion" value="${escapeHtml(store.vendorApiVersion)}" placeholder="Default" pattern="\\d{4}-(01|04|07|10)|unstable" style="width: 110px;">
+                                    <button type="submit">Save</button>
+                                </form>` : escapeHtml(store.vendorApiVersion || 'Default');
+                }
+                return `
+                        <tr>
+                            <td>${escapeHtml(store.label)}</td>
+                            <td>${escapeHtml(store.store)}</td>
+                            <td>${escapeHtml(store.apiVersion)}</td>
+                            <td>${describeSupport(store.supportEndsAt)}</td>
+                            <td>${setting}</td>
+                        </tr>
+                    `;
+            }).join('');
+            content = content.replace('{{apiVersionsTable}}', versionsHtml);
+
+            const deprecations = data.deprecations || [];
+            let deprecationsHtml;
+            if (deprecations.length === 0) {
+                deprecationsHtml = '<tr><td colspan="7">Shopify has not flagged any calls in the last 30 days.</td></tr>';
+            } else {
+                deprecationsHtml = deprecations.map(deprecation => `
+                        <tr>
+                            <td>${escapeHtml(deprecation.store)}</td>
+                            <td>${escapeHtml(deprecation.apiVersion)}${deprecation.servedVersion && deprecation.servedVersion !== deprecation.apiVersion ? ` <small>(served ${escapeHtml(deprecation.servedVersion)})</small>` : ''}</td>
+                            <td>${escapeHtml(deprecation.method)} ${escapeHtml(deprecation.endpoint)}</td>
+                            <td>${escapeHtml(deprecation.reason)}</td>
+                            <td>${deprecation.count}</td>
+                            <td>${new Date(deprecation.firstSeenAt).toLocaleString()}</td>
+                            <td>${new Date(deprecation.lastSeenAt).toLocaleString()}</td>
+                        </tr>
+                    `).join('');
+            }
+            content = content.replace('{{deprecationsTable}}', deprecationsHtml);
+        }
+
+
+
+        if (templatePath.endsWith('invoices.html')) {
+            const orders = data.orders || [];
+            const vendors = data.vendors || [];
+            const productImages = data.productImages || {};
+            let ordersHtml;
+            if (orders.length === 0) {
+                ordersHtml = '<tr><td colspan="12">No orders found.</td></tr>';
+            } else {
+                ordersHtml = orders.map(order => {
+                    const vendorOptions = vendors.map(vendor => {
+                        const isSelected = order.vendor_id && order.vendor_id === vendor._id.toString();
+                        return `<option value="${vendor._id}" ${isSelected ? 'selected' : ''}>${vendor.name}</option>`;
+                    }).join('');
+
+                    const shopifyShipping = (order.shipping_lines || []).reduce((total, line) => total + parseFloat(line.price), 0);
+                    const shopifyDiscount = parseFloat(order.total_discounts || 0);
+
+                    const shippingValue = (order.manual_shipping !== undefined && order.manual_shipping !== null) ? order.manual_shipping : shopifyShipping.toFixed(2);
+                    const discountValue = (order.manual_discount !== undefined && order.manual_discount !== null) ? order.manual_discount : shopifyDiscount.toFixed(2);
+                    
+                    const tagsHtml = (order.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag).map(tag => `<span class="tag">${tag}</span>`).join(' ');
+
+                    let rowClass = 'order-unsaved';
+                    if (order.status === 'canceled') {
+                        rowClass = 'order-canceled';
+                    } else if (order.status === 'settled') {
+                        rowClass = 'order-settled';
+                    } else if (order.vendor_id) {
+                        rowClass = 'order-saved';
+                    }
+                    
+                    const productImage = productImages[order.line_items[0].product_id] || '';
+
+                    return `
+                        <tr data-order-id="${order.id}" class="${rowClass}">
+                            <td><img src="${productImage}" alt="${order.line_items[0].title}" width="50" style="border-radius: 4px;"></td>
+                            <td>#${order.order_number}</td>
+                            <td>${new Date(order.created_at).toLocaleDateString()}</td>
+                            <td>${getCustomerNameFromOrder(order)}</td>
+                            <td>$${order.total_price}</td>
+                            <td>${tagsHtml}</td>
+                            <td>
+                                <select class="vendor-select" data-order-id="${order.id}">
+                                    <option value="">Assign Vendor</option>
+                                    ${vendorOptions}
+                                </select>
+                            </td>
+                            <td><input type="number" class="manual-shipping" placeholder="e.g., 49" value="${shippingValue}"></td>
+                            <td>
+                                <select class="discount-type">
+                                    <option value="">Select</option>
+                                    <option value="croscrow" ${order.discount_type === 'croscrow' ? 'selected' : ''}>Croscrow</option>
+                                    <option value="vendor" ${order.discount_type === 'vendor' ? 'selected' : ''}>Vendor</option>
+                                </select>
+                            </td>
+                            <td><input type="number" class="manual-discount" placeholder="e.g., 100" value="${discountValue}"></td>
+                            <td><input type="number" class="amount-received" placeholder="e.g., 50" value="${order.amount_received || ''}"></td>
+                            <td><input type="number" class="manual-commission" placeholder="e.g., 20" value="${order.commission_percentage || ''}"></td>
+                            <td class="action-cell">
+                                <button class="button save-btn" data-order-id="${order.id}">Save</button>
+                                <a href="/invoices/generate?order_id=${order.id}" class="button" target="_blank">Invoice</a>
+                                <button class="button cancel-btn" data-order-id="${order.id}">Cancel</button>
+                                <button class="button settle-btn" data-order-id="${order.id}">Settle</button>
+                            </td>
+                        </tr>
+                    `;
+                }).join('');
+            }
+            content = content.replace('{{ordersTable}}', ordersHtml);
+        }
+
+
+        if (template.includes('{{facebookEventsTable}}')) {
+            const events = data.events || [];
+            const productImages = data.productImages || {};
+            let eventsHtml;
+            if (events.length === 0) {
+                eventsHtml = '<tr><td colspan="5" class="no-events">No Facebook events found.</td></tr>';
+            } else {
+                eventsHtml = events.map(event => {
+                    const productName = event.productName || event.product_name || 'Unknown Product';
+                    const eventType = event.eventType || event.event_type || event.eventName || 'unknown';
+                    const timestamp = event.timestamp || event.time || event.created_at || new Date().toISOString();
+                    
+                    const productId = event.productId || event.product_id || 'N/A';
+                    const productImage = productImages[productId] || productImages[parseInt(productId)] || '';
+                    
+                    let eventTypeClass = 'event-other';
+                    let displayEventType = eventType;
+                    
+                    if (eventType.toLowerCase().includes('view')) {
+                        eventTypeClass = 'event-view-content';
+                        displayEventType = 'View Content';
+                    } else if (eventType.toLowerCase().includes('add') || eventType.toLowerCase().includes('cart')) {
+                        eventTypeClass = 'event-add-to-cart';
+                        displayEventType = 'Add to Cart';
+                    } else if (eventType.toLowerCase().includes('purchase') || eventType.toLowerCase().includes('buy')) {
+                        eventTypeClass = 'event-purchase';
+                        displayEventType = 'Purchase';
+                    }
+                    
+                    const date = new Date(timestamp);
+                    const formattedTime = isNaN(date.getTime()) ? timestamp : date.toLocaleString();
+                    
+                    const imageHtml = productImage 
+                        ? `<img src="${productImage}" alt="${productName}" width="50" style="border-radius: 4px;">`
+                        : `<div style="width: 50px; height: 50px; background-color: #f4f6f8; border-radius: 4px; display: flex; align-items: center; justify-content: center; font-size: 12px; color: #666;">No Image</div>`;
+                    
+                    return `<tr>
+                        <td>${imageHtml}</td>
+                        <td><strong>${productName}</strong></td>
+                        <td><span class="event-type ${eventTypeClass}">${displayEventType}</span></td>
+                        <td><code style="background-color: #f4f6f8; padding: 2px 6px; border-radius: 3px; font-size: 12px;">${productId}</code></td>
+                        <td>${formattedTime}</td>
+                    </tr>`;
+                }).join('');
+            }
+            content = content.replace('{{facebookEventsTable}}', eventsHtml);
+        }
+
+        if (template.includes('{{trackingRejectionsTable}}')) {
+            const rejections = data.trackingRejections || [];
+            let rejectionsHtml;
+            if (rejections.length === 0) {
+                rejectionsHtml = '<tr><td colspan="6" class="no-events">No rejected tracking requests in the last 7 days.</td></tr>';
+            } else {
+                rejectionsHtml = rejections.map(rejection => `
+                    <tr>
+                        <td>${escapeHtml(rejection._id.route)}</td>
+                        <td>${escapeHtml(rejection._id.reason)}</td>
+                        <td>${rejection._id.storefront ? escapeHtml(rejection._id.storefront) : 'Unknown'}</td>
+                        <td>${rejection.count}</td>
+                        <td>${escapeHtml(rejection.lastIp || '')}</td>
+                        <td>${rejection.lastSeenAt ? new Date(rejection.lastSeenAt).toLocaleString() : ''}</td>
+                    </tr>`).join('');
+            }
+            content = content.replace('{{trackingRejectionsTable}}', rejectionsHtml);
+        }
+
+        if (templatePath.endsWith('send-orders.html')) {
+            const orders = data.orders || [];
+            const vendors = data.vendors || [];
+
+            const ordersHtml = orders.map(order => `
+                <tr>
+                    <td><input type="checkbox" class="order-checkbox" data-order-id="${order.id}"></td>
+                    <td>#${order.order_number}</td>
+                    <td>${new Date(order.created_at).toLocaleDateString()}</td>
+                    <td>${getCustomerNameFromOrder(order)}</td>
+                    <td>$${order.total_price}</td>
+                    <td>${order.financial_status}</td>
+                </tr>
+            `).join('');
+            content = content.replace('{{ordersToSendTable}}', ordersHtml);
+            
+            const vendorsHtml = vendors.map(vendor => `
+                <option value="${vendor._id}">${vendor.name} (${vendor.shopifyShopName})</option>
+            `).join('');
+            content = content.replace('{{vendorsSelectOptions}}', vendorsHtml);
+        }
+
+        // Generic replacement for simple key-value pairs (for sticky filters)
+        for (const key in data) {
+            if (Object.hasOwnProperty.call(data, key)) {
+                if (typeof data[key] === 'string' || typeof data[key] === 'number') {
+                    content = content.replace(new RegExp(`{{${key}}}`, 'g'), data[key]);
+                }
+            }
+        }
+        
+        // simple if/else helper
+        const ifRegex = /{{#if\s+(.*?)}}([\s\S]*?)(?:{{else}}([\s\S]*?))?{{\/if}}/g;
+        content = content.replace(ifRegex, (match, condition, ifTemplate, elseTemplate) => {
+            const keys = condition.split('.');
+            let value = data;
+            for (const k of keys) {
+                if (value && typeof value === 'object' && k in value) {
+                    value = value[k];
+                } else {
+                    value = undefined;
+                    break;
+                }
+            }
+
+            if (value) {
+                return ifTemplate;
+            } else if (elseTemplate) {
+                return elseTemplate;
+            } else {
+                return '';
+            }
+        });
+        
+        // context-aware each helper
+        const eachRegex = /{{#each\s+(.*?)}}([\s\S]*?){{\/each}}/g;
+        content = content.replace(eachRegex, (match, arrayName, template) => {
+            const items = data[arrayName];
+            if (!items) return '';
+
+            return items.map(item => {
+                let itemTemplate = template;
+
+                // Create a combined context for replacements
+                const combinedContext = { ...item, '..': data };
+
+                // Replace simple placeholders like {{key}}
+                itemTemplate = itemTemplate.replace(/{{\s*([\w\.]+)\s*}}/g, (mustacheMatch, key) => {
+                    // Handle ../ notation
+                    if (key.startsWith('../')) {
+                        const parentKey = key.substring(3);
+                        return data[parentKey] || '';
+                    }
+                    return item[key] || '';
+                });
+
+                // Handle simple helpers like {{#if (eq ../manual_vendor_id (string _id))}}
+                itemTemplate = itemTemplate.replace(/{{#if\s+\((.*?)\)\s*}}([\s\S]*?){{\/if}}/g, (ifMatch, condition, ifContent) => {
+                    const parts = condition.split(' ');
+                    if (parts.length === 3 && parts[0] === 'eq') {
+                        const val1 = parts[1].startsWith('../') ? data[parts[1].substring(3)] : item[parts[1]];
+                        const val2Raw = parts[2];
+                        let val2;
+                        if (val2Raw.startsWith('(string ')) {
+                             const innerKey = val2Raw.match(/\(string (.*?)\)/)[1];
+                             val2 = String(item[innerKey]);
+                        } else {
+                             val2 = item[val2Raw];
+                        }
+                        if (val1 == val2) {
+                            return ifContent;
+                        }
+                    }
+                    return '';
+                });
+
+                 // Replace nested {{#each}} loops
+                 itemTemplate = itemTemplate.replace(/{{#each\s+([\w\.]+)\s*}}([\s\S]*?){{\/each}}/g, (nestedMatch, nestedArrayName, nestedTemplate) => {
+                    if (nestedArrayName.startsWith('../')) {
+                        const parentArrayName = nestedArrayName.substring(3);
+                        const parentArray = data[parentArrayName];
+                        if (parentArray) {
+                            return parentArray.map(parentItem => {
+                                let nestedItemTemplate = nestedTemplate;
+                                // Perform replacements for the nested loop
+                                nestedItemTemplate = nestedItemTemplate.replace(/{{#if\s+\(eq\s+\.\.\/manual_vendor_id\s+\(string _id\)\)\s*}}([\s\S]*?){{\/if}}/g, (nestedIfMatch, nestedIfContent) => {
+                                    if (String(item.manual_vendor_id) === String(parentItem._id)) {
+                                        return nestedIfContent.replace(/{{\s*name\s*}}/g, parentItem.name);
+                                    }
+                                    return '';
+                                });
+                                return nestedItemTemplate;
+
+                            }).join('');
+                        }
+                    }
+                    return'';
+                });
+
+
+                return itemTemplate;
+            }).join('');
+        });
+
+        // simple replacement for nested objects
+        const regex = /{{\s*([\w.]+)\s*}}/g;
+        content = content.replace(regex, (match, key) => {
+            const keys = key.split('.');
+            let value = data;
+            for (const k of keys) {
+                if (value && typeof value === 'object' && k in value) {
+                    value = value[k];
+                } else {
+                    return '';
+                }
+            }
+            return value;
+        });
+
+        const helpers = {
+            formatDate: (dateString) => {
+                const date = new Date(dateString);
+                return date.toLocaleDateString('en-CA');
+            },
+            eq: (a, b) => a == b,
+            string: (val) => String(val)
+        };
+
+
+        const eachRegexWithContext = /{{#each\s+([\w\.]+)\s*}}([\s\S]*?){{\/each}}/g;
+        content = content.replace(eachRegexWithContext, (match, arrayName, template) => {
+            const items = arrayName.split('.').reduce((o, i) => o[i], { ...data, ...helpers });
+
+            if (!items) return '';
+
+            return items.map(item => {
+                let itemTemplate = template;
+                const allData = { ...item, '../vendors': data.vendors, ...helpers };
+
+                // Handle nested paths and helpers inside the loop
+                itemTemplate = itemTemplate.replace(/{{#if\s+\((.*?)\)\s*}}([\s\S]*?){{\/if}}/g, (ifMatch, ifCondition, ifTemplate) => {
+                    const [helper, ...args] = ifCondition.split(' ');
+                    const realArgs = args.map(arg => {
+                        return (allData[arg] !== undefined) ? allData[arg] : arg.replace(/"/g, '');
+                    });
+                    if (allData[helper] && allData[helper](...realArgs)) {
+                        return ifTemplate;
+                    }
+                    return '';
+                });
+
+                itemTemplate = itemTemplate.replace(/{{([\w\.\/]+)}}/g, (mustacheMatch, key) => {
+                    const value = key.split('.').reduce((o, i) => o && o[i], allData);
+                    return value !== undefined ? value : '';
+                });
+
+                 return itemTemplate;
+            }).join('');
+        });
+
+
+        content = content.replace('{{sidebar}}', sidebarHtml);
+        
+        // Final cleanup of any un-replaced placeholders
+        content = content.replace(/{{[^{}]+}}/g, '');
+
+        // Link files from public/ by their fingerprinted URLs so browsers can cache them for good.
+        content = content.replace(/\b(src|href)="(\/public\/[^"?#]+)"/g, (match, attribute, url) => `${attribute}="${assetUrl(url)}"`);
+
+        const session = res.locals ? res.locals.session : null;
+        content = injectCsrfToken(content, session ? session.csrfToken : null);
+
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(content);
+    });
+}
+
+module.exports = {
+    escapeHtml,
+    decodeHtmlEntities,
+    getCustomerNameFromOrder,
+    renderView,
+};